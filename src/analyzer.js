@@ -2,29 +2,62 @@ import path from 'path';
 import fs from 'fs-extra';
 import chalk from 'chalk';
 import { ECSFetcher } from './ecs-fetcher.js';
+import { ECSVersionComparator } from './ecs-versions.js';
+import { ECSSchemaLoader } from './ecs-catalogue.js';
 import { FieldParser } from './field-parser.js';
 import { FileScanner } from './file-scanner.js';
+import { occurrenceConfidence } from './confidence.js';
 
 export class ECSAnalyzer {
   constructor(options = {}) {
     this.repoPath = options.repoPath || './repo';
     this.fieldsCSV = options.fieldsCSV || 'fields.csv';
+    // Pinned ECS version (replaces fieldsCSV) and the version to report upgrade impact against
+    this.ecsVersion = options.ecsVersion || null;
+    this.targetEcsVersion = options.targetEcsVersion || null;
+    // ecs_flat.yml, ecs_nested.yml or schemas/ directory, replacing both of the above
+    this.ecsSchemaPath = options.ecsSchemaPath || null;
     this.vendorFieldsFile = options.vendorFieldsFile || 'vendor_fields.txt';
+    this.sigmaMappingFile = options.sigmaMappingFile || null;
+    this.configFile = options.configFile || null;
     this.targetDirectories = options.targetDirectories || [];
     this.includeTests = options.includeTests || false;
     this.includeJson = options.includeJson || false;
     this.includeYaml = options.includeYaml || false;
     this.includeMarkdown = options.includeMarkdown || false;
+    this.markdownProse = options.markdownProse || false;
+    this.includeEql = options.includeEql || false;
+    this.includeSavedObjects = options.includeSavedObjects || false;
+    this.includeRules = options.includeRules || false;
+    this.includeLogstash = options.includeLogstash || false;
+    this.extractionMode = options.extractionMode || 'ast';
+    this.bareStrings = options.bareStrings || false;
+    // Occurrences scored below this are left out of counts and reports
+    this.minConfidence = options.minConfidence || 0;
     this.verbose = options.verbose || false;
 
-    this.fetcher = new ECSFetcher({ verbose: this.verbose });
-    this.parser = new FieldParser({ verbose: this.verbose });
+    this.fetcher = new ECSFetcher({ verbose: this.verbose, cacheDir: options.ecsCacheDir });
+    this.versionComparator = new ECSVersionComparator({ verbose: this.verbose });
+    this.schemaLoader = new ECSSchemaLoader({ verbose: this.verbose, isValidName: name => this.parser.isValidECSFieldName(name) });
+    // Pinned and target version fields, set when a target version is given
+    this.versionFields = null;
+    this.parser = new FieldParser({
+      verbose: this.verbose,
+      extractionMode: this.extractionMode,
+      markdownProse: this.markdownProse,
+      bareStrings: this.bareStrings,
+      rootPath: this.repoPath
+    });
     this.scanner = new FileScanner({ 
       verbose: this.verbose,
       includeTests: this.includeTests,
       includeJson: this.includeJson,
       includeYaml: this.includeYaml,
-      includeMarkdown: this.includeMarkdown
+      includeMarkdown: this.includeMarkdown,
+      includeEql: this.includeEql,
+      includeSavedObjects: this.includeSavedObjects,
+      includeRules: this.includeRules,
+      includeLogstash: this.includeLogstash
     });
 
     // Statistics tracking
@@ -36,10 +69,13 @@ export class ECSAnalyzer {
       coreFieldCounts: new Map(),
       vendorFieldCounts: new Map(),
       customFieldCounts: new Map(),
+      fieldPatternCounts: new Map(),
+      fieldLocations: new Map(),
       processedFiles: 0,
       skippedFiles: 0,
       skippedFilesList: [],
-      fileTypeCounts: new Map()
+      fileTypeCounts: new Map(),
+      lowConfidenceOccurrences: 0
     };
   }
 
@@ -49,12 +85,19 @@ export class ECSAnalyzer {
 
       // Step 1: Fetch and parse ECS fields
       console.log(chalk.cyan('📥 Step 1: Loading ECS field definitions...'));
-      await this.fetcher.downloadIfMissing(this.fieldsCSV);
-      const csvContent = await this.fetcher.fetchECSFields(this.fieldsCSV);
-      const coreFields = this.parser.parseECSFields(csvContent);
+      const coreFields = await this.loadECSFields();
 
       if (coreFields.size === 0) {
-        throw new Error('No core ECS fields found in CSV file');
+        throw new Error(`No core ECS fields found in ${this.ecsSchemaPath || 'CSV file'}`);
+      }
+
+      if (this.targetEcsVersion) {
+        console.log(chalk.cyan(`🎯 Loading ECS ${this.targetEcsVersion} field definitions for upgrade impact...`));
+        this.versionFields = {
+          pinned: coreFields,
+          target: this.parser.parseECSFields(await this.fetcher.fetchVersionFields(this.targetEcsVersion))
+        };
+        console.log(chalk.green(`✅ Loaded ${this.versionFields.target.size} ECS ${this.targetEcsVersion} fields`));
       }
 
       // Step 1.5: Load vendor fields
@@ -62,12 +105,30 @@ export class ECSAnalyzer {
       const vendorFields = await this.loadVendorFields();
       console.log(chalk.green(`✅ Loaded ${vendorFields.size} vendor field patterns`));
 
+      if (this.sigmaMappingFile) {
+        console.log(chalk.cyan('🧬 Loading Sigma field mapping...'));
+        const mapped = this.parser.sigmaAnalyzer.loadFieldMapping(await fs.readFile(this.sigmaMappingFile, 'utf8'));
+        console.log(chalk.green(`✅ Loaded ${mapped} Sigma field mappings`));
+      }
+
+      if (this.configFile) {
+        console.log(chalk.cyan('🔌 Loading extractor plugins...'));
+        const registered = await this.parser.plugins.load(this.configFile);
+        this.scanner.addIncludePatterns(this.parser.plugins.filePatterns());
+        console.log(chalk.green(`✅ Registered ${registered} extractor plugins`));
+      }
+
       // Step 2: Scan repository for files
       console.log(chalk.cyan('\n🔍 Step 2: Scanning repository files...'));
       const filePaths = await this.scanner.scanDirectory(this.repoPath, this.targetDirectories);
       
       this.stats.totalFiles = filePaths.length;
 
+      // Step 2.5: Index constants and component templates so fields referenced through
+      // identifiers and composed_of resolve across files
+      console.log(chalk.cyan('\n🔗 Indexing constants, imports and component templates...'));
+      await this.indexFiles(filePaths);
+
       // Step 3: Analyze each file
       console.log(chalk.cyan(`\n📊 Step 3: Analyzing ${filePaths.length} files...`));
       
@@ -98,6 +159,38 @@ export class ECSAnalyzer {
     }
   }
 
+  /**
+   * Core field catalogue from the ECS schema path, the pinned ECS version, or --fields-csv
+   * when neither is given
+   * @returns {Promise<ECSFieldCatalogue>}
+   */
+  async loadECSFields() {
+    if (this.ecsSchemaPath) {
+      console.log(chalk.blue(`📐 Using ECS definitions from ${this.ecsSchemaPath}`));
+      const coreFields = await this.schemaLoader.load(this.ecsSchemaPath);
+      console.log(chalk.green(`✅ Loaded ${coreFields.size} core ECS fields`));
+      return coreFields;
+    }
+    if (this.ecsVersion) {
+      console.log(chalk.blue(`📌 Using ECS ${this.ecsVersion}`));
+      return this.parser.parseECSFields(await this.fetcher.fetchVersionFields(this.ecsVersion));
+    }
+    await this.fetcher.downloadIfMissing(this.fieldsCSV);
+    return this.parser.parseECSFields(await this.fetcher.fetchECSFields(this.fieldsCSV));
+  }
+
+  async indexFiles(filePaths) {
+    for (const filePath of filePaths) {
+      if (this.scanner.shouldSkipFile(filePath)) {
+        continue;
+      }
+      const content = await this.scanner.readFileContent(filePath);
+      if (content) {
+        this.parser.indexFile(content, filePath);
+      }
+    }
+  }
+
   async analyzeFile(filePath, coreFields, vendorFields) {
     try {
       // Skip files that should be ignored
@@ -126,20 +219,22 @@ export class ECSAnalyzer {
         return;
       }
 
-      // Extract field references from content
-      const extractedFields = this.parser.extractFieldsFromContent(content, filePath);
+      // Extract field references (with their locations) from content
+      const occurrences = this.applyConfidence(this.parser.extractFieldOccurrences(content, filePath));
       
-      if (extractedFields.length === 0) {
+      if (occurrences.length === 0) {
         this.stats.processedFiles++;
         return;
       }
 
       // Categorize fields as core vs vendor vs custom
-      const { coreFieldsInFile, vendorFieldsInFile, customFieldsInFile } = this.categorizeFields(extractedFields, coreFields, vendorFields);
+      const { coreFieldsInFile, vendorFieldsInFile, customFieldsInFile, patternFieldsInFile, occurrencesByField } = this.categorizeFields(occurrences, coreFields, vendorFields);
 
       // Update statistics
       this.updateFileStatistics(coreFieldsInFile, vendorFieldsInFile, customFieldsInFile);
       this.updateFieldCounts(coreFieldsInFile, vendorFieldsInFile, customFieldsInFile);
+      this.updatePatternCounts(patternFieldsInFile);
+      this.recordFieldLocations(occurrencesByField, filePath);
 
       this.stats.processedFiles++;
 
@@ -155,15 +250,60 @@ export class ECSAnalyzer {
     }
   }
 
-  categorizeFields(extractedFields, coreFields, vendorFields) {
+  /**
+   * Score each occurrence by its extraction context and drop those below --min-confidence
+   * @returns {Array<Object>} Occurrences at or above the threshold, each with `confidence`
+   */
+  applyConfidence(occurrences) {
+    const kept = [];
+    for (const occurrence of occurrences) {
+      const confidence = occurrenceConfidence(occurrence);
+      if (confidence >= this.minConfidence) {
+        kept.push({ ...occurrence, confidence });
+      } else {
+        this.stats.lowConfidenceOccurrences++;
+      }
+    }
+    return kept;
+  }
+
+  /**
+   * Categorize a file's field occurrences as core, vendor or custom. Partially resolved
+   * names such as `kibana.alert.*.name` are kept apart as field patterns.
+   * @param {Array<Object>} occurrences - Occurrences from FieldParser.extractFieldOccurrences
+   * @returns {Object} Unique field names per category, plus the occurrences grouped by
+   *   (classification) field name so their locations can be reported
+   */
+  categorizeFields(occurrences, coreFields, vendorFields) {
     const coreFieldsInFile = [];
     const vendorFieldsInFile = [];
     const customFieldsInFile = [];
+    const patternFieldsInFile = [];
+    const occurrencesByField = new Map();
+
+    for (const occurrence of occurrences) {
+      const field = occurrence.field;
+
+      // Patterns cannot be classified against concrete field names; report them as written
+      if (field.includes('*')) {
+        if (!occurrencesByField.has(field)) {
+          occurrencesByField.set(field, []);
+          patternFieldsInFile.push(field);
+        }
+        occurrencesByField.get(field).push(occurrence);
+        continue;
+      }
 
-    for (const field of extractedFields) {
       // Strip kibana. prefix before classification to consolidate field counting
       const fieldForClassification = field.startsWith('kibana.') ? field.substring(7) : field;
 
+      // Each field is classified once per file; later occurrences only add locations
+      if (occurrencesByField.has(fieldForClassification)) {
+        occurrencesByField.get(fieldForClassification).push(occurrence);
+        continue;
+      }
+      occurrencesByField.set(fieldForClassification, [occurrence]);
+
       // First check if field (without kibana prefix) is directly a core ECS field
       if (this.parser.isECSField(fieldForClassification, coreFields)) {
         coreFieldsInFile.push(fieldForClassification);  // Use field without kibana prefix for counting
@@ -180,7 +320,7 @@ export class ECSAnalyzer {
       }
     }
 
-    return { coreFieldsInFile, vendorFieldsInFile, customFieldsInFile };
+    return { coreFieldsInFile, vendorFieldsInFile, customFieldsInFile, patternFieldsInFile, occurrencesByField };
   }
 
   updateFileStatistics(coreFieldsInFile, vendorFieldsInFile, customFieldsInFile) {
@@ -221,20 +361,53 @@ export class ECSAnalyzer {
     }
   }
 
-  generateResults(coreFields) {
-    // Sort fields by usage count
-    const sortedCoreFields = Array.from(this.stats.coreFieldCounts.entries())
-      .map(([name, count]) => ({ name, count }))
-      .sort((a, b) => b.count - a.count);
+  updatePatternCounts(patternFieldsInFile) {
+    for (const pattern of patternFieldsInFile) {
+      const count = this.stats.fieldPatternCounts.get(pattern) || 0;
+      this.stats.fieldPatternCounts.set(pattern, count + 1);
+    }
+  }
 
-    const sortedVendorFields = Array.from(this.stats.vendorFieldCounts.entries())
-      .map(([name, count]) => ({ name, count }))
-      .sort((a, b) => b.count - a.count);
+  recordFieldLocations(occurrencesByField, filePath) {
+    const relativePath = path.relative(this.repoPath, filePath);
 
-    const sortedCustomFields = Array.from(this.stats.customFieldCounts.entries())
-      .map(([name, count]) => ({ name, count }))
+    for (const [field, occurrences] of occurrencesByField) {
+      const locations = this.stats.fieldLocations.get(field) || [];
+      for (const occurrence of occurrences) {
+        const { field: rawField, file, ...details } = occurrence;
+        if (details.via) {
+          details.via = { ...details.via, file: path.relative(this.repoPath, details.via.file) };
+        }
+        locations.push({
+          file: relativePath,
+          ...details,
+          // Keep the original name when classification stripped a prefix
+          ...(rawField !== field ? { rawField } : {})
+        });
+      }
+      this.stats.fieldLocations.set(field, locations);
+    }
+  }
+
+  generateResults(coreFields) {
+    const toSortedFields = (counts) => Array.from(counts.entries())
+      .map(([name, count]) => {
+        const locations = this.stats.fieldLocations.get(name) || [];
+        // The best evidence any occurrence gives that this is a field
+        const maxConfidence = Math.max(0, ...locations.map(location => location.confidence || 0));
+        return { name, count, maxConfidence, locations };
+      })
       .sort((a, b) => b.count - a.count);
 
+    // Sort fields by usage count; core fields carry their ECS type and level
+    const sortedCoreFields = toSortedFields(this.stats.coreFieldCounts).map(field => {
+      const definition = coreFields.get(field.name);
+      return definition ? { name: field.name, type: definition.type, level: definition.level, ...field } : field;
+    });
+    const sortedVendorFields = toSortedFields(this.stats.vendorFieldCounts);
+    const sortedCustomFields = toSortedFields(this.stats.customFieldCounts);
+    const sortedFieldPatterns = toSortedFields(this.stats.fieldPatternCounts);
+
     return {
       // File statistics
       totalFiles: this.stats.totalFiles,
@@ -261,14 +434,109 @@ export class ECSAnalyzer {
       topCustomFields: sortedCustomFields,
       totalCustomFieldOccurrences: Array.from(this.stats.customFieldCounts.values()).reduce((a, b) => a + b, 0),
 
+      // Partially resolved field patterns
+      totalFieldPatternsReferenced: this.stats.fieldPatternCounts.size,
+      topFieldPatterns: sortedFieldPatterns,
+      totalFieldPatternOccurrences: Array.from(this.stats.fieldPatternCounts.values()).reduce((a, b) => a + b, 0),
+
+      // Detection rules whose required_fields disagree with their query
+      requiredFieldsMismatches: this.parser.ruleAnalyzer.requiredFieldsMismatches
+        .map(mismatch => ({ ...mismatch, file: path.relative(this.repoPath, mismatch.file) })),
+
+      // Errors extractor plugins threw, so the fields they would have found are missing
+      pluginFailures: this.parser.plugins.failures
+        .map(failure => ({ ...failure, file: path.relative(this.repoPath, failure.file) })),
+
+      // Logstash pipelines that could not be parsed, so none of their fields were collected
+      logstashParseErrors: this.parser.logstashAnalyzer.parseErrors
+        .map(entry => ({ ...entry, file: path.relative(this.repoPath, entry.file) })),
+
+      // Sigma rules referencing fields with no ECS mapping
+      sigmaUnmappedFields: this.parser.sigmaAnalyzer.unmappedFields
+        .map(entry => ({ ...entry, file: path.relative(this.repoPath, entry.file) })),
+
+      // i18n IDs, config keys, uiSettings keys and telemetry names that look like fields
+      nonFieldStrings: this.summarizeNonFieldStrings(),
+
+      // Occurrences ignored through ecs-detective-ignore comments, for auditing
+      suppressedOccurrences: this.parser.suppressionFilter.suppressed
+        .map(occurrence => ({ ...occurrence, file: path.relative(this.repoPath, occurrence.file) })),
+
+      // Referenced fields added, deprecated or removed by the target ECS version
+      ecsVersionChanges: this.summarizeVersionChanges(),
+
+      // Confidence threshold and the occurrences it left out
+      minConfidence: this.minConfidence,
+      lowConfidenceOccurrences: this.stats.lowConfidenceOccurrences,
+
       // Additional metadata
       coreFieldsAvailable: coreFields.size,
+      ecsVersion: this.ecsVersion,
       analysisDate: new Date().toISOString(),
       repoPath: this.repoPath,
       targetDirectories: this.targetDirectories
     };
   }
 
+  /**
+   * Non-field strings grouped by name, with their kind, the number of files using them and
+   * their locations, most used first
+   */
+  summarizeNonFieldStrings() {
+    const byName = new Map();
+    const byKind = {};
+    for (const { field, file, kind, ...details } of this.parser.nonFieldStrings.strings) {
+      const entry = byName.get(field) || { name: field, kind, files: new Set(), locations: [] };
+      const relativePath = path.relative(this.repoPath, file);
+      entry.files.add(relativePath);
+      entry.locations.push({ file: relativePath, ...details });
+      byName.set(field, entry);
+      byKind[kind] = (byKind[kind] || 0) + 1;
+    }
+
+    const strings = Array.from(byName.values())
+      .map(({ files, ...entry }) => ({ name: entry.name, kind: entry.kind, count: files.size, locations: entry.locations }))
+      .sort((a, b) => b.count - a.count);
+    return {
+      total: strings.length,
+      totalOccurrences: this.parser.nonFieldStrings.strings.length,
+      byKind,
+      topStrings: strings
+    };
+  }
+
+  /**
+   * Referenced fields, with their usage and locations, that the target ECS version adds,
+   * deprecates or removes relative to the pinned one; null without a target version.
+   * Custom and vendor fields can be added by the target, core fields deprecated or removed.
+   */
+  summarizeVersionChanges() {
+    if (!this.versionFields) {
+      return null;
+    }
+
+    const { pinned, target } = this.versionFields;
+    const referenced = [
+      ...this.stats.coreFieldCounts.keys(),
+      ...this.stats.vendorFieldCounts.keys(),
+      ...this.stats.customFieldCounts.keys()
+    ];
+    const changes = this.versionComparator.compare(pinned, target, referenced);
+    const withUsage = name => ({
+      name,
+      count: this.stats.coreFieldCounts.get(name) || this.stats.vendorFieldCounts.get(name) || this.stats.customFieldCounts.get(name) || 0,
+      locations: this.stats.fieldLocations.get(name) || []
+    });
+
+    return {
+      pinnedVersion: this.ecsSchemaPath || this.ecsVersion || this.fieldsCSV,
+      targetVersion: this.targetEcsVersion,
+      added: changes.added.map(withUsage),
+      deprecated: changes.deprecated.map(name => ({ ...withUsage(name), description: target.get(name).description })),
+      removed: changes.removed.map(withUsage)
+    };
+  }
+
   async saveResults(results, outputPath) {
     try {
       const output = {
@@ -280,6 +548,12 @@ export class ECSAnalyzer {
           totalCoreFieldsReferenced: results.totalCoreFieldsReferenced,
           totalVendorFieldsReferenced: results.totalVendorFieldsReferenced,
           totalCustomFieldsReferenced: results.totalCustomFieldsReferenced,
+          totalFieldPatternsReferenced: results.totalFieldPatternsReferenced,
+          totalNonFieldStrings: results.nonFieldStrings.total,
+          suppressedOccurrences: results.suppressedOccurrences.length,
+          ecsVersion: results.ecsVersion,
+          minConfidence: results.minConfidence,
+          lowConfidenceOccurrences: results.lowConfidenceOccurrences,
           analysisDate: results.analysisDate
         },
         coreFields: {
@@ -297,6 +571,29 @@ export class ECSAnalyzer {
           totalOccurrences: results.totalCustomFieldOccurrences,
           topFields: results.topCustomFields
         },
+        fieldPatterns: {
+          total: results.totalFieldPatternsReferenced,
+          totalOccurrences: results.totalFieldPatternOccurrences,
+          topFields: results.topFieldPatterns
+        },
+        rules: {
+          requiredFieldsMismatches: results.requiredFieldsMismatches
+        },
+        logstash: {
+          parseErrors: results.logstashParseErrors
+        },
+        plugins: {
+          failures: results.pluginFailures
+        },
+        sigma: {
+          unmappedFields: results.sigmaUnmappedFields
+        },
+        nonFieldStrings: results.nonFieldStrings,
+        suppressions: {
+          total: results.suppressedOccurrences.length,
+          occurrences: results.suppressedOccurrences
+        },
+        ecsVersionChanges: results.ecsVersionChanges,
         metadata: {
           coreFieldsAvailable: results.coreFieldsAvailable,
           repoPath: results.repoPath,
@@ -0,0 +1,1364 @@
+import { parse } from '@babel/parser';
+import chalk from 'chalk';
+import { isFieldOrPattern, RETRIEVAL_KEYS, SOURCE_FILTER_KEYS } from './utils/field-utils.js';
+import { groupIndex } from './field-collector.js';
+import { ConstantResolver } from './constant-resolver.js';
+import { ESClientParser } from './es-client-parser.js';
+import { PainlessAnalyzer } from './painless-analyzer.js';
+import { IndexTemplateAnalyzer } from './index-template-analyzer.js';
+
+// Query clauses whose object keys are field names: { term: { 'user.name': 'x' } }
+const FIELD_KEYED_QUERIES = new Set([
+  'term', 'terms', 'match', 'match_phrase', 'match_phrase_prefix', 'match_bool_prefix',
+  'prefix', 'wildcard', 'regexp', 'fuzzy', 'range', 'terms_set', 'intervals',
+  'span_term', 'geo_bounding_box', 'geo_polygon', 'geo_shape'
+]);
+
+// Option keys that can sit next to field keys inside those clauses
+const QUERY_OPTION_KEYS = new Set([
+  'boost', '_name', 'case_insensitive', 'rewrite', 'format', 'relation', 'time_zone',
+  'validation_method', 'ignore_unmapped', 'type'
+]);
+
+// Keys whose string (or string array) value names a field: { exists: { field: 'x' } }
+const FIELD_VALUE_KEYS = new Set(['field', 'fields', 'default_field']);
+
+// Full-text queries whose `fields` option lists the fields searched
+const FULL_TEXT_QUERIES = new Set(['multi_match', 'query_string', 'simple_query_string', 'combined_fields']);
+
+// Client methods whose arguments carry document literals
+const DOCUMENT_METHODS = new Set(['index', 'create', 'update', 'bulk']);
+
+// Scoped clients that stand in for the client itself: esClient.asCurrentUser.search(...)
+const SCOPED_CLIENT_USERS = new Set(['asCurrentUser', 'asInternalUser', 'asSecondaryAuthUser']);
+
+// Bulk action lines: { index: { _index: 'logs' } }
+const BULK_ACTIONS = new Set(['index', 'create', 'update', 'delete']);
+
+// ES|QL client methods whose `query` parameter is an ES|QL string
+const ESQL_METHODS = new Set(['query', 'asyncQuery', 'async_query']);
+
+// Interfaces and type aliases that look like Elasticsearch documents
+const ES_DOCUMENT_TYPE_NAME = /(?:Document|Doc|Event|Log|Alert|Finding|Hit|Source)/i;
+
+// Members that end a document property chain without naming a field: hit._source.tags.length
+const NON_FIELD_MEMBERS = new Set(['length']);
+
+// Wrappers around chain links that do not change them: hit._source!.user, (doc as LogDocument).user
+const TRANSPARENT_EXPRESSIONS = new Set(['TSNonNullExpression', 'TSAsExpression', 'TSSatisfiesExpression', 'ParenthesizedExpression']);
+
+const FIELD_SHAPE = /^[a-zA-Z@][a-zA-Z0-9_]*(?:\.[a-zA-Z][a-zA-Z0-9_]*)*$/;
+
+// Script field access inside Painless source strings
+const SCRIPT_FIELD_PATTERNS = [
+  /doc\s*\[\s*['"]([^'"]+)['"]\s*\]/g,
+  /params\._source\s*\[\s*['"]([^'"]+)['"]\s*\]/g
+];
+
+// Node keys that never hold child nodes we care about
+const SKIP_KEYS = new Set([
+  'loc', 'start', 'end', 'extra', 'range', 'comments', 'tokens',
+  'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+/**
+ * Extracts field references from JavaScript/TypeScript by walking a Babel syntax tree
+ * instead of scanning the raw text, so comments, nested template literals and
+ * multi-line objects do not confuse the extraction.
+ */
+export class ASTFieldExtractor {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    // Shared with FieldParser so constants indexed from other files can be resolved here
+    this.constantResolver = options.constantResolver || new ConstantResolver({ verbose: this.verbose });
+    this.esClientParser = options.esClientParser || new ESClientParser({ verbose: this.verbose });
+    this.painlessAnalyzer = options.painlessAnalyzer || new PainlessAnalyzer({ verbose: this.verbose });
+    this.templateAnalyzer = options.templateAnalyzer || new IndexTemplateAnalyzer({ verbose: this.verbose });
+    // Names of document interfaces and type aliases declared anywhere in the repository
+    this.documentTypes = new Set();
+  }
+
+  /**
+   * Parse source into a Babel AST. Throws on syntax errors.
+   */
+  parse(content, filePath = '') {
+    const ext = filePath.split('.').pop().toLowerCase();
+    const plugins = ['decorators-legacy'];
+
+    if (ext === 'ts') {
+      plugins.push('typescript');
+    } else if (ext === 'tsx') {
+      plugins.push('typescript', 'jsx');
+    } else {
+      plugins.push('jsx');
+    }
+
+    return parse(content, {
+      sourceType: 'unambiguous',
+      allowImportExportEverywhere: true,
+      allowAwaitOutsideFunction: true,
+      allowReturnOutsideFunction: true,
+      plugins
+    });
+  }
+
+  /**
+   * Extract fields into the given collection.
+   * @returns {boolean} false when the file could not be parsed, so the caller can fall back
+   */
+  extract(content, filePath, fields) {
+    let ast;
+    try {
+      ast = this.parse(content, filePath);
+    } catch (error) {
+      if (this.verbose) {
+        console.log(chalk.yellow(`⚠️  AST parse failed for ${filePath}, falling back to pattern matching: ${error.message}`));
+      }
+      return false;
+    }
+
+    // Re-index this file from the fresh AST so its own constants are always current
+    this.constantResolver.indexAst(ast, filePath);
+    this.indexDocumentTypes(ast);
+
+    const state = { fields, filePath, claimed: new WeakSet(), documentBindings: this.documentBindings(ast) };
+    this.walk(ast.program, [], (node, ancestors) => this.visit(node, ancestors, state));
+    return true;
+  }
+
+  /**
+   * Register component templates defined with indices.putComponentTemplate() so index templates
+   * composing them can be resolved. Called for every file ahead of extraction.
+   */
+  indexComponentTemplates(ast, filePath) {
+    this.walk(ast.program, [], (node) => {
+      if (node.type !== 'CallExpression' || this.propertyName(node.callee) !== 'putComponentTemplate') {
+        return;
+      }
+
+      const params = this.literalValue(node.arguments[0], filePath);
+      const body = params && (params.body || params);
+      if (params && typeof params.name === 'string' && body && typeof body === 'object') {
+        const entries = this.templateAnalyzer.mappingEntries(this.templateAnalyzer.mappingsOf(body));
+        this.templateAnalyzer.registerComponentTemplate(params.name, entries, filePath, node.loc.start.line);
+      }
+    });
+  }
+
+  /**
+   * Register the document interfaces and type aliases a file declares, so variables typed
+   * with them in any file are read as documents. Called for every file ahead of extraction.
+   */
+  indexDocumentTypes(ast) {
+    this.walk(ast.program, [], (node) => {
+      const isInterface = node.type === 'TSInterfaceDeclaration';
+      const isTypeLiteral = node.type === 'TSTypeAliasDeclaration' && node.typeAnnotation.type === 'TSTypeLiteral';
+      if ((isInterface || isTypeLiteral) && ES_DOCUMENT_TYPE_NAME.test(node.id.name)) {
+        this.documentTypes.add(node.id.name);
+      }
+    });
+  }
+
+  /**
+   * Names of the variables and parameters in a file typed as a document: (event: AuditEvent),
+   * const docs: AuditEvent[] = ...
+   */
+  documentBindings(ast) {
+    const bindings = new Set();
+    this.walk(ast.program, [], (node) => {
+      if (node.type === 'Identifier' && node.typeAnnotation && this.isDocumentType(node.typeAnnotation.typeAnnotation)) {
+        bindings.add(node.name);
+      }
+    });
+    return bindings;
+  }
+
+  isDocumentType(type) {
+    if (!type) {
+      return false;
+    }
+    if (type.type === 'TSArrayType') {
+      return this.isDocumentType(type.elementType);
+    }
+    if (type.type !== 'TSTypeReference') {
+      return false;
+    }
+
+    const name = type.typeName.type === 'TSQualifiedName' ? type.typeName.right.name : type.typeName.name;
+    if (name === 'Array' || name === 'ReadonlyArray') {
+      return Boolean(type.typeParameters) && this.isDocumentType(type.typeParameters.params[0]);
+    }
+    return this.documentTypes.has(name);
+  }
+
+  walk(node, ancestors, visit) {
+    visit(node, ancestors);
+
+    ancestors.push(node);
+    for (const key of Object.keys(node)) {
+      if (SKIP_KEYS.has(key)) {
+        continue;
+      }
+      const child = node[key];
+      if (Array.isArray(child)) {
+        for (const item of child) {
+          if (item && typeof item.type === 'string') {
+            this.walk(item, ancestors, visit);
+          }
+        }
+      } else if (child && typeof child.type === 'string') {
+        this.walk(child, ancestors, visit);
+      }
+    }
+    ancestors.pop();
+  }
+
+  visit(node, ancestors, state) {
+    switch (node.type) {
+      case 'ObjectExpression':
+        this.visitQueryObject(node, state);
+        break;
+      case 'ObjectProperty':
+        this.visitObjectProperty(node, ancestors, state);
+        break;
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        this.visitMemberExpression(node, ancestors, state);
+        break;
+      case 'CallExpression':
+      case 'OptionalCallExpression':
+        this.visitCallExpression(node, state);
+        break;
+      case 'ObjectPattern':
+        this.visitObjectPattern(node, ancestors, state);
+        break;
+      case 'TSInterfaceDeclaration':
+        if (ES_DOCUMENT_TYPE_NAME.test(node.id.name)) {
+          this.extractFromTypeMembers(node.body.body, '', state);
+        }
+        break;
+      case 'TSTypeAliasDeclaration':
+        if (ES_DOCUMENT_TYPE_NAME.test(node.id.name) && node.typeAnnotation.type === 'TSTypeLiteral') {
+          this.extractFromTypeMembers(node.typeAnnotation.members, '', state);
+        }
+        break;
+      case 'StringLiteral':
+        this.visitStringLiteral(node, node.value, ancestors, state);
+        break;
+      case 'TemplateLiteral':
+        if (node.expressions.length === 0) {
+          this.visitStringLiteral(node, node.quasis[0].value.cooked, ancestors, state);
+        } else if (!this.extractFromESQL(node, false, state)) {
+          node.quasis.forEach(quasi => this.extractFromScriptSource(quasi.value.cooked, quasi, quasi.start, state));
+          this.visitComputedString(node, 'template', ancestors, state);
+        }
+        break;
+      case 'BinaryExpression':
+        // Only the outermost `+` of a chain: 'kibana.' + 'alert.' + name
+        if (node.operator === '+' && !this.isConcatenation(ancestors[ancestors.length - 1])) {
+          this.visitComputedString(node, 'concatenation', ancestors, state);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  visitObjectProperty(node, ancestors, state) {
+    const name = this.propertyKeyName(node);
+    const value = node.value;
+    if (!name || !value) {
+      return;
+    }
+
+    if (name === 'kuery') {
+      this.extractFromQueryString(value, 'kql', state);
+      return;
+    }
+
+    if (name === 'query_string' && value.type === 'ObjectExpression') {
+      const query = this.findProperty(value, 'query');
+      if (query) {
+        this.extractFromQueryString(query.value, 'lucene', state);
+      }
+      // default_field and fields are picked up when the walk reaches them
+      return;
+    }
+
+    // Scripts in queries, aggregations, update_by_query and ingest processors, and
+    // processor conditions ({ set: { if: "ctx.event?.kind == 'alert'" } })
+    if (name === 'script' || name === 'if') {
+      this.extractFromPainless(value, state);
+      return;
+    }
+
+    // Search-time runtime_mappings and mapping-level runtime fields
+    if ((name === 'runtime_mappings' || name === 'runtime') && value.type === 'ObjectExpression') {
+      this.extractFromRuntimeFields(value, state);
+      return;
+    }
+
+    if (FIELD_KEYED_QUERIES.has(name) && value.type === 'ObjectExpression') {
+      for (const prop of value.properties) {
+        const key = this.fieldKey(prop, state);
+        if (key && !QUERY_OPTION_KEYS.has(key.value)) {
+          this.addField(key.value, prop.key, 'queryDSL', state, key);
+        }
+      }
+      return;
+    }
+
+    if (FIELD_VALUE_KEYS.has(name)) {
+      // `fields` is the fields API everywhere but inside full-text queries ({ multi_match: { fields } })
+      const owner = this.propertyKeyName(ancestors[ancestors.length - 2]);
+      const context = name === 'fields' && !FULL_TEXT_QUERIES.has(owner) ? 'retrieval' : 'queryDSL';
+      if (context === 'retrieval') {
+        // fields: ['user.*', { field: '@timestamp', format: 'epoch_millis' }]
+        this.extractFromFieldList(value, state);
+        return;
+      }
+      const elements = value.type === 'ArrayExpression' ? value.elements : [value];
+      for (const element of elements) {
+        const resolved = this.fieldValue(element, state);
+        if (resolved) {
+          this.addField(resolved.value, element, context, state, resolved);
+        }
+      }
+      return;
+    }
+
+    if (name === 'sort') {
+      this.extractFromSort(value, state);
+      return;
+    }
+
+    if (RETRIEVAL_KEYS.has(name)) {
+      this.extractFromFieldList(value, state);
+      return;
+    }
+
+    if (name === 'highlight' && value.type === 'ObjectExpression') {
+      this.extractFromHighlight(value, state);
+      return;
+    }
+
+    if (name === 'properties' && value.type === 'ObjectExpression' && !state.claimed.has(value)) {
+      this.extractFromMappingProperties(value, '', state);
+      return;
+    }
+
+    if (name === 'dynamic_templates' && value.type === 'ArrayExpression') {
+      this.extractFromDynamicTemplates(value, state);
+      return;
+    }
+
+    if (name === 'composed_of' && value.type === 'ArrayExpression') {
+      this.extractFromComposedOf(value, state);
+    }
+  }
+
+  /**
+   * Kibana query objects and rule definitions: { query: 'host.name: x', language: 'kuery' }
+   */
+  visitQueryObject(node, state) {
+    const language = this.findProperty(node, 'language');
+    const query = language && this.findProperty(node, 'query');
+    if (!query) {
+      return;
+    }
+
+    const languageName = this.stringValue(language.value);
+    const queryLanguage = this.esClientParser.queryStringLanguage(languageName);
+    if (queryLanguage) {
+      this.extractFromQueryString(query.value, queryLanguage, state);
+    } else if (languageName === 'eql') {
+      this.extractFromEQL(query.value, state);
+    }
+  }
+
+  visitMemberExpression(node, ancestors, state) {
+    const object = node.object;
+    // doc['field.name'] in scripts written as code
+    if (node.computed && object.type === 'Identifier' && object.name === 'doc') {
+      const resolved = this.fieldValue(node.property, state);
+      if (resolved) {
+        this.addField(resolved.value, node.property, 'script', state, resolved);
+      }
+      return;
+    }
+
+    // Only the outermost link of a chain: hit._source.user.name, not hit._source.user
+    const parent = this.chainParent(node, ancestors);
+    if (parent && this.isMember(parent.node) && this.unwrapExpression(parent.node.object) === node) {
+      return;
+    }
+
+    const chain = this.memberChain(node, state);
+    const start = this.documentChainStart(chain, state);
+    if (start === -1) {
+      return;
+    }
+
+    // hit._source.user.name.toLowerCase(): the method is not part of the field
+    const isCallee = parent && (parent.node.type === 'CallExpression' || parent.node.type === 'OptionalCallExpression') &&
+      this.unwrapExpression(parent.node.callee) === node;
+    const access = parent && parent.node.type === 'AssignmentExpression' && parent.node.left === node ? 'write' : 'read';
+    this.addDocumentPath(chain.slice(start), isCallee, access, state);
+  }
+
+  /**
+   * Where the document part of a member chain starts: after `_source`, at the single
+   * `fields['host.ip']` key of a fields API response, or after a variable typed as a document
+   * @returns {number} Index into the chain, or -1 when the chain does not read a document
+   */
+  documentChainStart(chain, state) {
+    for (let i = chain.length - 1; i >= 0; i--) {
+      if (chain[i].name === '_source') {
+        return i + 1;
+      }
+    }
+
+    const fieldsIndex = chain.findIndex(link => link.name === 'fields');
+    if (fieldsIndex > 0 && chain[fieldsIndex + 1] && chain[fieldsIndex + 1].computed) {
+      return fieldsIndex + 1;
+    }
+
+    const root = chain[0];
+    if (root && root.root && state.documentBindings.has(root.name)) {
+      // events[0].host.name
+      let start = 1;
+      while (chain[start] && chain[start].index) {
+        start++;
+      }
+      return start;
+    }
+    return -1;
+  }
+
+  /**
+   * Record the field a chain of document links names, up to the first array index or unknown key
+   */
+  addDocumentPath(links, isCallee, access, state) {
+    const named = [];
+    for (const link of links) {
+      if (!link.name) {
+        break;
+      }
+      named.push(link);
+    }
+    if (isCallee && named.length === links.length) {
+      named.pop();
+    }
+    while (named.length > 0 && NON_FIELD_MEMBERS.has(named[named.length - 1].name)) {
+      named.pop();
+    }
+    if (named.length === 0) {
+      return;
+    }
+
+    const first = named[0];
+    const details = { ...(first.resolved || {}), access };
+    this.addField(named.map(link => link.name).join('.'), first.node, 'documentAccess', state, details);
+    named.forEach(link => state.claimed.add(link.node));
+  }
+
+  /**
+   * The links of a member chain from its root: hit._source?.['host.ip'] is hit, _source, host.ip.
+   * Array indexes have `index` set and keys that cannot be resolved have no name.
+   */
+  memberChain(node, state) {
+    const links = [];
+    let current = this.unwrapExpression(node);
+    while (this.isMember(current)) {
+      const property = current.property;
+      if (!current.computed) {
+        links.unshift({ name: property.name, node: property });
+      } else if (property.type === 'NumericLiteral') {
+        links.unshift({ index: true, node: property });
+      } else {
+        const resolved = this.fieldValue(property, state);
+        links.unshift(resolved
+          ? { name: resolved.value, node: property, computed: true, resolved }
+          : { node: property, computed: true });
+      }
+      current = this.unwrapExpression(current.object);
+    }
+    if (current && current.type === 'Identifier') {
+      links.unshift({ name: current.name, node: current, root: true });
+    }
+    return links;
+  }
+
+  /**
+   * The nearest ancestor that is not a transparent wrapper, and the node it wraps
+   */
+  chainParent(node, ancestors) {
+    let child = node;
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      if (!TRANSPARENT_EXPRESSIONS.has(ancestors[i].type)) {
+        return { node: ancestors[i], child };
+      }
+      child = ancestors[i];
+    }
+    return null;
+  }
+
+  unwrapExpression(node) {
+    while (node && TRANSPARENT_EXPRESSIONS.has(node.type)) {
+      node = node.expression;
+    }
+    return node;
+  }
+
+  isMember(node) {
+    return Boolean(node) && (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression');
+  }
+
+  /**
+   * Destructuring reads of documents: const { process: { pid } } = hit._source,
+   * ({ _source: { user } }) => ..., ({ host }: AuditEvent) => ...
+   */
+  visitObjectPattern(node, ancestors, state) {
+    const parent = ancestors[ancestors.length - 1];
+    // Nested patterns are walked from the outermost one
+    if (parent && parent.type === 'ObjectProperty') {
+      return;
+    }
+
+    const annotation = node.typeAnnotation && node.typeAnnotation.typeAnnotation;
+    if (this.isDocumentType(annotation)) {
+      this.extractFromObjectPattern(node, [], state);
+      return;
+    }
+
+    const init = parent && parent.type === 'VariableDeclarator' && parent.id === node ? parent.init : null;
+    if (init) {
+      const chain = this.memberChain(init, state);
+      const start = this.documentChainStart(chain, state);
+      if (start !== -1) {
+        const links = chain.slice(start);
+        if (links.every(link => link.name)) {
+          this.extractFromObjectPattern(node, links, state);
+          return;
+        }
+      }
+    }
+    this.extractFromObjectPattern(node, null, state);
+  }
+
+  /**
+   * @param {Object[]|null} prefix - Document links the pattern destructures, or null outside a
+   *   document (where only a `_source` property starts one)
+   */
+  extractFromObjectPattern(pattern, prefix, state) {
+    for (const prop of pattern.properties) {
+      if (prop.type !== 'ObjectProperty') {
+        continue;
+      }
+      const name = prop.computed ? (this.fieldValue(prop.key, state) || {}).value : this.keyName(prop.key);
+      if (!name) {
+        continue;
+      }
+
+      // { pid = 0 } defaults
+      const value = prop.value && prop.value.type === 'AssignmentPattern' ? prop.value.left : prop.value;
+      if (prefix === null) {
+        if (value && value.type === 'ObjectPattern') {
+          this.extractFromObjectPattern(value, name === '_source' ? [] : null, state);
+        }
+        continue;
+      }
+
+      const links = [...prefix, { name, node: prop.key }];
+      if (value && value.type === 'ObjectPattern') {
+        this.extractFromObjectPattern(value, links, state);
+      } else {
+        this.addDocumentPath(links, false, 'read', state);
+      }
+    }
+  }
+
+  visitCallExpression(node, state) {
+    const callee = node.callee;
+    if (callee.type !== 'MemberExpression' && callee.type !== 'OptionalMemberExpression') {
+      return;
+    }
+
+    const method = callee.computed ? null : callee.property.name;
+    const params = node.arguments[0];
+    if (!params || params.type !== 'ObjectExpression') {
+      return;
+    }
+
+    // client.esql.query({ query: ... }) takes ES|QL even when it does not start with FROM
+    if (ESQL_METHODS.has(method) && this.propertyName(callee.object) === 'esql') {
+      const query = this.findProperty(params, 'query');
+      if (query) {
+        this.extractFromESQL(query.value, true, state);
+      }
+      return;
+    }
+
+    // client.eql.search({ query }) or, with older clients, { body: { query } }
+    if (method === 'search' && this.propertyName(callee.object) === 'eql') {
+      const body = this.findProperty(params, 'body');
+      const query = this.findProperty(params, 'query') ||
+        (body && body.value.type === 'ObjectExpression' ? this.findProperty(body.value, 'query') : null);
+      if (query) {
+        this.extractFromEQL(query.value, state);
+      }
+      return;
+    }
+
+    // client.indices.create() and friends are not document operations
+    if (!DOCUMENT_METHODS.has(method) || !this.isClientReceiver(callee.object) ||
+      this.propertyName(callee.object) === 'indices') {
+      return;
+    }
+
+    const body = this.findProperty(params, 'body');
+
+    if (method === 'bulk') {
+      // v8 clients take { operations }, older ones { body }; client.helpers.bulk({ datasource })
+      // takes documents only
+      const isHelper = this.propertyName(callee.object) === 'helpers';
+      const operations = isHelper
+        ? this.findProperty(params, 'datasource')
+        : this.findProperty(params, 'operations') || body;
+      if (operations && operations.value.type === 'ArrayExpression') {
+        let action = null;
+        for (const element of operations.value.elements) {
+          if (!element || element.type !== 'ObjectExpression') {
+            action = null;
+            continue;
+          }
+          if (!isHelper && this.isBulkAction(element)) {
+            action = this.propertyKeyName(element.properties[0]);
+            continue;
+          }
+          // The line after an update action is { doc, upsert }, not the document itself
+          const parts = action === 'update' ? this.updateParts(element) : [];
+          (parts.length > 0 ? parts.map(part => part.value) : [element])
+            .forEach(document => this.extractFromDocument(document, state));
+          action = null;
+        }
+      }
+      return;
+    }
+
+    if (method === 'update') {
+      // update() takes the partial document as { doc } and { upsert }, at the top level in v8
+      // clients or inside body in older ones
+      const container = body && body.value.type === 'ObjectExpression' ? body.value : params;
+      const parts = this.updateParts(container);
+      if (parts.length === 0 && body && body.value.type === 'ObjectExpression') {
+        parts.push(body);
+      }
+      parts.forEach(part => this.extractFromDocument(part.value, state));
+      return;
+    }
+
+    // index() and create(): { document } in v8 clients, { body } in older ones
+    const document = this.findProperty(params, 'document') || body;
+    if (document && document.value.type === 'ObjectExpression') {
+      this.extractFromDocument(document.value, state);
+    }
+  }
+
+  visitStringLiteral(node, value, ancestors, state) {
+    if (this.extractFromESQL(node, false, state) || state.claimed.has(node)) {
+      return;
+    }
+
+    // Skip the opening quote or backtick so offsets land inside the string
+    this.extractFromScriptSource(value, node, node.start + 1, state);
+
+    if (this.isModuleSpecifier(node, ancestors[ancestors.length - 1])) {
+      return;
+    }
+
+    if (FIELD_SHAPE.test(value) && !this.isPrefixDefinition(node, ancestors, state)) {
+      this.addField(value, node, this.literalContext(node, ancestors), state);
+    }
+  }
+
+  /**
+   * Where a dotted literal that no structural extractor claimed sits: a constant definition,
+   * an object key ({ 'custom.session.id': id }), or anywhere else (`stringLiteral`, which
+   * FieldParser drops unless bare strings are asked for)
+   */
+  literalContext(node, ancestors) {
+    if (this.isConstantDefinition(node, ancestors)) {
+      return 'constant';
+    }
+    const parent = ancestors[ancestors.length - 1];
+    if (parent && parent.type === 'ObjectProperty' && parent.key === node) {
+      return 'objectKey';
+    }
+    return 'stringLiteral';
+  }
+
+  /**
+   * Template literals and concatenations outside field positions. Parts that cannot be
+   * evaluated become `*`, so the result may be a field pattern; a pattern none of whose parts
+   * came from a constant (`filePath + '.bak'`) is only a bare string.
+   */
+  visitComputedString(node, context, ancestors, state) {
+    if (state.claimed.has(node) || this.isModuleSpecifier(node, ancestors[ancestors.length - 1])) {
+      return;
+    }
+
+    const resolved = this.constantResolver.resolveString(node, state.filePath);
+    if (!resolved || this.isPrefixDefinition(node, ancestors, state)) {
+      return;
+    }
+    if (resolved.resolution === 'partial' && !resolved.constant) {
+      this.addField(resolved.value, node, 'stringLiteral', state, resolved);
+      return;
+    }
+    this.addField(resolved.value, node, this.isConstantDefinition(node, ancestors) ? 'constant' : context, state, resolved);
+  }
+
+  /**
+   * `const USER_NAME_FIELD = 'user.name'` or `enum Fields { UserName = 'user.name' }`; the
+   * usage sites are attributed separately when the constant is resolved
+   */
+  isConstantDefinition(node, ancestors) {
+    let child = node;
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const parent = ancestors[i];
+      if (parent.type === 'TSAsExpression' || parent.type === 'TSSatisfiesExpression') {
+        child = parent;
+        continue;
+      }
+      return (parent.type === 'VariableDeclarator' && parent.init === child) ||
+        (parent.type === 'TSEnumMember' && parent.initializer === child);
+    }
+    return false;
+  }
+
+  /**
+   * `const ALERT_NAMESPACE = 'kibana.alert'` when the constant is only concatenated into
+   * longer names (`${ALERT_NAMESPACE}.rule.name`): those are reported where they are built,
+   * and the namespace itself is not a field
+   */
+  isPrefixDefinition(node, ancestors, state) {
+    if (!this.isConstantDefinition(node, ancestors)) {
+      return false;
+    }
+    const declarator = [...ancestors].reverse().find(ancestor => ancestor.type === 'VariableDeclarator');
+    return Boolean(declarator && declarator.id.type === 'Identifier' &&
+      this.constantResolver.isPrefixConstant(state.filePath, declarator.id.name));
+  }
+
+  extractFromScriptSource(source, node, baseIndex, state) {
+    if (!source || (!source.includes('doc') && !source.includes('_source'))) {
+      return;
+    }
+
+    for (const pattern of SCRIPT_FIELD_PATTERNS) {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(source)) !== null) {
+        this.addField(match[1], node, 'script', state, { index: baseIndex + groupIndex(match) });
+      }
+    }
+  }
+
+  /**
+   * Extract fields from a string or template literal holding an ES|QL query
+   * @param {boolean} force - Treat the literal as ES|QL even if it does not look like a query
+   * @returns {boolean} Whether the literal was handled as ES|QL
+   */
+  extractFromESQL(node, force, state) {
+    const query = this.queryText(node, state);
+    if (!query || (!force && !this.esClientParser.isESQLQuery(query.text))) {
+      return false;
+    }
+
+    state.claimed.add(node);
+    this.esClientParser.extractFromESQL(query.text, state.fields, query.locate, 'ast:esql');
+    return true;
+  }
+
+  /**
+   * Extract fields from a string or template literal holding a KQL or Lucene query
+   */
+  extractFromQueryString(node, language, state) {
+    const query = this.queryText(node, state);
+    if (!query) {
+      return;
+    }
+
+    state.claimed.add(node);
+    this.esClientParser.extractFromQueryString(query.text, state.fields, query.locate, language, 'ast:queryString');
+  }
+
+  /**
+   * Extract fields from a string or template literal holding an EQL query
+   */
+  extractFromEQL(node, state) {
+    const query = this.queryText(node, state);
+    if (!query) {
+      return;
+    }
+
+    state.claimed.add(node);
+    this.esClientParser.extractFromEQL(query.text, state.fields, query.locate, 'ast:eql');
+  }
+
+  /**
+   * Extract fields from a Painless script: a source string, or a script object whose
+   * `source` (or legacy `inline`) holds one. Scripts in other languages are skipped.
+   * @param {string|null} runtimeField - Runtime field the script emits values for
+   */
+  extractFromPainless(node, state, runtimeField = null) {
+    if (node && node.type === 'ObjectExpression') {
+      const lang = this.findProperty(node, 'lang');
+      if (lang && this.stringValue(lang.value) !== 'painless') {
+        return;
+      }
+      const source = this.findProperty(node, 'source') || this.findProperty(node, 'inline');
+      node = source ? source.value : null;
+    }
+
+    const script = this.queryText(node, state);
+    if (!script) {
+      return;
+    }
+
+    state.claimed.add(node);
+    this.painlessAnalyzer.extractFields(script.text, state.fields, script.locate, 'ast:painless', { runtimeField });
+  }
+
+  /**
+   * runtime_mappings: { day_of_week: { type: 'keyword', script: { source: 'emit(...)' } } }
+   * defines (writes) each runtime field and analyses the script that computes it
+   */
+  extractFromRuntimeFields(objectNode, state) {
+    for (const prop of objectNode.properties) {
+      const key = this.fieldKey(prop, state);
+      if (!key || !prop.value || prop.value.type !== 'ObjectExpression') {
+        continue;
+      }
+
+      this.addField(key.value, prop.key, 'runtime', state, { ...key, access: 'write' });
+      const script = this.findProperty(prop.value, 'script');
+      if (script) {
+        this.extractFromPainless(script.value, state, key.value);
+      }
+    }
+  }
+
+  /**
+   * Text of a string or template literal holding a query. Template placeholders that resolve
+   * to a constant are substituted and the rest are blanked; `locate` maps an offset in the
+   * text back to an offset in the file.
+   * @returns {{text: string, locate: Function}|null}
+   */
+  queryText(node, state) {
+    if (!node || state.claimed.has(node)) {
+      return null;
+    }
+    if (node.type === 'StringLiteral') {
+      return { text: node.value, locate: index => node.start + 1 + index };
+    }
+    if (node.type !== 'TemplateLiteral') {
+      return null;
+    }
+
+    let text = '';
+    const segments = [];
+    node.quasis.forEach((quasi, i) => {
+      segments.push({ at: text.length, start: quasi.start, substituted: false });
+      text += quasi.value.cooked;
+
+      const expression = node.expressions[i];
+      if (expression) {
+        const resolved = this.constantResolver.resolveString(expression, state.filePath);
+        segments.push({ at: text.length, start: expression.start, substituted: true });
+        text += resolved && resolved.resolution === 'resolved' ? resolved.value : ' ';
+      }
+    });
+
+    const locate = (index) => {
+      const segment = segments.filter(candidate => candidate.at <= index).pop();
+      return segment.substituted ? segment.start : segment.start + index - segment.at;
+    };
+    return { text, locate };
+  }
+
+  extractFromSort(value, state) {
+    const entries = value.type === 'ArrayExpression' ? value.elements : [value];
+    for (const entry of entries) {
+      if (!entry) {
+        continue;
+      }
+      if (entry.type === 'ObjectExpression') {
+        for (const prop of entry.properties) {
+          const key = this.fieldKey(prop, state);
+          if (key) {
+            this.addField(key.value, prop.key, 'queryDSL', state, key);
+          }
+        }
+      } else {
+        const resolved = this.fieldValue(entry, state);
+        if (resolved) {
+          this.addField(resolved.value, entry, 'queryDSL', state, resolved);
+        }
+      }
+    }
+  }
+
+  /**
+   * Fields a search returns: `_source: ['host.*']`, `_source: { includes, excludes }`,
+   * `docvalue_fields: [{ field: '@timestamp', format: 'epoch_millis' }]`, `stored_fields`,
+   * `collapse: { field: 'user.id' }`.
+   * `_source: false` and `_source: { enabled: false }` in mappings name no fields.
+   */
+  extractFromFieldList(value, state) {
+    const entries = value.type === 'ArrayExpression' ? value.elements : [value];
+    for (const entry of entries) {
+      if (!entry) {
+        continue;
+      }
+      if (entry.type === 'ObjectExpression') {
+        for (const prop of entry.properties) {
+          const key = this.propertyKeyName(prop);
+          if (key === 'field' || SOURCE_FILTER_KEYS.has(key)) {
+            state.claimed.add(prop.value);
+            this.extractFromFieldList(prop.value, state);
+          }
+        }
+      } else {
+        const resolved = this.fieldValue(entry, state);
+        if (resolved) {
+          this.addField(resolved.value, entry, 'retrieval', state, resolved);
+        }
+      }
+    }
+  }
+
+  /**
+   * highlight: { fields: { message: {} } } or, to keep the order, fields: [{ message: {} }]
+   */
+  extractFromHighlight(objectNode, state) {
+    const highlighted = this.findProperty(objectNode, 'fields');
+    if (!highlighted) {
+      return;
+    }
+
+    const entries = highlighted.value.type === 'ArrayExpression' ? highlighted.value.elements : [highlighted.value];
+    for (const entry of entries) {
+      if (!entry || entry.type !== 'ObjectExpression') {
+        continue;
+      }
+      for (const prop of entry.properties) {
+        const key = this.fieldKey(prop, state);
+        if (key) {
+          this.addField(key.value, prop.key, 'retrieval', state, key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Walk a mapping `properties` object, following nested `properties` to build full paths
+   */
+  extractFromMappingProperties(objectNode, prefix, state) {
+    state.claimed.add(objectNode);
+
+    for (const prop of objectNode.properties) {
+      const key = this.fieldKey(prop, state);
+      if (!key) {
+        continue;
+      }
+
+      const fieldPath = prefix ? `${prefix}.${key.value}` : key.value;
+      const nested = prop.value && prop.value.type === 'ObjectExpression'
+        ? this.findProperty(prop.value, 'properties')
+        : null;
+
+      if (nested && nested.value.type === 'ObjectExpression') {
+        state.claimed.add(prop.key);
+        this.extractFromMappingProperties(nested.value, fieldPath, state);
+        continue;
+      }
+
+      this.addField(fieldPath, prop.key, 'mapping', state, key);
+
+      // Multi-fields ({ fields: { keyword: { type: 'keyword' } } }) are recorded against their parent
+      const multiFields = prop.value && prop.value.type === 'ObjectExpression'
+        ? this.findProperty(prop.value, 'fields')
+        : null;
+      if (multiFields && multiFields.value.type === 'ObjectExpression') {
+        for (const multiField of multiFields.value.properties) {
+          const multiFieldName = this.propertyKeyName(multiField);
+          if (multiFieldName) {
+            this.addField(fieldPath, multiField.key, 'mapping', state, { ...key, multiField: multiFieldName });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * dynamic_templates: [{ labels: { path_match: 'labels.*', mapping: { type: 'keyword' } } }]
+   * reports each `path_match` as a field pattern
+   */
+  extractFromDynamicTemplates(arrayNode, state) {
+    for (const element of arrayNode.elements) {
+      if (!element || element.type !== 'ObjectExpression') {
+        continue;
+      }
+      for (const template of element.properties) {
+        const templateName = this.propertyKeyName(template);
+        const pathMatch = template.value && template.value.type === 'ObjectExpression'
+          ? this.findProperty(template.value, 'path_match')
+          : null;
+        if (!templateName || !pathMatch) {
+          continue;
+        }
+
+        const patterns = pathMatch.value.type === 'ArrayExpression' ? pathMatch.value.elements : [pathMatch.value];
+        for (const pattern of patterns) {
+          const resolved = this.fieldValue(pattern, state);
+          if (resolved) {
+            this.addField(resolved.value, pattern, 'mapping', state, { ...resolved, dynamicTemplate: templateName });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * composed_of: ['logs-mappings'] contributes the fields of component templates defined in the
+   * repository, attributed to the entry with `via` pointing at the component template
+   */
+  extractFromComposedOf(arrayNode, state) {
+    for (const element of arrayNode.elements) {
+      const resolved = this.fieldValue(element, state);
+      const template = resolved && this.templateAnalyzer.resolveComponentTemplate(resolved.value);
+      state.claimed.add(element);
+      if (!template) {
+        continue;
+      }
+
+      const via = { template: resolved.value, file: template.file, line: template.line };
+      for (const entry of template.entries) {
+        const details = { via, multiField: entry.multiField, dynamicTemplate: entry.dynamicTemplate };
+        this.addField(entry.field, element, 'composedTemplate', state, details);
+      }
+    }
+  }
+
+  /**
+   * Plain value of an object or array literal, with strings resolved through constants.
+   * Parts that cannot be evaluated statically are left out.
+   */
+  literalValue(node, filePath) {
+    node = this.constantResolver.unwrap(node);
+    if (!node) {
+      return undefined;
+    }
+
+    switch (node.type) {
+      case 'ObjectExpression': {
+        const value = {};
+        for (const prop of node.properties) {
+          const key = prop.type === 'ObjectProperty' && prop.computed
+            ? this.constantResolver.resolveString(prop.key, filePath)?.value
+            : this.propertyKeyName(prop);
+          const propertyValue = key ? this.literalValue(prop.value, filePath) : undefined;
+          if (propertyValue !== undefined) {
+            value[key] = propertyValue;
+          }
+        }
+        return value;
+      }
+      case 'ArrayExpression':
+        return node.elements.map(element => this.literalValue(element, filePath)).filter(element => element !== undefined);
+      case 'BooleanLiteral':
+      case 'NumericLiteral':
+        return node.value;
+      default: {
+        const resolved = this.constantResolver.resolveString(node, filePath);
+        return resolved && resolved.resolution === 'resolved' ? resolved.value : undefined;
+      }
+    }
+  }
+
+  /**
+   * The { doc } and { upsert } partial documents of an update
+   */
+  updateParts(objectNode) {
+    return ['doc', 'upsert']
+      .map(name => this.findProperty(objectNode, name))
+      .filter(part => part && part.value.type === 'ObjectExpression');
+  }
+
+  /**
+   * Walk a document literal, flattening nested objects into dotted paths: { user: { name } }
+   * and { 'user.name': x } both give user.name. Arrays of objects are flattened under their
+   * key, and spreads of object literals the ConstantResolver knows are followed; their fields
+   * are reported at the spread, with `via` naming the constant.
+   * @param {Object|null} spread - { node, via } while walking the object a spread refers to
+   */
+  extractFromDocument(objectNode, state, prefix = '', spread = null, seen = new Set()) {
+    seen.add(objectNode);
+
+    for (const prop of objectNode.properties) {
+      if (prop.type === 'SpreadElement') {
+        const resolved = this.constantResolver.resolveObject(prop.argument, state.filePath);
+        if (resolved && !seen.has(resolved.object)) {
+          this.extractFromDocument(resolved.object, state, prefix, spread || { node: prop.argument, via: resolved.via }, seen);
+        }
+        continue;
+      }
+
+      // Computed keys in a spread object belong to another scope, so only literal keys are used there
+      const name = spread ? this.propertyKeyName(prop) : null;
+      const key = spread ? (name ? { value: name, via: null } : null) : this.fieldKey(prop, state);
+      if (!key) {
+        continue;
+      }
+
+      const fieldPath = prefix ? `${prefix}.${key.value}` : key.value;
+      const children = this.documentChildren(prop.value);
+      if (children) {
+        if (!spread) {
+          state.claimed.add(prop.key);
+        }
+        children.forEach(child => this.extractFromDocument(child, state, fieldPath, spread, seen));
+      } else if (spread) {
+        this.addField(fieldPath, spread.node, 'document', state, { via: spread.via });
+      } else {
+        this.addField(fieldPath, prop.key, 'document', state, key);
+      }
+    }
+
+    seen.delete(objectNode);
+  }
+
+  /**
+   * Object literals nested under a document key: { user: { name } } or { hosts: [{ ip }] }.
+   * Empty objects and geo points ({ lat, lon }) are values of the key itself.
+   */
+  documentChildren(value) {
+    if (!value) {
+      return null;
+    }
+    if (value.type === 'ObjectExpression') {
+      const keys = value.properties.map(prop => this.propertyKeyName(prop)).sort();
+      const isGeoPoint = keys.length === 2 && keys[0] === 'lat' && keys[1] === 'lon';
+      return value.properties.length === 0 || isGeoPoint ? null : [value];
+    }
+    if (value.type === 'ArrayExpression' && value.elements.length > 0 &&
+      value.elements.every(element => element && element.type === 'ObjectExpression')) {
+      return value.elements;
+    }
+    return null;
+  }
+
+  extractFromTypeMembers(members, prefix, state) {
+    for (const member of members) {
+      if (member.type !== 'TSPropertySignature') {
+        continue;
+      }
+
+      const name = member.computed ? null : this.keyName(member.key);
+      if (!name) {
+        continue;
+      }
+
+      const fieldPath = prefix ? `${prefix}.${name}` : name;
+      const type = member.typeAnnotation && member.typeAnnotation.typeAnnotation;
+
+      if (type && type.type === 'TSTypeLiteral') {
+        state.claimed.add(member.key);
+        this.extractFromTypeMembers(type.members, fieldPath, state);
+      } else {
+        this.addField(fieldPath, member.key, 'interface', state);
+      }
+    }
+  }
+
+  /**
+   * Record a field found at `node` (or at a character `details.index` inside it).
+   * `details.via` names the constant the field was resolved through, if any,
+   * `details.resolution` whether a computed name was fully or only partially resolved,
+   * `details.access` whether the document is read or written, and `details.multiField` and
+   * `details.dynamicTemplate` where a mapping defines the field.
+   */
+  addField(fieldName, node, context, state, details = {}) {
+    state.claimed.add(node);
+    if (!isFieldOrPattern(fieldName)) {
+      return;
+    }
+    this.claimParts(node, state);
+
+    // Columns point at the field name itself, past any opening quote
+    const quoted = node.type === 'StringLiteral' || node.type === 'TemplateLiteral';
+    const location = details.index !== undefined
+      ? { index: details.index }
+      : { line: node.loc.start.line, column: node.loc.start.column + (quoted ? 2 : 1) };
+    const meta = { ...location, extractor: `ast:${context}` };
+    if (details.via) {
+      meta.via = details.via;
+    }
+    if (details.resolution) {
+      meta.resolution = details.resolution;
+    }
+    if (details.access) {
+      meta.access = details.access;
+    }
+    if (details.multiField) {
+      meta.multiField = details.multiField;
+    }
+    if (details.dynamicTemplate) {
+      meta.dynamicTemplate = details.dynamicTemplate;
+    }
+    state.fields.add(fieldName, meta);
+  }
+
+  /**
+   * The literals a template or concatenation was built from are part of its field, not
+   * fields of their own
+   */
+  claimParts(node, state) {
+    const parts = node.type === 'TemplateLiteral'
+      ? node.expressions
+      : this.isConcatenation(node) ? [node.left, node.right] : [];
+
+    for (const part of parts) {
+      state.claimed.add(part);
+      this.claimParts(part, state);
+    }
+  }
+
+  isConcatenation(node) {
+    return Boolean(node) && node.type === 'BinaryExpression' && node.operator === '+';
+  }
+
+  /**
+   * Receiver chains of client calls: client, this.esClient, esClient.asCurrentUser,
+   * scopedClusterClient.asInternalUser, context.core.elasticsearch.client.helpers
+   */
+  isClientReceiver(node) {
+    for (let current = node; current; current = current.object) {
+      const name = this.propertyName(current);
+      if (name && (/client$/i.test(name) || SCOPED_CLIENT_USERS.has(name))) {
+        return true;
+      }
+      if (current.type !== 'MemberExpression' && current.type !== 'OptionalMemberExpression') {
+        break;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Name of an identifier, or the property name of a non-computed member expression
+   */
+  propertyName(node) {
+    if (node.type === 'Identifier') {
+      return node.name;
+    }
+    return (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') && !node.computed
+      ? node.property.name
+      : null;
+  }
+
+  isBulkAction(objectNode) {
+    if (objectNode.properties.length !== 1) {
+      return false;
+    }
+    return BULK_ACTIONS.has(this.propertyKeyName(objectNode.properties[0]));
+  }
+
+  isModuleSpecifier(node, parent) {
+    if (!parent) {
+      return false;
+    }
+
+    switch (parent.type) {
+      case 'ImportDeclaration':
+      case 'ExportNamedDeclaration':
+      case 'ExportAllDeclaration':
+      case 'TSExternalModuleReference':
+      case 'TSImportType':
+      case 'ImportExpression':
+        return true;
+      case 'TSModuleDeclaration':
+        return parent.id === node;
+      case 'CallExpression':
+        return parent.callee.type === 'Import' ||
+          (parent.callee.type === 'Identifier' && parent.callee.name === 'require');
+      default:
+        return false;
+    }
+  }
+
+  findProperty(objectNode, name) {
+    return objectNode.properties.find(prop => this.propertyKeyName(prop) === name) || null;
+  }
+
+  propertyKeyName(prop) {
+    if (!prop || prop.type !== 'ObjectProperty' || prop.computed) {
+      return null;
+    }
+    return this.keyName(prop.key);
+  }
+
+  keyName(key) {
+    if (key.type === 'Identifier') {
+      return key.name;
+    }
+    if (key.type === 'StringLiteral') {
+      return key.value;
+    }
+    return null;
+  }
+
+  /**
+   * Field name used as an object key, including computed keys built from constants
+   */
+  fieldKey(prop, state) {
+    if (!prop || prop.type !== 'ObjectProperty') {
+      return null;
+    }
+    if (!prop.computed) {
+      const name = this.keyName(prop.key);
+      return name ? { value: name, via: null } : null;
+    }
+    return this.fieldValue(prop.key, state);
+  }
+
+  /**
+   * Field name held by an expression: a literal, or a constant resolved through the
+   * ConstantResolver (possibly imported from another file)
+   */
+  fieldValue(node, state) {
+    if (!node) {
+      return null;
+    }
+    const literal = this.stringValue(node);
+    if (literal !== null) {
+      return { value: literal, via: null };
+    }
+    return this.constantResolver.resolveString(node, state.filePath);
+  }
+
+  stringValue(node) {
+    if (!node) {
+      return null;
+    }
+    if (node.type === 'StringLiteral') {
+      return node.value;
+    }
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    }
+    return null;
+  }
+}
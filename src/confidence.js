@@ -0,0 +1,90 @@
+/**
+ * How much an occurrence can be trusted to be a real field reference, by the context its
+ * extractor found it in. Structural contexts (a query DSL clause, a mapping) name fields by
+ * construction; a bare string that merely looks like `a.b` may be anything.
+ */
+
+// Confidence per extraction context, highest first
+export const CONTEXT_CONFIDENCE = {
+  queryDSL: 0.95,
+  mapping: 0.95,
+  query: 0.9,
+  retrieval: 0.9,
+  structured: 0.9,
+  script: 0.85,
+  interface: 0.8,
+  plugin: 0.8,
+  document: 0.75,
+  esContext: 0.7,
+  constant: 0.5,
+  genericKey: 0.4,
+  string: 0.3
+};
+
+// Extractor names (see FieldCollector#add) and the context they report from
+const EXTRACTOR_CONTEXTS = {
+  'ast:queryDSL': 'queryDSL',
+  extractFromQueryDSL: 'queryDSL',
+  extractFromAggregations: 'queryDSL',
+  'ast:mapping': 'mapping',
+  'ast:composedTemplate': 'mapping',
+  'ast:runtime': 'mapping',
+  extractFromMappings: 'mapping',
+  extractFromMappingDefinition: 'mapping',
+  extractFromIndexTemplate: 'mapping',
+  extractFromRuntimeMappings: 'mapping',
+  'ast:esql': 'query',
+  'ast:eql': 'query',
+  'ast:queryString': 'query',
+  extractFromESQL: 'query',
+  extractFromEQL: 'query',
+  extractFromQueryString: 'query',
+  'ast:retrieval': 'retrieval',
+  extractFromFieldRetrieval: 'retrieval',
+  extractFromIngestPipeline: 'structured',
+  extractFromLogstash: 'structured',
+  extractFromRule: 'structured',
+  extractFromSavedObject: 'structured',
+  extractFromSigma: 'structured',
+  'ast:script': 'script',
+  'ast:painless': 'script',
+  extractFromPainless: 'script',
+  'ast:interface': 'interface',
+  extractFieldsFromTypescriptInterfaces: 'interface',
+  extractFieldsFromTypescriptTypes: 'interface',
+  'ast:document': 'document',
+  'ast:documentAccess': 'document',
+  extractFieldsFromDocumentBody: 'document',
+  extractFromDocumentAccess: 'document',
+  extractFromExplicitESContexts: 'esContext',
+  'ast:constant': 'constant',
+  'ast:objectKey': 'genericKey',
+  extractFromJSON: 'genericKey',
+  extractFromYAML: 'genericKey',
+  'ast:stringLiteral': 'string',
+  quotedString: 'string',
+  extractFromText: 'string'
+};
+
+/**
+ * Extraction context of an occurrence: one of the CONTEXT_CONFIDENCE keys
+ */
+export function occurrenceContext(occurrence) {
+  const extractor = occurrence.extractor || '';
+  if (extractor.startsWith('plugin:')) {
+    return 'plugin';
+  }
+  return EXTRACTOR_CONTEXTS[extractor] || 'string';
+}
+
+/**
+ * Confidence (0-1) that an occurrence is a field reference. Plugins may set their own
+ * `confidence`; partially resolved names lose a little since part of the name is guessed.
+ */
+export function occurrenceConfidence(occurrence) {
+  if (typeof occurrence.confidence === 'number') {
+    return occurrence.confidence;
+  }
+  const confidence = CONTEXT_CONFIDENCE[occurrenceContext(occurrence)];
+  return occurrence.resolution === 'partial' ? Math.round(confidence * 0.8 * 100) / 100 : confidence;
+}
@@ -0,0 +1,516 @@
+import path from 'path';
+
+// Extensions tried when resolving relative import specifiers
+const MODULE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+
+// TypeScript/Babel wrappers that do not change the runtime value
+const TRANSPARENT_WRAPPERS = new Set([
+  'TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression', 'TSTypeAssertion', 'ParenthesizedExpression'
+]);
+
+// Nodes whose identifiers name or declare things rather than reading a constant
+const NON_REFERENCE_NODES = new Set([
+  'ImportDeclaration', 'ExportSpecifier', 'ExportNamespaceSpecifier', 'ExportDefaultSpecifier',
+  'TSTypeAnnotation', 'TSTypeReference', 'TSInterfaceDeclaration', 'TSTypeAliasDeclaration',
+  'TSEnumMember', 'TSQualifiedName'
+]);
+
+/**
+ * Resolves identifiers that hold field names (`const USER_NAME_FIELD = 'user.name'`) to their
+ * string values, following relative imports and re-exports between the files that were indexed.
+ *
+ * Only `const` declarations, const object literals and TypeScript enums are tracked; a name
+ * declared more than once in the same file (e.g. in different functions) is left unresolved.
+ */
+export class ConstantResolver {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    this.modules = new Map();
+    // Reads of every constant across all indexed files, by `file#name`: built on the first
+    // prefix lookup, then kept current as files are re-indexed
+    this.constantReads = null;
+  }
+
+  /**
+   * Record the constants, imports and exports of a parsed file
+   * @param {Object} ast - Babel File node
+   * @param {string} filePath - Path of the file the AST came from
+   */
+  indexAst(ast, filePath) {
+    const module = {
+      filePath: path.resolve(filePath),
+      constants: new Map(),
+      imports: new Map(),
+      exports: new Map(),
+      reexports: [],
+      // Identifier and member chain reads, by whether they are a part of a template or `+`
+      references: [],
+      // Resolved reads by the constant they resolve to, this file's share of constantReads
+      referenceCounts: null
+    };
+
+    this.collectDeclarations(ast.program, module);
+    this.collectReferences(ast.program, null, module);
+    if (this.constantReads) {
+      const previous = this.modules.get(module.filePath);
+      if (previous) {
+        this.tallyReads(previous, -1);
+      }
+    }
+    this.modules.set(module.filePath, module);
+    if (this.constantReads) {
+      this.tallyReads(module, 1);
+    }
+    return module;
+  }
+
+  collectDeclarations(node, module) {
+    if (!node || typeof node.type !== 'string') {
+      return;
+    }
+
+    switch (node.type) {
+      case 'VariableDeclaration':
+        if (node.kind === 'const') {
+          for (const declarator of node.declarations) {
+            if (declarator.id.type === 'Identifier' && declarator.init) {
+              this.addConstant(module, declarator.id.name, {
+                node: this.unwrap(declarator.init),
+                line: declarator.loc.start.line
+              });
+            }
+          }
+        }
+        break;
+      case 'TSEnumDeclaration':
+        this.addConstant(module, node.id.name, { node, line: node.loc.start.line });
+        return;
+      case 'ImportDeclaration':
+        for (const specifier of node.specifiers) {
+          const imported = specifier.type === 'ImportNamespaceSpecifier'
+            ? '*'
+            : specifier.type === 'ImportDefaultSpecifier'
+              ? 'default'
+              : this.exportName(specifier.imported);
+          module.imports.set(specifier.local.name, { source: node.source.value, imported });
+        }
+        return;
+      case 'ExportNamedDeclaration':
+        if (node.source) {
+          for (const specifier of node.specifiers) {
+            module.reexports.push({
+              source: node.source.value,
+              imported: specifier.local ? this.exportName(specifier.local) : '*',
+              exported: this.exportName(specifier.exported)
+            });
+          }
+          return;
+        }
+        if (node.declaration) {
+          for (const name of this.declaredNames(node.declaration)) {
+            module.exports.set(name, name);
+          }
+        }
+        for (const specifier of node.specifiers) {
+          if (specifier.local) {
+            module.exports.set(this.exportName(specifier.exported), specifier.local.name);
+          }
+        }
+        break;
+      case 'ExportAllDeclaration':
+        module.reexports.push({ source: node.source.value, imported: '*', exported: null });
+        return;
+      default:
+        break;
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key.endsWith('Comments')) {
+        continue;
+      }
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => this.collectDeclarations(item, module));
+      } else if (child && typeof child.type === 'string') {
+        this.collectDeclarations(child, module);
+      }
+    }
+  }
+
+  /**
+   * Record the identifiers (and member chains such as `FIELDS.HOST`) a file reads, noting
+   * whether each is concatenated into a larger string
+   */
+  collectReferences(node, parent, module) {
+    if (!node || typeof node.type !== 'string' || NON_REFERENCE_NODES.has(node.type)) {
+      return;
+    }
+
+    if (node.type === 'Identifier' || ((node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') && !node.computed)) {
+      let root = node;
+      while ((root.type === 'MemberExpression' || root.type === 'OptionalMemberExpression') && !root.computed) {
+        root = root.object;
+      }
+      if (root.type === 'Identifier') {
+        const bound = module.constants.has(root.name) || module.imports.has(root.name);
+        if (bound && this.isReference(node, parent)) {
+          const concatenated = (parent.type === 'TemplateLiteral') ||
+            (parent.type === 'BinaryExpression' && parent.operator === '+');
+          module.references.push({ node, concatenated });
+        }
+        return;
+      }
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'typeAnnotation' || key === 'returnType' || key.endsWith('Comments')) {
+        continue;
+      }
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => this.collectReferences(item, node, module));
+      } else if (child && typeof child.type === 'string') {
+        this.collectReferences(child, node, module);
+      }
+    }
+  }
+
+  isReference(node, parent) {
+    if (!parent) {
+      return false;
+    }
+    switch (parent.type) {
+      case 'VariableDeclarator':
+        return parent.init === node;
+      case 'ObjectProperty':
+      case 'ObjectMethod':
+      case 'ClassProperty':
+      case 'ClassMethod':
+        return parent.key !== node || parent.computed;
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        return parent.property !== node || parent.computed;
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+      case 'ClassDeclaration':
+      case 'LabeledStatement':
+      case 'BreakStatement':
+      case 'ContinueStatement':
+      case 'TSEnumDeclaration':
+        return false;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Whether a constant is only ever concatenated into longer strings
+   * (`const ALERT_NAMESPACE = 'kibana.alert'` read as `${ALERT_NAMESPACE}.rule.name`), so its
+   * value is a namespace prefix rather than a field. Reads in every indexed file count;
+   * a constant that is never read is not a prefix.
+   * @param {string} filePath - File declaring the constant
+   * @param {string} name - Constant name
+   */
+  isPrefixConstant(filePath, name) {
+    if (!this.constantReads) {
+      // Resolving reads needs the files they import from, so wait until lookups start
+      this.constantReads = new Map();
+      for (const module of this.modules.values()) {
+        this.tallyReads(module, 1);
+      }
+    }
+    const counts = this.constantReads.get(`${path.resolve(filePath)}#${name}`);
+    return Boolean(counts && counts.other === 0 && counts.concatenated > 0);
+  }
+
+  /**
+   * Add (sign 1) or take back (sign -1) a file's reads in constantReads
+   */
+  tallyReads(module, sign) {
+    for (const [key, counts] of this.referenceCounts(module)) {
+      const total = this.constantReads.get(key) || { concatenated: 0, other: 0 };
+      total.concatenated += sign * counts.concatenated;
+      total.other += sign * counts.other;
+      this.constantReads.set(key, total);
+    }
+  }
+
+  referenceCounts(module) {
+    if (!module.referenceCounts) {
+      module.referenceCounts = new Map();
+      for (const { node, concatenated } of module.references) {
+        const result = this.evaluate(node, module.filePath, new Set());
+        if (!result || typeof result.value !== 'string' || !result.via) {
+          continue;
+        }
+        const key = `${result.via.file}#${result.via.constant}`;
+        const counts = module.referenceCounts.get(key) || { concatenated: 0, other: 0 };
+        counts[concatenated ? 'concatenated' : 'other']++;
+        module.referenceCounts.set(key, counts);
+      }
+    }
+    return module.referenceCounts;
+  }
+
+  addConstant(module, name, definition) {
+    const definitions = module.constants.get(name) || [];
+    definitions.push(definition);
+    module.constants.set(name, definitions);
+  }
+
+  declaredNames(declaration) {
+    if (declaration.type === 'VariableDeclaration') {
+      return declaration.declarations
+        .filter(declarator => declarator.id.type === 'Identifier')
+        .map(declarator => declarator.id.name);
+    }
+    return declaration.id ? [declaration.id.name] : [];
+  }
+
+  exportName(node) {
+    return node.type === 'StringLiteral' ? node.value : node.name;
+  }
+
+  /**
+   * Evaluate an expression to a string. Template literals and `+` concatenation are
+   * partially evaluated: parts that are not statically known become `*`.
+   * @param {Object} node - Babel expression node
+   * @param {string} filePath - File the expression appears in
+   * @returns {{value: string, via: Object|null, resolution: string, constant: boolean}|null} The
+   *   value, where the constant it came from is defined (if any), 'resolved' or 'partial', and
+   *   whether any part of it was read from a constant
+   */
+  resolveString(node, filePath) {
+    const target = this.evaluate(node, path.resolve(filePath), new Set());
+    if (!target || typeof target.value !== 'string') {
+      return null;
+    }
+
+    return {
+      value: target.partial ? target.value.replace(/\*+/g, '*') : target.value,
+      via: target.via || null,
+      resolution: target.partial ? 'partial' : 'resolved',
+      constant: Boolean(target.via || target.constant)
+    };
+  }
+
+  /**
+   * Resolve an expression to the object literal it holds (`const defaults = { ... }`, possibly
+   * imported), for following spreads
+   * @returns {{object: Object, filePath: string, via: Object|null}|null}
+   */
+  resolveObject(node, filePath) {
+    const target = this.evaluate(node, path.resolve(filePath), new Set());
+    if (!target || !target.object || target.object.type !== 'ObjectExpression') {
+      return null;
+    }
+    return { object: target.object, filePath: target.filePath, via: target.via || null };
+  }
+
+  evaluate(node, filePath, seen) {
+    node = this.unwrap(node);
+    if (!node) {
+      return null;
+    }
+
+    switch (node.type) {
+      case 'StringLiteral':
+        return { value: node.value };
+      case 'NumericLiteral':
+        return { value: String(node.value) };
+      case 'TemplateLiteral':
+        return this.evaluateTemplate(node, filePath, seen);
+      case 'BinaryExpression':
+        return node.operator === '+' ? this.evaluateConcatenation(node, filePath, seen) : null;
+      case 'Identifier':
+        return this.resolveBinding(filePath, node.name, seen);
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        return this.evaluateMember(node, filePath, seen);
+      case 'ObjectExpression':
+      case 'TSEnumDeclaration':
+        return { object: node, filePath };
+      default:
+        return null;
+    }
+  }
+
+  evaluateTemplate(node, filePath, seen) {
+    let value = '';
+    let partial = false;
+    let constant = false;
+
+    node.quasis.forEach((quasi, i) => {
+      value += quasi.value.cooked;
+      if (i < node.expressions.length) {
+        const part = this.evaluatePart(node.expressions[i], filePath, seen);
+        value += part.value;
+        partial = partial || part.partial;
+        constant = constant || part.constant;
+      }
+    });
+
+    return { value, partial, constant };
+  }
+
+  evaluateConcatenation(node, filePath, seen) {
+    const left = this.evaluatePart(node.left, filePath, seen);
+    const right = this.evaluatePart(node.right, filePath, seen);
+
+    // Nothing known on either side: not worth reporting as a pattern
+    if (left.unknown && right.unknown) {
+      return null;
+    }
+    return { value: left.value + right.value, partial: left.partial || right.partial, constant: left.constant || right.constant };
+  }
+
+  /**
+   * Evaluate one part of a template or concatenation, standing in `*` for unknown values
+   */
+  evaluatePart(node, filePath, seen) {
+    const result = this.evaluate(node, filePath, seen);
+    if (!result || typeof result.value !== 'string') {
+      return { value: '*', partial: true, unknown: true, constant: false };
+    }
+    return { value: result.value, partial: Boolean(result.partial), constant: Boolean(result.via || result.constant) };
+  }
+
+  evaluateMember(node, filePath, seen) {
+    const target = this.evaluate(node.object, filePath, seen);
+    if (!target) {
+      return null;
+    }
+
+    const key = node.computed
+      ? this.evaluate(node.property, filePath, seen)?.value
+      : node.property.name;
+    if (typeof key !== 'string') {
+      return null;
+    }
+
+    if (target.namespace) {
+      return this.resolveExport(target.namespace, key, seen);
+    }
+    if (!target.object) {
+      return null;
+    }
+
+    const owner = target.via || null;
+    const member = target.object.type === 'TSEnumDeclaration'
+      ? target.object.members.find(m => this.exportName(m.id) === key)?.initializer
+      : target.object.properties.find(p => p.type === 'ObjectProperty' && !p.computed && this.exportName(p.key) === key)?.value;
+
+    const result = member ? this.evaluate(member, target.filePath, seen) : null;
+    if (result && owner && !result.via) {
+      result.via = { ...owner, constant: `${owner.constant}.${key}` };
+    }
+    return result;
+  }
+
+  resolveBinding(filePath, name, seen) {
+    // Guard against import cycles and self-referencing constants
+    const seenKey = `${filePath}#${name}`;
+    if (seen.has(seenKey)) {
+      return null;
+    }
+    seen.add(seenKey);
+    try {
+      return this.resolveLocalOrImported(filePath, name, seen);
+    } finally {
+      seen.delete(seenKey);
+    }
+  }
+
+  resolveLocalOrImported(filePath, name, seen) {
+    const module = this.modules.get(filePath);
+    if (!module) {
+      return null;
+    }
+
+    const definitions = module.constants.get(name);
+    if (definitions) {
+      if (definitions.length !== 1) {
+        return null;
+      }
+      const [definition] = definitions;
+      const result = this.evaluate(definition.node, filePath, seen);
+      if (result && !result.via) {
+        result.via = { constant: name, file: filePath, line: definition.line };
+      }
+      return result;
+    }
+
+    const binding = module.imports.get(name);
+    if (!binding) {
+      return null;
+    }
+
+    const target = this.resolveModulePath(filePath, binding.source);
+    if (!target) {
+      return null;
+    }
+    return binding.imported === '*'
+      ? { namespace: target }
+      : this.resolveExport(target, binding.imported, seen);
+  }
+
+  resolveExport(filePath, exportedName, seen) {
+    const module = this.modules.get(filePath);
+    if (!module) {
+      return null;
+    }
+
+    const localName = module.exports.get(exportedName);
+    if (localName) {
+      return this.resolveBinding(filePath, localName, seen);
+    }
+
+    for (const reexport of module.reexports) {
+      if (reexport.exported !== null && reexport.exported !== exportedName) {
+        continue;
+      }
+      const target = this.resolveModulePath(filePath, reexport.source);
+      if (!target) {
+        continue;
+      }
+      if (reexport.imported === '*' && reexport.exported !== null) {
+        return { namespace: target };
+      }
+      const result = this.resolveExport(target, reexport.imported === '*' ? exportedName : reexport.imported, seen);
+      if (result) {
+        return result;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a relative import specifier to an indexed file
+   */
+  resolveModulePath(fromFile, specifier) {
+    if (!specifier.startsWith('.')) {
+      return null;
+    }
+
+    const base = path.resolve(path.dirname(fromFile), specifier);
+    // ESM TypeScript imports name the emitted .js file
+    const stripped = base.replace(/\.(?:js|jsx|mjs|cjs)$/, '');
+    const candidates = [base];
+    for (const root of new Set([base, stripped])) {
+      for (const ext of MODULE_EXTENSIONS) {
+        candidates.push(`${root}${ext}`, path.join(root, `index${ext}`));
+      }
+    }
+
+    return candidates.find(candidate => this.modules.has(candidate)) || null;
+  }
+
+  unwrap(node) {
+    while (node && TRANSPARENT_WRAPPERS.has(node.type)) {
+      node = node.expression;
+    }
+    return node;
+  }
+}
@@ -0,0 +1,197 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import chalk from 'chalk';
+
+// Without deprecation metadata, ECS marks deprecated fields by opening their (short)
+// description with "Deprecated"
+const DEPRECATED_DESCRIPTION = /^deprecated\b/i;
+
+/**
+ * ECS field definitions by flat name. It is a Set of the names, so existing membership checks
+ * and iteration keep working, with each field's definition (type, level, description,
+ * allowed values, multi-fields) available through get().
+ */
+export class ECSFieldCatalogue extends Set {
+  constructor(options = {}) {
+    super();
+    this.isValidName = options.isValidName || (() => true);
+    this.definitions = new Map();
+  }
+
+  /**
+   * Add a field
+   * @param {string} name - Flat field name, e.g. `user.name`
+   * @param {Object} definition - ECS definition attributes (flat_name style or camelCase)
+   */
+  add(name, definition = {}) {
+    if (!this.isValidName(name)) {
+      return this;
+    }
+    super.add(name);
+
+    const description = definition.description || '';
+    const short = definition.short || description.split('\n')[0];
+    this.definitions.set(name, {
+      name,
+      type: definition.type || null,
+      level: definition.level || null,
+      // Top-level field set; undotted fields belong to `base`
+      fieldSet: name.includes('.') ? name.split('.')[0] : 'base',
+      description,
+      short,
+      deprecated: this.isDeprecated(definition, short, description),
+      allowedValues: (definition.allowedValues || definition.allowed_values || [])
+        .map(value => ({ name: value.name, description: value.description || '' })),
+      multiFields: (definition.multiFields || definition.multi_fields || [])
+        .map(multiField => ({ name: multiField.flat_name || `${name}.${multiField.name}`, type: multiField.type })),
+      ...(definition.multiFieldOf ? { multiFieldOf: definition.multiFieldOf } : {})
+    });
+
+    // Multi-fields (user.name.text) are queryable fields in their own right
+    for (const multiField of this.definitions.get(name).multiFields) {
+      this.add(multiField.name, { type: multiField.type, level: definition.level, multiFieldOf: name });
+    }
+    return this;
+  }
+
+  /**
+   * A `deprecated` property or column (`true`, or the version that deprecated the field) where
+   * the schema has one, else the description's wording
+   */
+  isDeprecated(definition, short, description) {
+    const { deprecated } = definition;
+    if (deprecated !== undefined && deprecated !== null && deprecated !== '') {
+      return !/^(?:false|no|0)$/i.test(String(deprecated));
+    }
+    return DEPRECATED_DESCRIPTION.test(short) || DEPRECATED_DESCRIPTION.test(description);
+  }
+
+  get(name) {
+    return this.definitions.get(name);
+  }
+
+  delete(name) {
+    this.definitions.delete(name);
+    return super.delete(name);
+  }
+
+  clear() {
+    this.definitions.clear();
+    super.clear();
+  }
+
+  /**
+   * Add the fields of ecs_flat.yml: definitions keyed by flat name
+   */
+  addFlat(flat) {
+    for (const [name, definition] of Object.entries(flat || {})) {
+      this.add(definition.flat_name || name, definition);
+    }
+    return this;
+  }
+
+  /**
+   * Add the fields of ecs_nested.yml: field sets, each with its definitions keyed by flat
+   * name. Field sets that are only reused (geo, os) have no top-level fields of their own.
+   */
+  addNested(nested) {
+    for (const definition of Object.values(nested || {})) {
+      if (definition.reusable && definition.reusable.top_level === false) {
+        continue;
+      }
+      for (const [name, field] of Object.entries(definition.fields || {})) {
+        this.add(field.flat_name || name, field);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Add the fields of ECS source schemas (schemas/*.yml): field sets with fields relative to
+   * their prefix, copied into other field sets as `reusable.expected` lists. Reuses are
+   * applied by `reusable.order` (1 before the default 2) so fields nested into a field set
+   * are carried along when it is itself reused; self-nesting (process.parent) copies only the
+   * field set's own fields.
+   */
+  addSchemas(fieldSets) {
+    const fieldsBySet = new Map();
+    for (const fieldSet of fieldSets) {
+      fieldsBySet.set(fieldSet.name, [...(fieldSet.fields || [])]);
+    }
+
+    const reusable = fieldSets
+      .filter(fieldSet => fieldSet.reusable && Array.isArray(fieldSet.reusable.expected))
+      .sort((a, b) => (a.reusable.order || 2) - (b.reusable.order || 2));
+    for (const fieldSet of reusable) {
+      const own = fieldSet.fields || [];
+      const current = fieldsBySet.get(fieldSet.name);
+      for (const expected of fieldSet.reusable.expected) {
+        const { at, as } = typeof expected === 'string' ? { at: expected, as: fieldSet.name } : { as: fieldSet.name, ...expected };
+        const [destination, ...within] = at.split('.');
+        if (!fieldsBySet.has(destination)) {
+          continue;
+        }
+        const prefix = [...within, as].join('.');
+        const source = destination === fieldSet.name ? own : current;
+        fieldsBySet.get(destination).push(...source.map(field => ({ ...field, name: `${prefix}.${field.name}` })));
+      }
+    }
+
+    for (const fieldSet of fieldSets) {
+      if (fieldSet.reusable && fieldSet.reusable.top_level === false) {
+        continue;
+      }
+      const prefix = fieldSet.root ? '' : `${fieldSet.name}.`;
+      for (const field of fieldsBySet.get(fieldSet.name)) {
+        this.add(`${prefix}${field.name}`, field);
+      }
+    }
+    return this;
+  }
+}
+
+/**
+ * Loads ECS definitions from generator output (ecs_flat.yml, ecs_nested.yml) or from the
+ * source schemas of an ECS checkout, including ones extended with custom field sets.
+ */
+export class ECSSchemaLoader {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    this.isValidName = options.isValidName;
+  }
+
+  /**
+   * @param {string} schemaPath - ecs_flat.yml, ecs_nested.yml, a schemas/ directory, an ECS
+   *   checkout (its schemas/ is used) or a generator output directory holding ecs_flat.yml
+   * @returns {Promise<ECSFieldCatalogue>}
+   */
+  async load(schemaPath) {
+    const catalogue = new ECSFieldCatalogue({ isValidName: this.isValidName });
+    const stats = await fs.stat(schemaPath);
+
+    if (stats.isDirectory()) {
+      if (await fs.pathExists(path.join(schemaPath, 'ecs_flat.yml'))) {
+        return this.load(path.join(schemaPath, 'ecs_flat.yml'));
+      }
+      const schemasDir = await fs.pathExists(path.join(schemaPath, 'schemas')) ? path.join(schemaPath, 'schemas') : schemaPath;
+      const files = (await fs.readdir(schemasDir)).filter(file => /\.ya?ml$/.test(file)).sort();
+      const fieldSets = [];
+      for (const file of files) {
+        const documents = yaml.load(await fs.readFile(path.join(schemasDir, file), 'utf8'));
+        fieldSets.push(...(Array.isArray(documents) ? documents : [documents]).filter(fieldSet => fieldSet && fieldSet.name));
+      }
+      if (this.verbose) {
+        console.log(chalk.blue(`📁 Read ${fieldSets.length} ECS field sets from ${files.length} schema files in ${schemasDir}`));
+      }
+      return catalogue.addSchemas(fieldSets);
+    }
+
+    const content = yaml.load(await fs.readFile(schemaPath, 'utf8')) || {};
+    const first = Object.values(content)[0] || {};
+    if (first.fields && !first.flat_name) {
+      return catalogue.addNested(content);
+    }
+    return catalogue.addFlat(content);
+  }
+}
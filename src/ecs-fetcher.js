@@ -1,12 +1,60 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import fetch from 'node-fetch';
 import chalk from 'chalk';
 
+// ECS release, as major.minor (release branch) or major.minor.patch (release tag)
+const VERSION_PATTERN = /^(\d+)\.(\d+)(?:\.(\d+))?$/;
+
+// Bundled generated/csv/fields.csv snapshots, named ecs-<major>.<minor>.csv
+const SNAPSHOT_DIR = fileURLToPath(new URL('./data/', import.meta.url));
+
 export class ECSFetcher {
   constructor(options = {}) {
     this.verbose = options.verbose || false;
     this.ecsFieldsUrl = 'https://raw.githubusercontent.com/elastic/ecs/master/generated/csv/fields.csv';
+    // Downloaded versions are kept here, one directory per version
+    this.cacheDir = options.cacheDir || '.ecs-cache';
+    this.snapshotDir = options.snapshotDir || SNAPSHOT_DIR;
+  }
+
+  static isValidVersion(version) {
+    return VERSION_PATTERN.test(String(version));
+  }
+
+  /**
+   * fields.csv URL for a version: `8.11` reads the release branch, `8.11.0` the release tag
+   */
+  versionUrl(version) {
+    const [, , , patch] = String(version).match(VERSION_PATTERN);
+    const ref = patch === undefined ? version : `v${version}`;
+    return `https://raw.githubusercontent.com/elastic/ecs/${ref}/generated/csv/fields.csv`;
+  }
+
+  cachePath(version) {
+    return path.join(this.cacheDir, version, 'fields.csv');
+  }
+
+  snapshotPath(version) {
+    const [, major, minor] = String(version).match(VERSION_PATTERN);
+    return path.join(this.snapshotDir, `ecs-${major}.${minor}.csv`);
+  }
+
+  /**
+   * The bundled snapshot of a version's release line, with the exact version it holds (its
+   * ECS_Version column)
+   * @returns {Promise<{path: string, version: string, content: string}|null>}
+   */
+  async readSnapshot(version) {
+    const snapshotPath = this.snapshotPath(version);
+    if (!(await fs.pathExists(snapshotPath))) {
+      return null;
+    }
+    const content = await fs.readFile(snapshotPath, 'utf8');
+    const [header, first = ''] = content.split('\n', 2);
+    const column = header.split(',').indexOf('ECS_Version');
+    return { path: snapshotPath, version: column === -1 ? null : first.split(',')[column], content };
   }
 
   async fetchECSFields(fieldsPath = 'fields.csv') {
@@ -20,28 +68,74 @@ export class ECSFetcher {
       }
 
       // Download from GitHub if local file doesn't exist
-      if (this.verbose) {
-        console.log(chalk.blue(`🌐 Downloading ECS fields from: ${this.ecsFieldsUrl}`));
-      }
+      return await this.download(this.ecsFieldsUrl, fieldsPath);
+    } catch (error) {
+      throw new Error(`Failed to fetch ECS fields: ${error.message}`);
+    }
+  }
 
-      const response = await fetch(this.ecsFieldsUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch ECS fields: ${response.status} ${response.statusText}`);
+  /**
+   * Fields CSV of a pinned ECS version, from the per-version cache, the bundled snapshot or,
+   * failing both, GitHub (saved to the cache). A snapshot is used for a release line (`8.11`)
+   * or the exact release it holds; for other patch releases it only stands in, with a
+   * warning, when the download fails.
+   * @param {string} version - e.g. `8.11` or `8.11.0`
+   * @returns {Promise<string>} CSV content
+   */
+  async fetchVersionFields(version) {
+    if (!ECSFetcher.isValidVersion(version)) {
+      throw new Error(`Invalid ECS version: ${version} (expected e.g. 8.11 or 8.11.0)`);
+    }
+
+    const cachePath = this.cachePath(version);
+    if (await fs.pathExists(cachePath)) {
+      if (this.verbose) {
+        console.log(chalk.blue(`📁 Using cached ECS ${version} fields: ${cachePath}`));
       }
+      return await fs.readFile(cachePath, 'utf8');
+    }
 
-      const csvContent = await response.text();
-      
-      // Save locally for future use
-      await fs.writeFile(fieldsPath, csvContent, 'utf8');
-      
+    const snapshot = await this.readSnapshot(version);
+    const isPatch = String(version).match(VERSION_PATTERN)[3] !== undefined;
+    if (snapshot && (!isPatch || snapshot.version === version)) {
       if (this.verbose) {
-        console.log(chalk.green(`✅ ECS fields downloaded and saved to: ${fieldsPath}`));
+        console.log(chalk.blue(`📦 Using bundled ECS ${snapshot.version || version} snapshot: ${snapshot.path}`));
       }
+      return snapshot.content;
+    }
 
-      return csvContent;
+    try {
+      await fs.ensureDir(path.dirname(cachePath));
+      return await this.download(this.versionUrl(version), cachePath);
     } catch (error) {
-      throw new Error(`Failed to fetch ECS fields: ${error.message}`);
+      if (snapshot) {
+        console.log(chalk.yellow(`⚠️  Could not download ECS ${version} fields (${error.message}); using the bundled ECS ${snapshot.version} snapshot instead`));
+        return snapshot.content;
+      }
+      throw new Error(`Failed to fetch ECS ${version} fields: ${error.message}`);
+    }
+  }
+
+  async download(url, destination) {
+    if (this.verbose) {
+      console.log(chalk.blue(`🌐 Downloading ECS fields from: ${url}`));
     }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ECS fields: ${response.status} ${response.statusText}`);
+    }
+
+    const csvContent = await response.text();
+
+    // Save locally for future use
+    await fs.writeFile(destination, csvContent, 'utf8');
+
+    if (this.verbose) {
+      console.log(chalk.green(`✅ ECS fields downloaded and saved to: ${destination}`));
+    }
+
+    return csvContent;
   }
 
   async downloadIfMissing(fieldsPath = 'fields.csv') {
@@ -0,0 +1,38 @@
+/**
+ * Compares the fields a repository references between two ECS versions, for upgrade
+ * planning: which fields the target version adds, deprecates or removes.
+ */
+export class ECSVersionComparator {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * Classify referenced fields by how they change from the pinned to the target version
+   * @param {ECSFieldCatalogue} pinned - Fields of the pinned version
+   * @param {ECSFieldCatalogue} target - Fields of the target version
+   * @param {Iterable<string>} referenced - Field names the repository references
+   * @returns {{added: string[], deprecated: string[], removed: string[]}} Sorted field names:
+   *   new in the target, deprecated in the target but not the pinned version, and gone from
+   *   the target
+   */
+  compare(pinned, target, referenced) {
+    const added = [];
+    const deprecated = [];
+    const removed = [];
+
+    for (const name of new Set(referenced)) {
+      const before = pinned.get(name);
+      const after = target.get(name);
+      if (!before && after) {
+        added.push(name);
+      } else if (before && !after) {
+        removed.push(name);
+      } else if (before && after && after.deprecated && !before.deprecated) {
+        deprecated.push(name);
+      }
+    }
+
+    return { added: added.sort(), deprecated: deprecated.sort(), removed: removed.sort() };
+  }
+}
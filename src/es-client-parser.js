@@ -2,24 +2,90 @@ import chalk from 'chalk';
 import {
   isValidESFieldName as utilIsValidESFieldName,
   isCommonAPIPattern as utilIsCommonAPIPattern,
+  isFieldOrPattern,
+  addRetrievedField
 } from './utils/field-utils.js';
+import { groupIndex, embeddedLocation } from './field-collector.js';
+import { PainlessAnalyzer } from './painless-analyzer.js';
+
+// Receiver chains of client calls, up to and including the final dot: client., this.esClient.,
+// esClient.asCurrentUser., scopedClusterClient.asInternalUser., ctx.core.elasticsearch.client.
+const CLIENT_RECEIVER = String.raw`\b(?:[\w$]+\??\.)*?(?:[\w$]*[cC]lient|as(?:Current|Internal|SecondaryAuth)User)\??\.`;
+
+// Client methods whose parameters carry queries, aggregations and sorts
+const SEARCH_METHODS = String.raw`(?:search|count|deleteByQuery|updateByQuery|openPointInTime|asyncSearch\.submit|helpers\.(?:search|scrollSearch|scrollDocuments))`;
+
+// Object literal contents with up to one level of nested braces
+const BRACED_CONTENT = String.raw`[^}]+(?:\{[^}]*\}[^}]*)*`;
+
+// Search parameters that list returned fields: _source: ['host.*'], docvalue_fields: [{ field }]
+const FIELD_LIST_PATTERN = /\b(?:_source(?:_includes|_excludes)?|docvalue_fields|stored_fields|fields)['"]?\s*:\s*(?:\[([^\]]*)\]|(['"])([^'"]+)\2)/g;
+
+// Quoted names in a field list, either bare elements or the `field` of { field, format } entries
+const FIELD_LIST_ENTRY_PATTERN = /(?:^|[[,]|\bfield['"]?\s*:)\s*(['"])([^'"]+)\1/g;
+
+// Document literal tokens: strings, identifiers and structural punctuation
+const DOCUMENT_TOKEN_PATTERN = /(['"`])((?:\\.|(?!\1)[^\\])*)\1|([A-Za-z_$@][\w$@.]*)|([{}[\](),:])/g;
+
+// Keys of an update body that hold the partial document
+const UPDATE_PARTS = ['doc', 'upsert'];
+
+// Source commands that start an ES|QL query: FROM logs-* | WHERE ...
+const ESQL_QUERY_START = /^\s*(?:FROM|ROW|METRICS|TS)\s+[^|]*\|/i;
+
+// ES|QL tokens: whitespace and comments, strings, backquoted identifiers, numbers, plain
+// identifiers (dotted, with wildcards), parameters, then single operators
+const ESQL_TOKEN_PATTERN = /(\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)|("""[\s\S]*?"""|"(?:\\.|[^"\\])*")|`((?:``|[^`])*)`|(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([a-zA-Z_@*][a-zA-Z0-9_@.*]*)|(\?[a-zA-Z0-9_]*)|(::|==|!=|<=|>=|=~|[\s\S])/y;
+
+// Words inside ES|QL expressions that are never field names
+const ESQL_KEYWORDS = new Set([
+  'and', 'or', 'not', 'is', 'null', 'like', 'rlike', 'in', 'true', 'false',
+  'asc', 'desc', 'nulls', 'first', 'last', 'as', 'on', 'with', 'by'
+]);
+
+// EQL tokens: whitespace and comments, strings (including raw ?"..." and """...""" strings),
+// backquoted identifiers, numbers and time spans (5m), plain identifiers (with the optional
+// field marker `?`), then operators
+const EQL_TOKEN_PATTERN = /(\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)|(\??"""[\s\S]*?"""|\??"(?:\\.|[^"\\])*")|`((?:``|[^`])*)`|(\d+(?:\.\d+)?[a-zA-Z]*)|(\??[a-zA-Z_@][a-zA-Z0-9_@.]*)|(==|!=|<=|>=|[\s\S])/y;
+
+// EQL words that are never field names
+const EQL_KEYWORDS = new Set([
+  'and', 'or', 'not', 'where', 'sequence', 'sample', 'by', 'with', 'until', 'of',
+  'descendant', 'child', 'event', 'in', 'like', 'regex', 'true', 'false', 'null', 'head', 'tail'
+]);
+
+// KQL/Lucene tokens: whitespace, quoted phrases, grouping and comparison operators, then
+// terms (which may contain backslash escapes such as `\:`)
+const QUERY_STRING_TOKEN_PATTERN = /(\s+)|("(?:\\.|[^"\\])*")|(<=|>=|[():{}[\]<>])|((?:\\.|[^\s():{}[\]"<>\\])+|\\)/y;
+
+// Operators that follow a field name in KQL/Lucene: host.name: x, bytes >= 10
+const QUERY_STRING_FIELD_OPERATORS = new Set([':', '<', '>', '<=', '>=']);
 
 export class ESClientParser {
   constructor(options = {}) {
     this.verbose = options.verbose || false;
+    this.painlessAnalyzer = options.painlessAnalyzer || new PainlessAnalyzer({ verbose: this.verbose });
   }
 
-  extractESClientFields(content, filePath) {
-    const fields = new Set();
-    
+  /**
+   * Extract fields from ES client usage. Pass a FieldCollector to keep each occurrence's
+   * location and extractor; a plain Set only keeps the names.
+   */
+  extractESClientFields(content, filePath, fields = new Set()) {
     try {
-      // Extract fields from different ES client usage patterns
+      // Extract fields from different ES client usage patterns. Scripts go first so
+      // doc['field'] references keep their Painless read/write details.
+      this.extractFromScripts(content, fields);
       this.extractFromSearchQueries(content, fields);
+      this.extractFromFieldRetrieval(content, fields);
       this.extractFromIndexOperations(content, fields);
       this.extractFromAggregations(content, fields);
       this.extractFromMappings(content, fields);
       this.extractFromBulkOperations(content, fields);
       this.extractFromQueryDSL(content, fields);
+      this.extractFromESQLQueries(content, fields);
+      this.extractFromQueryStrings(content, fields);
+      this.extractFromEQLQueries(content, fields);
       
       if (this.verbose && fields.size > 0) {
         console.log(chalk.gray(`    🔍 ES Client fields in ${filePath}: ${fields.size} fields`));
@@ -35,41 +101,137 @@ export class ESClientParser {
   }
 
   extractFromSearchQueries(content, fields) {
-    // Pattern for client.search() calls
+    // Pattern for search-like calls on any client receiver, with the v8 flattened parameters
+    // ({ index, query, aggs, sort }) or an older { body }
     const searchPatterns = [
-      // client.search({ ... })
-      /client\.search\s*\(\s*\{([^}]+(?:\{[^}]*\}[^}]*)*)\}/g,
-      // await client.search({ ... })
-      /await\s+client\.search\s*\(\s*\{([^}]+(?:\{[^}]*\}[^}]*)*)\}/g,
-      // esClient.search({ ... })
-      /esClient\.search\s*\(\s*\{([^}]+(?:\{[^}]*\}[^}]*)*)\}/g,
+      // client.search({ ... }), esClient.asCurrentUser.search({ ... }), client.helpers.scrollSearch({ ... })
+      new RegExp(`${CLIENT_RECEIVER}${SEARCH_METHODS}\\s*\\(\\s*\\{(${BRACED_CONTENT})\\}`, 'g')
     ];
 
     for (const pattern of searchPatterns) {
       let match;
       while ((match = pattern.exec(content)) !== null) {
         const queryContent = match[1];
-        this.extractFieldsFromQueryObject(queryContent, fields);
+        this.extractFieldsFromQueryObject(queryContent, fields, groupIndex(match));
+      }
+    }
+  }
+
+  /**
+   * Fields a search returns or defines: source filtering, the fields API, docvalue_fields,
+   * stored_fields, collapse, highlighted fields and runtime_mappings. Wildcards are kept as field patterns.
+   */
+  extractFromFieldRetrieval(content, fields) {
+    let match;
+    FIELD_LIST_PATTERN.lastIndex = 0;
+    while ((match = FIELD_LIST_PATTERN.exec(content)) !== null) {
+      if (match[1] !== undefined) {
+        this.extractFieldsFromFieldList(match[1], fields, groupIndex(match, 1));
+      } else {
+        addRetrievedField(match[3], fields, groupIndex(match, 3));
+      }
+    }
+
+    // _source: { includes: [...], excludes: [...] }
+    const sourceFilterPattern = /\b_source['"]?\s*:\s*\{([^}]*)\}/g;
+    while ((match = sourceFilterPattern.exec(content)) !== null) {
+      const filterContent = match[1];
+      const filterOffset = groupIndex(match);
+      const listPattern = /\b(?:includes|excludes|include|exclude)['"]?\s*:\s*(?:\[([^\]]*)\]|(['"])([^'"]+)\2)/g;
+      let list;
+      while ((list = listPattern.exec(filterContent)) !== null) {
+        if (list[1] !== undefined) {
+          this.extractFieldsFromFieldList(list[1], fields, filterOffset + groupIndex(list, 1));
+        } else {
+          addRetrievedField(list[3], fields, filterOffset + groupIndex(list, 3));
+        }
+      }
+    }
+
+    // collapse: { field: 'user.id' }
+    const collapsePattern = /\bcollapse['"]?\s*:\s*\{[^}]*?\bfield['"]?\s*:\s*(['"])([^'"]+)\1/g;
+    while ((match = collapsePattern.exec(content)) !== null) {
+      addRetrievedField(match[2], fields, groupIndex(match, 2));
+    }
+
+    // highlight: { fields: { message: {} } } and fields: [{ message: {} }]
+    const highlightPattern = /\bhighlight['"]?\s*:\s*\{[^{}]*?\bfields['"]?\s*:\s*(?=[{[])/g;
+    while ((match = highlightPattern.exec(content)) !== null) {
+      const start = match.index + match[0].length;
+      const depth = content[start] === '[' ? 2 : 1;
+      for (const key of this.objectKeys(content, start, depth)) {
+        addRetrievedField(key.name, fields, key.index);
+      }
+    }
+
+    // runtime_mappings: { 'day_of_week': { type: 'keyword', script: ... } } defines its keys
+    const runtimePattern = /\bruntime_mappings['"]?\s*:\s*(?=\{)/g;
+    while ((match = runtimePattern.exec(content)) !== null) {
+      for (const key of this.objectKeys(content, match.index + match[0].length, 1)) {
+        if (utilIsValidESFieldName(key.name)) {
+          fields.add(key.name, { index: key.index, extractor: 'extractFromRuntimeMappings', access: 'write' });
+        }
       }
     }
   }
 
+  extractFieldsFromFieldList(listContent, fields, offset = 0) {
+    FIELD_LIST_ENTRY_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = FIELD_LIST_ENTRY_PATTERN.exec(listContent)) !== null) {
+      addRetrievedField(match[2], fields, offset + groupIndex(match, 2));
+    }
+  }
+
+  /**
+   * Keys of the object literal (or, at depth 2, of the objects in the array literal) that
+   * opens at `start`, with their offsets in `content`
+   * @returns {Array<{name: string, index: number}>}
+   */
+  objectKeys(content, start, depth) {
+    const keys = [];
+    const keyPattern = /(['"]?)([@\w.*-]+)\1\s*:/y;
+    let level = 0;
+    let expectKey = false;
+    for (let i = start; i < content.length; i++) {
+      const char = content[i];
+      if (char === '{' || char === '[') {
+        level++;
+        expectKey = char === '{' && level === depth;
+      } else if (char === '}' || char === ']') {
+        level--;
+        if (level === 0) {
+          break;
+        }
+      } else if (char === ',' && level === depth) {
+        expectKey = true;
+      } else if (expectKey && /\S/.test(char)) {
+        keyPattern.lastIndex = i;
+        const key = keyPattern.exec(content);
+        if (key) {
+          keys.push({ name: key[2], index: i + key[1].length });
+        }
+        expectKey = false;
+      }
+    }
+    return keys;
+  }
+
   extractFromIndexOperations(content, fields) {
-    // Pattern for index operations
+    // Pattern for index operations, up to the document's opening brace
     const indexPatterns = [
-      // client.index({ index: 'name', body: { ... } })
-      /client\.index\s*\(\s*\{[^}]*body\s*:\s*\{([^}]+(?:\{[^}]*\}[^}]*)*)\}/g,
-      // client.create({ ... })
-      /client\.create\s*\(\s*\{[^}]*body\s*:\s*\{([^}]+(?:\{[^}]*\}[^}]*)*)\}/g,
-      // client.update({ ... })
-      /client\.update\s*\(\s*\{[^}]*body\s*:\s*\{([^}]+(?:\{[^}]*\}[^}]*)*)\}/g,
+      // client.index({ index: 'name', document: { ... } }) and the older { body: { ... } }
+      new RegExp(`${CLIENT_RECEIVER}(?:index|create)\\s*\\(\\s*\\{[^}]*?\\b(?:document|body)\\s*:\\s*(?=\\{)`, 'g'),
+      // client.update({ id, doc: { ... } }), { upsert: { ... } } and the older { body: { doc: { ... } } }
+      new RegExp(`${CLIENT_RECEIVER}update\\s*\\(\\s*\\{[^}]*?\\b(?:doc|upsert|body)\\s*:\\s*(?=\\{)`, 'g')
     ];
 
-    for (const pattern of indexPatterns) {
+    for (const [i, pattern] of indexPatterns.entries()) {
       let match;
       while ((match = pattern.exec(content)) !== null) {
-        const bodyContent = match[1];
-        this.extractFieldsFromDocumentBody(bodyContent, fields);
+        const start = match.index + match[0].length + 1;
+        const bodyContent = content.slice(start, this.closingBracket(content, start - 1));
+        this.extractFieldsFromDocumentBody(bodyContent, fields, start, i === 1 ? UPDATE_PARTS : []);
       }
     }
   }
@@ -94,11 +256,11 @@ export class ESClientParser {
           // Direct field match from terms/date_histogram patterns
           const fieldName = match[1];
           if (this.isValidFieldName(fieldName)) {
-            fields.add(fieldName);
+            fields.add(fieldName, { index: groupIndex(match), extractor: 'extractFromAggregations' });
           }
         } else if (match[1]) {
           // Nested aggregation content
-          this.extractFieldsFromAggregationObject(match[1], fields);
+          this.extractFieldsFromAggregationObject(match[1], fields, groupIndex(match));
         }
       }
     }
@@ -118,7 +280,7 @@ export class ESClientParser {
       let match;
       while ((match = pattern.exec(content)) !== null) {
         const propertiesContent = match[1];
-        this.extractFieldsFromMappingProperties(propertiesContent, fields);
+        this.extractFieldsFromMappingProperties(propertiesContent, fields, groupIndex(match));
       }
     }
 
@@ -138,7 +300,7 @@ export class ESClientParser {
         
         if (braceCount === 0) {
           const propertiesContent = content.substring(startBrace + 1, endIndex - 1);
-          this.extractFieldsFromMappingProperties(propertiesContent, fields);
+          this.extractFieldsFromMappingProperties(propertiesContent, fields, startBrace + 1);
         }
       }
     }
@@ -146,23 +308,23 @@ export class ESClientParser {
 
   extractFromBulkOperations(content, fields) {
     // Pattern for bulk operations
-    const bulkPatterns = [
-      // client.bulk({ body: [...] })
-      /client\.bulk\s*\(\s*\{[^}]*body\s*:\s*\[([^\]]+)\]/g,
-      // Bulk document bodies
-      /\{[^}]*"_source"\s*:\s*\{([^}]+(?:\{[^}]*\}[^}]*)*)\}/g,
-    ];
+    // client.bulk({ operations: [...] }), the older { body: [...] }, and client.helpers.bulk({ datasource: [...] }),
+    // up to the opening bracket
+    const operationsPattern = new RegExp(`${CLIENT_RECEIVER}(?:bulk\\s*\\(\\s*\\{[^}]*?\\b(?:operations|body)|helpers\\.bulk\\s*\\(\\s*\\{[^}]*?\\bdatasource)\\s*:\\s*(?=\\[)`, 'g');
+    let match;
+    while ((match = operationsPattern.exec(content)) !== null) {
+      const start = match.index + match[0].length + 1;
+      this.extractFieldsFromBulkBody(content.slice(start, this.closingBracket(content, start - 1)), fields, start);
+    }
 
-    for (const pattern of bulkPatterns) {
-      let match;
-      while ((match = pattern.exec(content)) !== null) {
-        const bulkContent = match[1];
-        this.extractFieldsFromBulkBody(bulkContent, fields);
-      }
+    // Bulk document bodies
+    const sourcePattern = /\{[^}]*"_source"\s*:\s*\{([^}]+(?:\{[^}]*\}[^}]*)*)\}/g;
+    while ((match = sourcePattern.exec(content)) !== null) {
+      this.extractFieldsFromBulkBody(match[1], fields, groupIndex(match));
     }
   }
 
-  extractFromQueryDSL(content, fields) {
+  extractFromQueryDSL(content, fields, offset = 0) {
     // Common Elasticsearch Query DSL patterns
     const queryPatterns = [
       // term: { "field.name": value }
@@ -188,37 +350,522 @@ export class ESClientParser {
       while ((match = pattern.exec(content)) !== null) {
         const fieldName = match[1];
         if (utilIsValidESFieldName(fieldName)) {
-          fields.add(fieldName);
+          fields.add(fieldName, { index: offset + groupIndex(match), extractor: 'extractFromQueryDSL' });
         }
       }
     }
   }
 
-  extractFieldsFromQueryObject(queryContent, fields) {
+  extractFromESQLQueries(content, fields) {
+    // client.esql.query({ query: 'FROM logs-* | WHERE host.name == "x"' }) and any other
+    // string literal that reads as an ES|QL query
+    const stringPattern = /(['"`])((?:\\.|(?!\1)[^\\])*)\1/g;
+    let match;
+    while ((match = stringPattern.exec(content)) !== null) {
+      if (this.isESQLQuery(match[2])) {
+        this.extractFromESQL(match[2], fields, match.index + 1);
+      }
+    }
+  }
+
+  isESQLQuery(text) {
+    return typeof text === 'string' && ESQL_QUERY_START.test(text);
+  }
+
+  /**
+   * Extract the fields an ES|QL query references in its WHERE, EVAL, STATS ... BY, KEEP,
+   * DROP, RENAME, SORT and ENRICH commands. Columns the query defines itself (EVAL and
+   * STATS assignments, RENAME targets, ENRICH WITH names) are not reported when used later.
+   * @param {string} query - ES|QL source
+   * @param {Set|FieldCollector} fields - Collection to add to
+   * @param {number|Function|null} offset - Position of the query in the file (see embeddedLocation)
+   * @param {string} extractor - Extractor name recorded on each occurrence
+   */
+  extractFromESQL(query, fields, offset = 0, extractor = 'extractFromESQL') {
+    const defined = new Set();
+    const add = (token) => {
+      if (defined.has(token.value)) {
+        return;
+      }
+      if (isFieldOrPattern(token.value)) {
+        fields.add(token.value, { ...embeddedLocation(offset, token.index), extractor, language: 'esql' });
+      }
+    };
+
+    for (const [command, ...args] of this.splitESQLCommands(this.tokenizeESQL(query))) {
+      if (!command || command.type !== 'identifier') {
+        continue;
+      }
+
+      switch (command.value.toUpperCase()) {
+        case 'WHERE':
+        case 'SORT':
+          this.esqlFieldReferences(args).forEach(add);
+          break;
+        case 'EVAL':
+          this.esqlAssignments(args, defined, add);
+          break;
+        case 'STATS': {
+          const by = args.findIndex(token => this.isESQLWord(token, 'by'));
+          this.esqlAssignments(by === -1 ? args : args.slice(0, by), defined, add);
+          if (by !== -1) {
+            this.esqlAssignments(args.slice(by + 1), defined, add);
+          }
+          break;
+        }
+        case 'KEEP':
+        case 'DROP':
+          args.filter(token => token.type === 'identifier').forEach(add);
+          break;
+        case 'RENAME':
+          for (const [first, operator, second] of this.splitESQLList(args)) {
+            if (!first || !second) {
+              continue;
+            }
+            // RENAME old AS new, or the newer RENAME new = old
+            const [source, target] = this.isESQLWord(operator, 'as') ? [first, second] : [second, first];
+            add(source);
+            defined.add(target.value);
+          }
+          break;
+        case 'ENRICH':
+          this.esqlEnrich(args, defined, add);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  tokenizeESQL(query) {
+    const tokens = [];
+    ESQL_TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while (ESQL_TOKEN_PATTERN.lastIndex < query.length && (match = ESQL_TOKEN_PATTERN.exec(query)) !== null) {
+      const [, space, string, quoted, number, identifier, param, operator] = match;
+      if (space || string || number || param) {
+        continue;
+      }
+      if (quoted !== undefined) {
+        tokens.push({ type: 'identifier', value: quoted.replace(/``/g, '`'), index: match.index + 1 });
+      } else if (identifier) {
+        tokens.push({ type: 'identifier', value: identifier, index: match.index });
+      } else {
+        tokens.push({ type: 'operator', value: operator, index: match.index });
+      }
+    }
+    return tokens;
+  }
+
+  splitESQLCommands(tokens) {
+    const commands = [[]];
+    for (const token of tokens) {
+      if (token.type === 'operator' && token.value === '|') {
+        commands.push([]);
+      } else {
+        commands[commands.length - 1].push(token);
+      }
+    }
+    return commands;
+  }
+
+  /**
+   * Split a command's arguments on top-level commas
+   */
+  splitESQLList(tokens) {
+    const items = [[]];
+    let depth = 0;
+    for (const token of tokens) {
+      if (token.type === 'operator') {
+        if (token.value === '(' || token.value === '[') {
+          depth++;
+        } else if (token.value === ')' || token.value === ']') {
+          depth--;
+        } else if (token.value === ',' && depth === 0) {
+          items.push([]);
+          continue;
+        }
+      }
+      items[items.length - 1].push(token);
+    }
+    return items.filter(item => item.length > 0);
+  }
+
+  /**
+   * `name = expression, ...`: fields in each expression are references, and each name is
+   * defined for the commands that follow
+   */
+  esqlAssignments(tokens, defined, add) {
+    for (const item of this.splitESQLList(tokens)) {
+      const assigns = item.length > 2 && item[0].type === 'identifier' && item[1].value === '=';
+      this.esqlFieldReferences(assigns ? item.slice(2) : item).forEach(add);
+      if (assigns) {
+        defined.add(item[0].value);
+      }
+    }
+  }
+
+  esqlEnrich(args, defined, add) {
+    const on = args.findIndex(token => this.isESQLWord(token, 'on'));
+    const withIndex = args.findIndex(token => this.isESQLWord(token, 'with'));
+
+    if (on !== -1 && args[on + 1] && args[on + 1].type === 'identifier') {
+      add(args[on + 1]);
+    }
+    if (withIndex === -1) {
+      return;
+    }
+
+    // WITH new_name = enrich_field, or just WITH enrich_field
+    for (const item of this.splitESQLList(args.slice(withIndex + 1))) {
+      const source = item.length >= 3 && item[1].value === '=' ? item[2] : item[0];
+      if (source.type === 'identifier') {
+        add(source);
+      }
+      defined.add(item[0].value);
+    }
+  }
+
+  /**
+   * Identifiers in an expression that name fields: not keywords, function names or cast types
+   */
+  esqlFieldReferences(tokens) {
+    return tokens.filter((token, i) => {
+      if (token.type !== 'identifier' || ESQL_KEYWORDS.has(token.value.toLowerCase())) {
+        return false;
+      }
+      const next = tokens[i + 1];
+      const previous = tokens[i - 1];
+      return !(next && next.value === '(') && !(previous && previous.value === '::');
+    });
+  }
+
+  isESQLWord(token, word) {
+    return Boolean(token) && token.type === 'identifier' && token.value.toLowerCase() === word;
+  }
+
+  extractFromQueryStrings(content, fields) {
+    // kuery: 'host.name: "web-01"', query_string: { query: 'host.name:web-01' } and
+    // Kibana query objects: { query: 'host.name: x', language: 'kuery' }
+    const string = `(['"\`])((?:\\\\.|(?!\\1)[^\\\\])*)\\1`;
+    const queryPatterns = [
+      { pattern: new RegExp(`\\bkuery['"]?\\s*:\\s*${string}`, 'g'), language: 'kql' },
+      { pattern: new RegExp(`\\bquery_string['"]?\\s*:\\s*\\{[^{}]*?\\bquery['"]?\\s*:\\s*${string}`, 'g'), language: 'lucene' },
+      { pattern: new RegExp(`\\bquery['"]?\\s*:\\s*${string}\\s*,\\s*['"]?language['"]?\\s*:\\s*['"](kuery|kql|lucene)['"]`, 'g') }
+    ];
+
+    for (const { pattern, language } of queryPatterns) {
+      let match;
+      while ((match = pattern.exec(content)) !== null) {
+        const queryLanguage = language || this.queryStringLanguage(match[3]);
+        this.extractFromQueryString(match[2], fields, groupIndex(match, 2), queryLanguage);
+      }
+    }
+  }
+
+  /**
+   * Query string language named by a Kibana query object's `language` ('kuery', 'kql' or
+   * 'lucene'), or null
+   */
+  queryStringLanguage(language) {
+    if (language === 'kuery' || language === 'kql') {
+      return 'kql';
+    }
+    return language === 'lucene' ? 'lucene' : null;
+  }
+
+  /**
+   * Extract `field:` references from a KQL or Lucene query string, including KQL nested
+   * field syntax (`user:{ name: x }` is `user.name`), range comparisons (`bytes > 10`),
+   * wildcard fields (`host.*: x`, reported as a pattern) and `_exists_:field`.
+   * @param {string} query - Query string
+   * @param {Set|FieldCollector} fields - Collection to add to
+   * @param {number|Function|null} offset - Position of the query in the file (see embeddedLocation)
+   * @param {string} language - 'kql' or 'lucene'
+   * @param {string} extractor - Extractor name recorded on each occurrence
+   */
+  extractFromQueryString(query, fields, offset = 0, language = 'kql', extractor = 'extractFromQueryString') {
+    const tokens = this.tokenizeQueryString(query);
+    const add = (name, index) => {
+      if (isFieldOrPattern(name)) {
+        fields.add(name, { ...embeddedLocation(offset, index), extractor, language });
+      }
+    };
+
+    // Field prefixes of the enclosing KQL nested queries
+    const scopes = [];
+    let nestedField = null;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type === 'operator') {
+        if (token.value === '{') {
+          scopes.push(nestedField || scopes[scopes.length - 1] || '');
+          nestedField = null;
+        } else if (token.value === '}') {
+          scopes.pop();
+        }
+        continue;
+      }
+
+      const next = tokens[i + 1];
+      if (!next || next.type !== 'operator' || !QUERY_STRING_FIELD_OPERATORS.has(next.value)) {
+        continue;
+      }
+
+      // Lucene required/prohibited markers: +host.name:x -event.outcome:failure
+      const marker = /^[+-]/.test(token.value) ? 1 : 0;
+      const name = token.value.slice(marker).replace(/\\(.)/g, '$1');
+      const scope = scopes[scopes.length - 1];
+      const target = tokens[i + 2];
+
+      if (name === '_exists_') {
+        if (target && target.type === 'term') {
+          add(target.value, target.index);
+          i += 2;
+        }
+        continue;
+      }
+
+      const field = scope ? `${scope}.${name}` : name;
+      add(field, token.index + marker);
+      if (next.value === ':' && target && target.value === '{') {
+        nestedField = field;
+      }
+    }
+  }
+
+  tokenizeQueryString(query) {
+    const tokens = [];
+    QUERY_STRING_TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while (QUERY_STRING_TOKEN_PATTERN.lastIndex < query.length && (match = QUERY_STRING_TOKEN_PATTERN.exec(query)) !== null) {
+      const [, space, phrase, operator, term] = match;
+      if (space || phrase) {
+        continue;
+      }
+      tokens.push(operator
+        ? { type: 'operator', value: operator, index: match.index }
+        : { type: 'term', value: term, index: match.index });
+    }
+    return tokens;
+  }
+
+  extractFromScripts(content, fields) {
+    // script: "doc['a'].value", script: { source: "ctx._source.a = 1" }, if: "ctx.a != null"
+    const scriptPattern = /\b(?:source|inline|script|if)['"]?\s*:\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1/g;
+    let match;
+    while ((match = scriptPattern.exec(content)) !== null) {
+      this.painlessAnalyzer.extractFields(match[2], fields, groupIndex(match, 2));
+    }
+  }
+
+  extractFromEQLQueries(content, fields) {
+    // client.eql.search({ index: 'logs-*', query: 'process where process.name == "cmd.exe"' })
+    const eqlSearchPattern = /\beql\.search\s*\(\s*\{[^;]*?\bquery['"]?\s*:\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1/g;
+    let match;
+    while ((match = eqlSearchPattern.exec(content)) !== null) {
+      this.extractFromEQL(match[2], fields, groupIndex(match, 2));
+    }
+  }
+
+  /**
+   * Extract the fields an EQL query references: conditions in event queries, `sequence by`
+   * and per-query `by` join keys, `until` queries and function arguments such as
+   * `stringContains(process.command_line, "x")`. An event category (`process where ...`)
+   * matches on `event.category`, so it is reported as a reference to that field, tagged
+   * `implicit` since the query never names it.
+   * @param {string} query - EQL source
+   * @param {Set|FieldCollector} fields - Collection to add to
+   * @param {number|Function|null} offset - Position of the query in the file (see embeddedLocation)
+   * @param {string} extractor - Extractor name recorded on each occurrence
+   */
+  extractFromEQL(query, fields, offset = 0, extractor = 'extractFromEQL') {
+    const tokens = this.tokenizeEQL(query);
+    const add = (name, index, details = {}) => {
+      if (utilIsValidESFieldName(name)) {
+        fields.add(name, { ...embeddedLocation(offset, index), extractor, language: 'eql', ...details });
+      }
+    };
+
+    tokens.forEach((token, i) => {
+      if (token.type !== 'identifier') {
+        return;
+      }
+
+      // ?field marks a field that may be missing from the mapping
+      const optional = token.value.startsWith('?') ? 1 : 0;
+      const name = token.value.slice(optional);
+      const next = tokens[i + 1];
+      const previous = tokens[i - 1];
+
+      if (this.isEQLWord(next, 'where')) {
+        if (name.toLowerCase() !== 'any') {
+          add('event.category', token.index, { implicit: true });
+        }
+        return;
+      }
+
+      const isKeyword = !token.quoted && EQL_KEYWORDS.has(name.toLowerCase());
+      // Functions, options such as maxspan=5m and runs=3, and pipes such as | head 10
+      const isNotField = next && (next.value === '(' || next.value === '=') ||
+        previous && previous.value === '|';
+      if (!isKeyword && !isNotField) {
+        add(name, token.index + optional);
+      }
+    });
+  }
+
+  tokenizeEQL(query) {
+    const tokens = [];
+    EQL_TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while (EQL_TOKEN_PATTERN.lastIndex < query.length && (match = EQL_TOKEN_PATTERN.exec(query)) !== null) {
+      const [, space, string, quoted, number, identifier, operator] = match;
+      if (space || string || number) {
+        continue;
+      }
+      if (quoted !== undefined) {
+        tokens.push({ type: 'identifier', value: quoted.replace(/``/g, '`'), index: match.index + 1, quoted: true });
+      } else if (identifier) {
+        tokens.push({ type: 'identifier', value: identifier, index: match.index });
+      } else {
+        tokens.push({ type: 'operator', value: operator, index: match.index });
+      }
+    }
+    return tokens;
+  }
+
+  isEQLWord(token, word) {
+    return Boolean(token) && token.type === 'identifier' && !token.quoted && token.value.toLowerCase() === word;
+  }
+
+  extractFieldsFromQueryObject(queryContent, fields, offset = 0) {
     // Extract fields from query object structure
-    this.extractFromQueryDSL(queryContent, fields);
+    this.extractFromQueryDSL(queryContent, fields, offset);
     
     // Look for nested bool queries
     const boolPattern = /bool\s*:\s*\{([^}]+(?:\{[^}]*\}[^}]*)*)\}/g;
     let match;
     while ((match = boolPattern.exec(queryContent)) !== null) {
-      this.extractFromQueryDSL(match[1], fields);
+      this.extractFromQueryDSL(match[1], fields, offset + groupIndex(match));
     }
   }
 
-  extractFieldsFromDocumentBody(bodyContent, fields) {
-    // Extract field names from document structure
-    const fieldPattern = /['"']([a-zA-Z][a-zA-Z0-9_]*(?:\.[a-zA-Z][a-zA-Z0-9_]*)*)['"']\s*:/g;
+  /**
+   * Extract field paths from a document literal's text, flattening nested objects:
+   * { user: { name: 'x' } } and { 'user.name': 'x' } both give user.name. Arrays of objects
+   * are flattened under their key, shorthand properties ({ ip }) are fields, and empty objects
+   * and geo points ({ lat, lon }) are values of their key.
+   * @param {string[]} unwrap - Top-level keys holding a partial document ({ doc: { ... } })
+   * @param {string} prefix - Path of the object the body is nested in
+   */
+  extractFieldsFromDocumentBody(bodyContent, fields, offset = 0, unwrap = [], prefix = '') {
+    const root = { path: prefix, key: null, keys: [], entries: [], isArray: false };
+    const stack = [root];
+    // Nesting depth inside a value being skipped ({ ts: new Date(now) }), or -1 when not skipping
+    let skipDepth = -1;
+    let pendingKey = null;
+
+    DOCUMENT_TOKEN_PATTERN.lastIndex = 0;
     let match;
-    while ((match = fieldPattern.exec(bodyContent)) !== null) {
-      const fieldName = match[1];
-      if (this.isValidFieldName(fieldName)) {
-        fields.add(fieldName);
+    while ((match = DOCUMENT_TOKEN_PATTERN.exec(bodyContent)) !== null) {
+      const [, , quoted, identifier, punctuation] = match;
+      const frame = stack[stack.length - 1];
+
+      if (skipDepth >= 0) {
+        if (punctuation === '{' || punctuation === '[' || punctuation === '(') {
+          skipDepth++;
+          continue;
+        }
+        if (punctuation === ')' || ((punctuation === '}' || punctuation === ']') && skipDepth > 0)) {
+          skipDepth--;
+          continue;
+        }
+        if (punctuation === ',' && skipDepth === 0) {
+          skipDepth = -1;
+          continue;
+        }
+        if (punctuation !== '}' && punctuation !== ']') {
+          continue;
+        }
+        // The value ended with its enclosing object
+        skipDepth = -1;
+      }
+
+      if (punctuation === '{' || punctuation === '[') {
+        const path = !pendingKey
+          ? frame.path
+          : frame.path === prefix && unwrap.includes(pendingKey.name) ? prefix : this.joinPath(frame.path, pendingKey.name);
+        stack.push({ path, key: pendingKey, keys: [], entries: [], isArray: punctuation === '[' });
+        pendingKey = null;
+        continue;
+      }
+
+      if (punctuation === '}' || punctuation === ']') {
+        if (stack.length === 1) {
+          break;
+        }
+        const closed = stack.pop();
+        const keys = [...closed.keys].sort();
+        const isValue = closed.key && (closed.entries.length === 0 || (keys.length === 2 && keys[0] === 'lat' && keys[1] === 'lon'));
+        stack[stack.length - 1].entries.push(...(isValue ? [{ path: closed.path, index: closed.key.index }] : closed.entries));
+        continue;
+      }
+
+      const name = quoted !== undefined ? quoted : identifier;
+      if (name === undefined || frame.isArray) {
+        continue;
+      }
+
+      const after = bodyContent.slice(DOCUMENT_TOKEN_PATTERN.lastIndex);
+      const key = { name, index: offset + match.index + (quoted !== undefined ? 1 : 0) };
+      const isShorthand = identifier !== undefined && /^\s*[,}]/.test(after) && !/\.\.\.\s*$/.test(bodyContent.slice(0, match.index));
+      if (isShorthand) {
+        frame.keys.push(name);
+        frame.entries.push({ path: this.joinPath(frame.path, name), index: key.index });
+      } else if (/^\s*:/.test(after)) {
+        frame.keys.push(name);
+        if (/^\s*:\s*[{[]/.test(after)) {
+          pendingKey = key;
+        } else {
+          frame.entries.push({ path: this.joinPath(frame.path, name), index: key.index });
+          skipDepth = 0;
+        }
+      }
+    }
+
+    for (const entry of root.entries) {
+      if (this.isValidFieldName(entry.path)) {
+        fields.add(entry.path, { index: entry.index, extractor: 'extractFieldsFromDocumentBody' });
       }
     }
   }
 
-  extractFieldsFromAggregationObject(aggContent, fields) {
+  joinPath(prefix, name) {
+    return prefix ? `${prefix}.${name}` : name;
+  }
+
+  /**
+   * Offset of the bracket closing the one at `openIndex`, or the end of the content when unbalanced
+   */
+  closingBracket(content, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < content.length; i++) {
+      const char = content[i];
+      if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+    return content.length;
+  }
+
+  extractFieldsFromAggregationObject(aggContent, fields, offset = 0) {
     // Extract field names from aggregation definitions
     const patterns = [
       // field: "field.name"
@@ -232,21 +879,21 @@ export class ESClientParser {
       while ((match = pattern.exec(aggContent)) !== null) {
         const fieldName = match[1];
         if (utilIsValidESFieldName(fieldName)) {
-          fields.add(fieldName);
+          fields.add(fieldName, { index: offset + groupIndex(match), extractor: 'extractFromAggregations' });
         }
       }
     }
   }
 
-  extractFieldsFromMappingProperties(propertiesContent, fields) {
+  extractFieldsFromMappingProperties(propertiesContent, fields, offset = 0) {
     try {
       // Try to parse the properties content as JSON to properly extract field structure
       const wrappedContent = `{${propertiesContent}}`;
       const propertiesObj = JSON.parse(wrappedContent);
-      this.extractFieldsFromMappingObject(propertiesObj, fields);
+      this.extractFieldsFromMappingObject(propertiesObj, fields, '', offset);
     } catch (error) {
       // If JSON parsing fails, fall back to pattern matching
-      this.extractFieldsFromMappingContentPattern(propertiesContent, fields);
+      this.extractFieldsFromMappingContentPattern(propertiesContent, fields, offset);
     }
   }
 
@@ -254,21 +901,24 @@ export class ESClientParser {
    * Extract field names from a parsed mapping properties object
    * Only extracts actual field paths, not the mapping structure
    */
-  extractFieldsFromMappingObject(obj, fields, fieldPath = '') {
+  extractFieldsFromMappingObject(obj, fields, fieldPath = '', offset = 0) {
+    // Parsed JSON has no positions; locate each field by searching from the properties block
+    const meta = { searchFrom: offset, extractor: 'extractFromMappings' };
+
     for (const [fieldName, fieldDef] of Object.entries(obj)) {
       const currentFieldPath = fieldPath ? `${fieldPath}.${fieldName}` : fieldName;
       
       // If this field definition has nested properties, recurse
       if (fieldDef && typeof fieldDef === 'object' && fieldDef.properties) {
-        this.extractFieldsFromMappingObject(fieldDef.properties, fields, currentFieldPath);
+        this.extractFieldsFromMappingObject(fieldDef.properties, fields, currentFieldPath, offset);
       } else if (fieldDef && typeof fieldDef === 'object' && fieldDef.type) {
         // This is a leaf field definition with a type - add the field path
         if (this.isValidFieldName(currentFieldPath)) {
-          fields.add(currentFieldPath);
+          fields.add(currentFieldPath, meta);
         }
       } else if (this.isValidFieldName(currentFieldPath)) {
         // Add the field path even if it doesn't have an explicit type
-        fields.add(currentFieldPath);
+        fields.add(currentFieldPath, meta);
       }
     }
   }
@@ -277,14 +927,14 @@ export class ESClientParser {
    * Fallback method for extracting fields from mapping content using patterns
    * when JSON parsing fails
    */
-  extractFieldsFromMappingContentPattern(propertiesContent, fields) {
+  extractFieldsFromMappingContentPattern(propertiesContent, fields, offset = 0) {
     // Extract field names from mapping properties - more flexible pattern
     const fieldPattern = /['"']([a-zA-Z@][a-zA-Z0-9_]*(?:\.[a-zA-Z][a-zA-Z0-9_]*)*)['"']\s*:\s*\{[^}]*type\s*:/g;
     let match;
     while ((match = fieldPattern.exec(propertiesContent)) !== null) {
       const fieldName = match[1];
       if (this.isValidFieldName(fieldName)) {
-        fields.add(fieldName);
+        fields.add(fieldName, { index: offset + groupIndex(match), extractor: 'extractFromMappings' });
       }
     }
     
@@ -293,20 +943,20 @@ export class ESClientParser {
     while ((match = simpleFieldPattern.exec(propertiesContent)) !== null) {
       const fieldName = match[1];
       if (this.isValidFieldName(fieldName)) {
-        fields.add(fieldName);
+        fields.add(fieldName, { index: offset + groupIndex(match), extractor: 'extractFromMappings' });
       }
     }
   }
 
-  extractFieldsFromBulkBody(bulkContent, fields) {
-    // Extract fields from bulk operation bodies
-    this.extractFieldsFromDocumentBody(bulkContent, fields);
+  extractFieldsFromBulkBody(bulkContent, fields, offset = 0) {
+    // Extract fields from bulk operation bodies; the line after an update action is { doc, upsert }
+    this.extractFieldsFromDocumentBody(bulkContent, fields, offset, UPDATE_PARTS);
     
     // Scan the bulk block once for Query DSL-like field references
-    this.extractFromQueryDSL(bulkContent, fields);
+    this.extractFromQueryDSL(bulkContent, fields, offset);
   }
 
-  extractFieldsFromTypescriptInterfaces(content, fields) {
+  extractFieldsFromTypescriptInterfaces(content, fields, offset = 0) {
     // Extract field names from TypeScript interface definitions
     // More robust approach to handle nested interfaces
     const interfaceStartPattern = /interface\s+\w+\s*\{/g;
@@ -333,7 +983,7 @@ export class ESClientParser {
         while ((fieldMatch = quotedFieldPattern.exec(interfaceBody)) !== null) {
           const fieldName = fieldMatch[1];
           if (this.isValidFieldName(fieldName)) {
-            fields.add(fieldName);
+            fields.add(fieldName, { index: offset + startIndex + groupIndex(fieldMatch), extractor: 'extractFieldsFromTypescriptInterfaces' });
           }
         }
         
@@ -342,14 +992,14 @@ export class ESClientParser {
         while ((fieldMatch = unquotedFieldPattern.exec(interfaceBody)) !== null) {
           const fieldName = fieldMatch[1];
           if (this.isValidFieldName(fieldName)) {
-            fields.add(fieldName);
+            fields.add(fieldName, { index: offset + startIndex + groupIndex(fieldMatch), extractor: 'extractFieldsFromTypescriptInterfaces' });
           }
         }
       }
     }
   }
 
-  extractFieldsFromTypescriptTypes(content, fields) {
+  extractFieldsFromTypescriptTypes(content, fields, offset = 0) {
     // Extract field names from TypeScript type definitions
     const typePattern = /type\s+\w+\s*=\s*\{([^}]+(?:\{[^}]*\}[^}]*)*)\}/g;
     let match;
@@ -362,7 +1012,7 @@ export class ESClientParser {
       while ((fieldMatch = quotedFieldPattern.exec(typeBody)) !== null) {
         const fieldName = fieldMatch[1];
         if (utilIsValidESFieldName(fieldName)) {
-          fields.add(fieldName);
+          fields.add(fieldName, { index: offset + groupIndex(match) + groupIndex(fieldMatch), extractor: 'extractFieldsFromTypescriptTypes' });
         }
       }
       
@@ -371,7 +1021,7 @@ export class ESClientParser {
       while ((fieldMatch = unquotedFieldPattern.exec(typeBody)) !== null) {
         const fieldName = fieldMatch[1];
         if (utilIsValidESFieldName(fieldName)) {
-          fields.add(fieldName);
+          fields.add(fieldName, { index: offset + groupIndex(match) + groupIndex(fieldMatch), extractor: 'extractFieldsFromTypescriptTypes' });
         }
       }
     }
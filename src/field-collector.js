@@ -0,0 +1,142 @@
+/**
+ * Collects field occurrences for a single file together with where they were found
+ * and which extractor found them.
+ *
+ * Exposes the subset of the Set API the extractors use (add/has/size/iteration over
+ * unique names), so extractors written against a plain Set keep working; a Set simply
+ * ignores the metadata argument.
+ */
+export class FieldCollector {
+  constructor(filePath = '', content = '') {
+    this.filePath = filePath;
+    this.content = typeof content === 'string' ? content : '';
+    this.occurrences = [];
+    this.names = new Set();
+    this.seen = new Set();
+    this.lineStarts = null;
+  }
+
+  /**
+   * Record a field occurrence.
+   * @param {string} fieldName - Extracted field name
+   * @param {Object} meta - { extractor, index } or { extractor, line, column }; without a
+   *   position the first textual occurrence of the field is used
+   * @returns {FieldCollector} this, like Set#add
+   */
+  add(fieldName, meta = {}) {
+    const { index, line, column, searchFrom, extractor = 'unknown', ...details } = meta;
+    const location = line !== undefined
+      ? { line, column: column !== undefined ? column : null }
+      : this.locate(fieldName, index, searchFrom);
+
+    // The same literal is often matched by several extractors; keep the first (most specific) one
+    const key = `${fieldName}:${location.line}:${location.column}`;
+    if (this.seen.has(key)) {
+      return this;
+    }
+    this.seen.add(key);
+    this.names.add(fieldName);
+
+    this.occurrences.push({
+      field: fieldName,
+      file: this.filePath,
+      line: location.line,
+      column: location.column,
+      extractor,
+      ...details
+    });
+    return this;
+  }
+
+  /**
+   * Drop the occurrences a predicate matches, e.g. ones suppressed by comments
+   * @param {Function} predicate - Called with each occurrence
+   */
+  remove(predicate) {
+    this.occurrences = this.occurrences.filter(occurrence => !predicate(occurrence));
+    this.names = new Set(this.occurrences.map(occurrence => occurrence.field));
+    return this;
+  }
+
+  has(fieldName) {
+    return this.names.has(fieldName);
+  }
+
+  get size() {
+    return this.names.size;
+  }
+
+  [Symbol.iterator]() {
+    return this.names.values();
+  }
+
+  forEach(callback) {
+    this.names.forEach(name => callback(name, name, this));
+  }
+
+  /**
+   * Resolve a character offset (or, failing that, a text search) to a 1-based line and column
+   */
+  locate(fieldName, index, searchFrom = 0) {
+    let offset = index;
+
+    if (offset === undefined || offset === null) {
+      offset = this.content.indexOf(fieldName, searchFrom);
+      if (offset === -1) {
+        // Paths built from nested structures only appear as their last segment
+        const lastSegment = fieldName.split('.').pop();
+        offset = this.content.indexOf(lastSegment, searchFrom);
+      }
+    }
+
+    if (offset === undefined || offset === null || offset < 0 || offset > this.content.length) {
+      return { line: null, column: null };
+    }
+
+    const lineStarts = this.getLineStarts();
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  }
+
+  getLineStarts() {
+    if (!this.lineStarts) {
+      this.lineStarts = [0];
+      for (let i = 0; i < this.content.length; i++) {
+        if (this.content[i] === '\n') {
+          this.lineStarts.push(i + 1);
+        }
+      }
+    }
+    return this.lineStarts;
+  }
+}
+
+/**
+ * Offset of a regex capture group within the searched string
+ */
+export function groupIndex(match, group = 1) {
+  const offset = match[0].indexOf(match[group]);
+  return match.index + (offset === -1 ? 0 : offset);
+}
+
+/**
+ * Location metadata for a token inside an embedded query or script. `offset` is the embedded
+ * source's position in the file, a function mapping source offsets to file offsets, or null
+ * when unknown.
+ */
+export function embeddedLocation(offset, index) {
+  if (offset === null || offset === undefined) {
+    return {};
+  }
+  return { index: typeof offset === 'function' ? offset(index) : offset + index };
+}
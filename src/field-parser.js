@@ -1,19 +1,122 @@
 import { parse } from 'csv-parse/sync';
 import chalk from 'chalk';
 import { ESClientParser } from './es-client-parser.js';
+import { ASTFieldExtractor } from './ast-extractor.js';
+import { ConstantResolver } from './constant-resolver.js';
+import { PainlessAnalyzer } from './painless-analyzer.js';
+import { IngestPipelineAnalyzer } from './ingest-pipeline-analyzer.js';
+import { IndexTemplateAnalyzer } from './index-template-analyzer.js';
+import { SavedObjectAnalyzer } from './saved-object-analyzer.js';
+import { DetectionRuleAnalyzer } from './rule-analyzer.js';
+import { LogstashConfigAnalyzer } from './logstash-analyzer.js';
+import { SigmaRuleAnalyzer } from './sigma-analyzer.js';
+import { ExtractorPluginRegistry } from './plugin-registry.js';
+import { SuppressionFilter } from './suppressions.js';
+import { NonFieldStringClassifier } from './non-field-strings.js';
+import { FieldCollector, groupIndex } from './field-collector.js';
+import { ECSFieldCatalogue } from './ecs-catalogue.js';
 import {
   isValidESFieldName as utilIsValidESFieldName,
   isValidExtractedFieldName as utilIsValidExtractedFieldName,
   isECSFieldKeyFormat as utilIsECSFieldKeyFormat,
   isValidGeneralFieldName as utilIsValidGeneralFieldName,
+  addRetrievedField,
+  RETRIEVAL_KEYS,
+  SOURCE_FILTER_KEYS
 } from './utils/field-utils.js';
 
+// Markdown code fence info strings, and the file extension whose extractor handles the fence
+const MARKDOWN_FENCE_EXTENSIONS = {
+  js: 'js',
+  javascript: 'js',
+  mjs: 'js',
+  cjs: 'js',
+  jsx: 'jsx',
+  ts: 'ts',
+  typescript: 'ts',
+  tsx: 'tsx',
+  json: 'json',
+  yaml: 'yml',
+  yml: 'yml'
+};
+
+// Search request parameters whose values list returned fields; in JSON, `fields` is always the
+// fields API (the AST mode reads it with other field-valued keys)
+const FIELD_LIST_KEYS = new Set([...RETRIEVAL_KEYS, 'fields']);
+
 export class FieldParser {
   constructor(options = {}) {
     this.verbose = options.verbose || false;
-    this.esClientParser = new ESClientParser({ verbose: this.verbose });
+    // 'ast' walks real syntax trees for JS/TS; 'regex' forces the pattern-based extractors
+    this.extractionMode = options.extractionMode || 'ast';
+    // Markdown prose is only scanned for quoted field names when asked for; code fences always are
+    this.markdownProse = options.markdownProse || false;
+    // AST mode only reports literals in field positions unless bare strings are asked for
+    this.bareStrings = options.bareStrings || false;
+    this.painlessAnalyzer = new PainlessAnalyzer({ verbose: this.verbose });
+    this.esClientParser = new ESClientParser({ verbose: this.verbose, painlessAnalyzer: this.painlessAnalyzer });
+    this.pipelineAnalyzer = new IngestPipelineAnalyzer({ verbose: this.verbose, painlessAnalyzer: this.painlessAnalyzer });
+    this.constantResolver = new ConstantResolver({ verbose: this.verbose });
+    this.templateAnalyzer = new IndexTemplateAnalyzer({ verbose: this.verbose });
+    this.ruleAnalyzer = new DetectionRuleAnalyzer({ verbose: this.verbose, esClientParser: this.esClientParser });
+    this.logstashAnalyzer = new LogstashConfigAnalyzer({ verbose: this.verbose });
+    this.sigmaAnalyzer = new SigmaRuleAnalyzer({ verbose: this.verbose });
+    this.plugins = new ExtractorPluginRegistry({ verbose: this.verbose, rootPath: options.rootPath });
+    this.suppressionFilter = new SuppressionFilter({
+      verbose: this.verbose,
+      parseScript: (content, filePath) => this.astExtractor.parse(content, filePath)
+    });
+    this.nonFieldStrings = new NonFieldStringClassifier({ verbose: this.verbose });
+    this.savedObjectAnalyzer = new SavedObjectAnalyzer({
+      verbose: this.verbose,
+      esClientParser: this.esClientParser,
+      painlessAnalyzer: this.painlessAnalyzer
+    });
+    this.astExtractor = new ASTFieldExtractor({
+      verbose: this.verbose,
+      constantResolver: this.constantResolver,
+      esClientParser: this.esClientParser,
+      painlessAnalyzer: this.painlessAnalyzer,
+      templateAnalyzer: this.templateAnalyzer
+    });
+  }
+
+  /**
+   * Index a file's constants, imports and exports, and the component templates it defines, ahead
+   * of extraction so field names held in constants and fields of composed templates can be
+   * resolved across files. Files that fail to parse are ignored.
+   */
+  indexFile(content, filePath) {
+    const fileExt = filePath.split('.').pop().toLowerCase();
+    if (fileExt === 'json') {
+      try {
+        this.templateAnalyzer.indexJSON(JSON.parse(content), content, filePath);
+      } catch (error) {
+        // Not JSON; extraction falls back to text for this file
+      }
+      return;
+    }
+    if (this.extractionMode !== 'ast' || !['js', 'ts', 'tsx', 'jsx'].includes(fileExt)) {
+      return;
+    }
+
+    try {
+      const ast = this.astExtractor.parse(content, filePath);
+      this.constantResolver.indexAst(ast, filePath);
+      this.astExtractor.indexComponentTemplates(ast, filePath);
+      this.astExtractor.indexDocumentTypes(ast);
+    } catch (error) {
+      if (this.verbose) {
+        console.log(chalk.yellow(`⚠️  Could not index constants in ${filePath}: ${error.message}`));
+      }
+    }
   }
 
+  /**
+   * Parse an ECS fields CSV into a field catalogue
+   * @param {string} csvContent - generated/csv/fields.csv content
+   * @returns {ECSFieldCatalogue} Field names with their type, level and description
+   */
   parseECSFields(csvContent) {
     try {
       if (this.verbose) {
@@ -28,17 +131,20 @@ export class FieldParser {
 
       // Extract field names from the CSV
       // ECS CSV structure typically has a 'field' column with dot-notation field names
-      const coreFields = new Set();
+      // Only valid ECS field names are added
+      const coreFields = new ECSFieldCatalogue({ isValidName: name => this.isValidECSFieldName(name) });
       
       for (const record of records) {
         // The field name can be in 'field', 'Field', or other similar columns
         const fieldValue = record.field || record.Field || record.FIELD;
         if (fieldValue && fieldValue.trim()) {
-          const fieldName = fieldValue.trim();
-          // Only add valid ECS field names
-          if (this.isValidECSFieldName(fieldName)) {
-            coreFields.add(fieldName);
-          }
+          // Multi-fields have rows of their own, so they are not expanded from the parent
+          coreFields.add(fieldValue.trim(), {
+            type: record.type || record.Type,
+            level: record.level || record.Level,
+            description: record.description || record.Description,
+            deprecated: record.deprecated || record.Deprecated
+          });
         }
       }
 
@@ -77,10 +183,42 @@ export class FieldParser {
   }
 
   extractFieldsFromContent(content, filePath) {
-    const fields = new Set();
+    return Array.from(this.collectFileFields(content, filePath));
+  }
+
+  /**
+   * Extract every field occurrence with its file, line, column and extractor
+   * @returns {Array<{field: string, file: string, line: number|null, column: number|null, extractor: string}>}
+   */
+  extractFieldOccurrences(content, filePath) {
+    return this.collectFileFields(content, filePath).occurrences;
+  }
+
+  /**
+   * Collect a whole file's fields, minus i18n IDs, config keys and similar non-field strings,
+   * bare string literals outside field positions (AST mode), and those its suppression
+   * comments ignore. Markdown fences go through collectFields directly, so all apply once,
+   * with file lines.
+   */
+  collectFileFields(content, filePath) {
+    const fields = this.collectFields(content, filePath);
+    // Classified first so i18n IDs and config keys are still reported as non-field strings
+    this.nonFieldStrings.apply(content, fields);
+    if (!this.bareStrings) {
+      fields.remove(occurrence => occurrence.extractor === 'ast:stringLiteral');
+    }
+    this.suppressionFilter.apply(content, fields);
+    return fields;
+  }
+
+  collectFields(content, filePath) {
+    const fields = new FieldCollector(filePath, content);
     const fileExt = filePath.split('.').pop().toLowerCase();
 
     try {
+      // Plugins run first so their occurrences, and context, win over generic matches of the same literal
+      this.plugins.extractFields(content, filePath, fields);
+
       switch (fileExt) {
         case 'js':
         case 'ts':
@@ -89,15 +227,33 @@ export class FieldParser {
           this.extractFromJavaScript(content, fields, filePath);
           break;
         case 'json':
-          this.extractFromJSON(content, fields);
+        case 'jsonc':
+          this.extractFromJSON(content, fields, filePath);
           break;
         case 'yml':
         case 'yaml':
-          this.extractFromYAML(content, fields);
+          this.extractFromYAML(content, fields, filePath);
+          break;
+        case 'md':
+          this.extractFromMarkdown(content, fields, filePath);
+          break;
+        case 'eql':
+          this.esClientParser.extractFromEQL(content, fields);
+          break;
+        case 'ndjson':
+          this.savedObjectAnalyzer.extractFields(content, fields);
+          break;
+        case 'toml':
+          this.ruleAnalyzer.extractFields(content, fields, filePath);
+          break;
+        case 'conf':
+          this.logstashAnalyzer.extractFields(content, fields, filePath);
           break;
         default:
-          // For other file types, try general text extraction
-          this.extractFromText(content, fields);
+          // For other file types, try general text extraction unless a plugin owns the format
+          if (!this.plugins.handles(filePath)) {
+            this.extractFromText(content, fields);
+          }
       }
     } catch (error) {
       if (this.verbose) {
@@ -105,17 +261,21 @@ export class FieldParser {
       }
     }
 
-    return Array.from(fields);
+    return fields;
   }
 
   extractFromJavaScript(content, fields, filePath) {
+    // Prefer syntax-tree extraction; files that fail to parse fall back to pattern matching
+    if (this.extractionMode === 'ast' && this.astExtractor.extract(content, filePath, fields)) {
+      return;
+    }
+
+    this.extractFromJavaScriptPatterns(content, fields, filePath);
+  }
+
+  extractFromJavaScriptPatterns(content, fields, filePath) {
     // Use ES client analysis for ALL JavaScript and TypeScript files
-    const esClientFields = this.esClientParser.extractESClientFields(content, filePath);
-    esClientFields.forEach(field => {
-      if (utilIsValidESFieldName(field)) {
-        fields.add(field);
-      }
-    });
+    this.esClientParser.extractESClientFields(content, filePath, fields);
 
     // For TypeScript files, also extract from ES document interfaces
     const isTypeScript = filePath && (filePath.endsWith('.ts') || filePath.endsWith('.tsx'));
@@ -124,6 +284,9 @@ export class FieldParser {
       this.extractFromESDocumentInterfaces(content, fields);
     }
 
+    // Document reads go first so they keep their access over the generic patterns
+    this.extractFromDocumentAccess(content, fields);
+
     // Extract fields from explicit Elasticsearch contexts
     this.extractFromExplicitESContexts(content, fields);
 
@@ -133,7 +296,61 @@ export class FieldParser {
       /['"']([a-zA-Z@][a-zA-Z0-9_]*(?:\.[a-zA-Z][a-zA-Z0-9_]*)*)['"']/g
     ];
 
-    this.extractWithPatterns(content, fields, fieldPatterns);
+    this.extractWithPatterns(content, fields, fieldPatterns, 'quotedString');
+  }
+
+  /**
+   * Reads of search hits: `_source` property chains (`hit._source.user.name`,
+   * `hit._source?.['host.ip']`), fields API keys (`hit.fields['event.created']`) and
+   * destructuring (`const { process: { pid } } = hit._source`)
+   */
+  extractFromDocumentAccess(content, fields) {
+    let match;
+    const sourceChainPattern = /\b_source[!?]?((?:\??\.[A-Za-z@][\w@]*|(?:\?\.)?\[\s*(['"])[^'"]+\2\s*\])+)/g;
+    while ((match = sourceChainPattern.exec(content)) !== null) {
+      const links = [];
+      const linkPattern = /\??\.([A-Za-z@][\w@]*)|\[\s*(['"])([^'"]+)\2\s*\]/g;
+      let link;
+      while ((link = linkPattern.exec(match[1])) !== null) {
+        const name = link[1] || link[3];
+        links.push({ name, index: groupIndex(match, 1) + link.index + link[0].indexOf(name) });
+      }
+
+      const after = content.slice(match.index + match[0].length);
+      // hit._source.user.name.toLowerCase(): the method is not part of the field
+      if (/^\s*\(/.test(after)) {
+        links.pop();
+      }
+      while (links.length > 0 && links[links.length - 1].name === 'length') {
+        links.pop();
+      }
+      const access = /^\s*=(?!=)/.test(after) ? 'write' : 'read';
+      this.addDocumentAccess(links.map(l => l.name).join('.'), links[0] && links[0].index, access, fields);
+    }
+
+    const fieldsAPIPattern = /\bfields(?:\?\.)?\[\s*(['"])([^'"]+)\1\s*\]/g;
+    while ((match = fieldsAPIPattern.exec(content)) !== null) {
+      this.addDocumentAccess(match[2], groupIndex(match, 2), 'read', fields);
+    }
+
+    // const { process: { pid } } = hit._source; const { pid } = hit._source.process
+    const destructuringPattern = /\b(?:const|let|var)\s*(\{[\s\S]*?\})\s*=\s*[\w$.?!\[\]]*?\b_source((?:\??\.[A-Za-z@][\w@]*)*)/g;
+    while ((match = destructuringPattern.exec(content)) !== null) {
+      const prefix = match[2].replace(/\?/g, '').split('.').filter(Boolean).join('.');
+      const collector = {
+        add: (fieldName, meta) => {
+          this.addDocumentAccess(fieldName, meta.index, 'read', fields);
+          return collector;
+        }
+      };
+      this.esClientParser.extractFieldsFromDocumentBody(match[1], collector, groupIndex(match, 1), [], prefix);
+    }
+  }
+
+  addDocumentAccess(fieldName, index, access, fields) {
+    if (fieldName && utilIsValidESFieldName(fieldName)) {
+      fields.add(fieldName, { index, extractor: 'extractFromDocumentAccess', access });
+    }
   }
 
   extractFromESDocumentInterfaces(content, fields) {
@@ -149,7 +366,10 @@ export class FieldParser {
       let match;
       while ((match = pattern.exec(content)) !== null) {
         const interfaceBody = match[2];
-        this.esClientParser.extractFieldsFromTypescriptInterfaces(`interface ${match[1]} {${interfaceBody}}`, fields);
+        const wrapper = `interface ${match[1]} {`;
+        // Offset maps positions in the rebuilt interface back onto the original content
+        const offset = match.index + match[0].indexOf('{') + 1 - wrapper.length;
+        this.esClientParser.extractFieldsFromTypescriptInterfaces(`${wrapper}${interfaceBody}}`, fields, offset);
       }
     }
   }
@@ -186,30 +406,222 @@ export class FieldParser {
       while ((match = pattern.exec(content)) !== null) {
         const fieldName = match[1];
         if (utilIsValidESFieldName(fieldName)) {
-          fields.add(fieldName);
+          fields.add(fieldName, { index: groupIndex(match), extractor: 'extractFromExplicitESContexts' });
         }
       }
     }
   }
 
-  extractFromJSON(content, fields) {
+  extractFromJSON(content, fields, filePath = '') {
     try {
-      const obj = JSON.parse(content);
-      this.extractFromObject(obj, fields);
+      const obj = this.parseJSONC(content);
+
+      // Ingest pipelines: only the fields processors read and write, not every key and value
+      const pipelines = this.pipelineAnalyzer.findPipelines(obj);
+      if (pipelines.length > 0) {
+        this.pipelineAnalyzer.extractFields(pipelines, content, fields);
+        return;
+      }
+
+      // Returned fields go first so they keep their extractor over the generic key/value scan
+      this.extractRetrievedFieldsFromObject(obj, fields);
+
+      // Index, component and legacy templates: mappings, dynamic templates and composed_of
+      const templates = this.templateAnalyzer.findTemplates(obj, filePath);
+      if (templates.length > 0) {
+        this.templateAnalyzer.extractFields(templates, content, fields);
+      } else {
+        this.extractFromObject(obj, fields);
+      }
+      this.extractQueriesFromObject(obj, content, fields);
     } catch (error) {
       // If JSON parsing fails, fall back to text extraction
       this.extractFromText(content, fields);
     }
   }
 
-  extractFromYAML(content, fields) {
+  /**
+   * Parse JSON, or JSON with comments and trailing commas (tsconfig.json, .jsonc). Comments
+   * are blanked rather than removed so offsets into the text stay valid.
+   */
+  parseJSONC(content) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      // Two passes, so a trailing comma followed by a comment is blanked once the comment is
+      const blank = text => text.replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\/|,(?=\s*[}\]])/g,
+        (match, string) => string || match.replace(/[^\n]/g, ' '));
+      const stripped = blank(blank(content));
+      if (stripped === content) {
+        throw error;
+      }
+      return JSON.parse(stripped);
+    }
+  }
+
+  extractFromYAML(content, fields, filePath) {
+    // Sigma rules name fields in their own taxonomy, which has to be mapped rather than collected
+    if (this.sigmaAnalyzer.extractFields(content, fields, filePath)) {
+      return;
+    }
+
     // Simple YAML field extraction - look for key: value patterns
     const patterns = [
       /^[\s]*([a-zA-Z@][a-zA-Z0-9_]*(?:\.[a-zA-Z][a-zA-Z0-9_]*)*)\s*:/gm,
       /['"']([a-zA-Z@][a-zA-Z0-9_]*(?:\.[a-zA-Z][a-zA-Z0-9_]*)*)['"']/g
     ];
 
-    this.extractWithPatterns(content, fields, patterns);
+    this.extractWithPatterns(content, fields, patterns, 'extractFromYAML');
+  }
+
+  /**
+   * Query strings held in JSON values: ES|QL (`"FROM logs-* | KEEP host.name"`), `kuery`,
+   * `query_string.query`, Kibana query objects and rules (`{ "query": "...", "language": "kuery" }`),
+   * and Painless scripts (`script`, `script.source`, processor `if` conditions)
+   * @param {string|null} runtimeField - Runtime field whose definition `value` is inside
+   */
+  extractQueriesFromObject(value, content, fields, key = null, parent = null, parentKey = null, runtimeField = null) {
+    if (value && typeof value === 'object') {
+      const definesRuntimeField = parentKey === 'runtime_mappings' || parentKey === 'runtime';
+      for (const [childKey, child] of Object.entries(value)) {
+        this.extractQueriesFromObject(
+          child, content, fields, Array.isArray(value) ? key : childKey, value, key,
+          definesRuntimeField ? key : runtimeField
+        );
+      }
+      return;
+    }
+    if (typeof value !== 'string') {
+      return;
+    }
+
+    // Positions only line up when the JSON text has no escapes
+    const text = JSON.stringify(value);
+    const index = text.length === value.length + 2 ? content.indexOf(text.slice(1, -1)) : -1;
+    const offset = index === -1 ? null : index;
+
+    if (this.esClientParser.isESQLQuery(value)) {
+      this.esClientParser.extractFromESQL(value, fields, offset);
+      return;
+    }
+
+    const isScriptSource = (key === 'source' || key === 'inline') && parentKey === 'script' &&
+      (!parent.lang || parent.lang === 'painless');
+    if (isScriptSource || key === 'script' || key === 'if') {
+      this.painlessAnalyzer.extractFields(value, fields, offset, 'extractFromPainless', { runtimeField });
+      return;
+    }
+
+    const language = key === 'kuery'
+      ? 'kql'
+      : key === 'query' && parentKey === 'query_string'
+        ? 'lucene'
+        : key === 'query' ? this.esClientParser.queryStringLanguage(parent.language) : null;
+    if (language) {
+      this.esClientParser.extractFromQueryString(value, fields, offset, language);
+    } else if (key === 'query' && parent.language === 'eql') {
+      this.esClientParser.extractFromEQL(value, fields, offset);
+    }
+  }
+
+  /**
+   * Fields a search request body returns: source filtering (`"_source": ["host.*"]`,
+   * `{ "includes": [...] }`), the fields API, `docvalue_fields`, `stored_fields`,
+   * `collapse.field` and `highlight.fields`. Wildcards are kept as field patterns.
+   */
+  extractRetrievedFieldsFromObject(value, fields) {
+    if (Array.isArray(value)) {
+      value.forEach(item => this.extractRetrievedFieldsFromObject(item, fields));
+      return;
+    }
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (FIELD_LIST_KEYS.has(key)) {
+        this.extractFromFieldList(child, fields);
+      } else if (key === 'highlight' && child && typeof child === 'object' && child.fields) {
+        for (const highlighted of [].concat(child.fields)) {
+          if (highlighted && typeof highlighted === 'object') {
+            Object.keys(highlighted).forEach(name => addRetrievedField(name, fields));
+          }
+        }
+      }
+      this.extractRetrievedFieldsFromObject(child, fields);
+    }
+  }
+
+  extractFromFieldList(value, fields) {
+    if (typeof value === 'string') {
+      addRetrievedField(value, fields);
+    } else if (Array.isArray(value)) {
+      for (const entry of value) {
+        // "docvalue_fields": [{ "field": "@timestamp", "format": "epoch_millis" }]
+        addRetrievedField(entry && typeof entry === 'object' ? entry.field : entry, fields);
+      }
+    } else if (value && typeof value === 'object') {
+      for (const [key, list] of Object.entries(value)) {
+        // { "includes": [...] } in _source filters, { "field": "user.id" } in collapse
+        if (key === 'field' || SOURCE_FILTER_KEYS.has(key)) {
+          this.extractFromFieldList(list, fields);
+        }
+      }
+    }
+  }
+
+  /**
+   * Markdown: fenced code blocks are routed by their info string; prose is skipped unless
+   * `markdownProse` is set, since version strings, URLs and config keys in prose look like fields
+   */
+  extractFromMarkdown(content, fields, filePath = '') {
+    const fencePattern = /^(`{3,}|~{3,})[ \t]*([\w|+-]*)[^\n]*\n([\s\S]*?)^\1[ \t]*$/gm;
+    let prose = content;
+    let match;
+    while ((match = fencePattern.exec(content)) !== null) {
+      const bodyOffset = match.index + match[0].indexOf('\n') + 1;
+      this.extractFromFence(match[2].toLowerCase(), match[3], bodyOffset, content, fields, filePath);
+      // Blank out the fence so prose offsets still line up
+      prose = prose.slice(0, match.index) + match[0].replace(/[^\n]/g, ' ') + prose.slice(match.index + match[0].length);
+    }
+
+    if (this.markdownProse) {
+      this.extractFromText(prose, fields);
+    }
+  }
+
+  extractFromFence(language, body, bodyOffset, content, fields, filePath) {
+    // Query languages, or unlabelled fences that read as ES|QL
+    if (language === 'esql' || language === 'es|ql' || (!language && this.esClientParser.isESQLQuery(body))) {
+      this.esClientParser.extractFromESQL(body, fields, bodyOffset);
+      return;
+    }
+    if (language === 'eql') {
+      this.esClientParser.extractFromEQL(body, fields, bodyOffset);
+      return;
+    }
+    const queryLanguage = this.esClientParser.queryStringLanguage(language);
+    if (queryLanguage) {
+      this.esClientParser.extractFromQueryString(body, fields, bodyOffset, queryLanguage);
+      return;
+    }
+    if (language === 'painless') {
+      this.painlessAnalyzer.extractFields(body, fields, bodyOffset);
+      return;
+    }
+
+    const extension = MARKDOWN_FENCE_EXTENSIONS[language];
+    if (!extension) {
+      return;
+    }
+
+    // Code fences are analysed as files of their own, then shifted to their place in the document
+    const lineOffset = content.slice(0, bodyOffset).split('\n').length - 1;
+    const fenceFields = this.collectFields(body, `${filePath}.fence-${lineOffset + 1}.${extension}`);
+    for (const occurrence of fenceFields.occurrences) {
+      const { field, file, line, column, ...details } = occurrence;
+      fields.add(field, { ...details, line: line === null ? null : line + lineOffset, column });
+    }
   }
 
   extractFromText(content, fields) {
@@ -218,7 +630,7 @@ export class FieldParser {
       /['"']([a-zA-Z@][a-zA-Z0-9_]*(?:\.[a-zA-Z][a-zA-Z0-9_]*)*)['"']/g
     ];
 
-    this.extractWithPatterns(content, fields, patterns);
+    this.extractWithPatterns(content, fields, patterns, 'extractFromText');
   }
 
   extractFromObject(obj, fields, prefix = '') {
@@ -242,17 +654,17 @@ export class FieldParser {
       
       // Only consider keys as ES fields if they have ES-like structure
       if (utilIsValidESFieldName(key)) {
-        fields.add(key);
+        fields.add(key, { extractor: 'extractFromJSON' });
       }
       
       // For nested objects, also check the full path
       if (prefix && utilIsValidESFieldName(fullKey)) {
-        fields.add(fullKey);
+        fields.add(fullKey, { extractor: 'extractFromJSON' });
       }
 
       // If value is a string that looks like an ES field name, add it
       if (typeof value === 'string' && utilIsValidESFieldName(value)) {
-        fields.add(value);
+        fields.add(value, { extractor: 'extractFromJSON' });
       }
 
       // Recurse into nested objects
@@ -306,22 +718,22 @@ export class FieldParser {
       } else if (fieldDef && typeof fieldDef === 'object' && fieldDef.type) {
         // This is a leaf field definition with a type - add the field path
         if (utilIsValidESFieldName(currentFieldPath)) {
-          fields.add(currentFieldPath);
+          fields.add(currentFieldPath, { extractor: 'extractFromMappingDefinition' });
         }
       } else if (this.isValidESFieldName(currentFieldPath)) {
         // Add the field path even if it doesn't have an explicit type
-        fields.add(currentFieldPath);
+        fields.add(currentFieldPath, { extractor: 'extractFromMappingDefinition' });
       }
     }
   }
 
-  extractWithPatterns(content, fields, patterns) {
+  extractWithPatterns(content, fields, patterns, extractor = 'quotedString') {
     for (const pattern of patterns) {
       let match;
       while ((match = pattern.exec(content)) !== null) {
         const fieldName = match[1];
         if (fieldName && utilIsValidESFieldName(fieldName)) {
-          fields.add(fieldName);
+          fields.add(fieldName, { index: groupIndex(match), extractor });
         }
       }
     }
@@ -10,6 +10,10 @@ export class FileScanner {
     this.includeJson = options.includeJson || false;
     this.includeYaml = options.includeYaml || false;
     this.includeMarkdown = options.includeMarkdown || false;
+    this.includeEql = options.includeEql || false;
+    this.includeSavedObjects = options.includeSavedObjects || false;
+    this.includeRules = options.includeRules || false;
+    this.includeLogstash = options.includeLogstash || false;
     
     // Base exclude patterns for common build artifacts
     this.baseExcludePatterns = [
@@ -54,7 +58,7 @@ export class FileScanner {
 
     // Add other file types only if explicitly enabled
     if (this.includeJson) {
-      patterns.push('**/*.json');
+      patterns.push('**/*.json', '**/*.jsonc');
     }
 
     if (this.includeYaml) {
@@ -65,9 +69,39 @@ export class FileScanner {
       patterns.push('**/*.md');
     }
 
+    if (this.includeEql) {
+      patterns.push('**/*.eql');
+    }
+
+    if (this.includeSavedObjects) {
+      patterns.push('**/*.ndjson');
+    }
+
+    // Only where detection rules live, so pyproject.toml and other TOML files are not read;
+    // other locations are added with the config file's `include` globs
+    if (this.includeRules) {
+      patterns.push('**/rules/**/*.toml', '**/rules_building_block/**/*.toml');
+    }
+
+    // Logstash's pipeline directories, not every nginx or supervisord .conf
+    if (this.includeLogstash) {
+      patterns.push('**/pipeline/**/*.conf', '**/pipelines/**/*.conf', '**/logstash/**/*.conf', '**/conf.d/**/*.conf');
+    }
+
     return patterns;
   }
 
+  /**
+   * Scan files matching extra globs, such as the formats extractor plugins handle
+   */
+  addIncludePatterns(patterns) {
+    for (const pattern of patterns) {
+      if (!this.includePatterns.includes(pattern)) {
+        this.includePatterns.push(pattern);
+      }
+    }
+  }
+
   logEnabledFileTypes() {
     const enabledTypes = ['JavaScript/TypeScript (default)'];
     
@@ -80,6 +114,18 @@ export class FileScanner {
     if (this.includeMarkdown) {
       enabledTypes.push('Markdown');
     }
+    if (this.includeEql) {
+      enabledTypes.push('EQL');
+    }
+    if (this.includeSavedObjects) {
+      enabledTypes.push('Kibana saved objects (NDJSON)');
+    }
+    if (this.includeRules) {
+      enabledTypes.push('Detection rules (TOML)');
+    }
+    if (this.includeLogstash) {
+      enabledTypes.push('Logstash pipelines (.conf)');
+    }
     
     console.log(chalk.gray(`📄 File types enabled: ${enabledTypes.join(', ')}`));
   }
@@ -238,9 +284,14 @@ export class FileScanner {
       '.ts': 'typescript',
       '.tsx': 'typescript',
       '.json': 'json',
+      '.jsonc': 'json',
       '.yml': 'yaml',
       '.yaml': 'yaml',
       '.md': 'markdown',
+      '.eql': 'eql',
+      '.ndjson': 'ndjson',
+      '.toml': 'toml',
+      '.conf': 'logstash',
       '.txt': 'text'
     };
 
@@ -0,0 +1,238 @@
+import path from 'path';
+import chalk from 'chalk';
+import { isFieldOrPattern } from './utils/field-utils.js';
+
+/**
+ * Understands index templates, component templates and legacy templates: mappings nested
+ * under `template.mappings`, `dynamic_templates` path patterns, multi-fields and `composed_of`.
+ *
+ * Component templates found anywhere in the repository are registered ahead of extraction
+ * (see FieldParser#indexFile) so an index template's `composed_of` entries can be resolved to
+ * the fields they contribute.
+ */
+export class IndexTemplateAnalyzer {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    this.componentTemplates = new Map();
+  }
+
+  /**
+   * Templates defined by a parsed JSON document: a template body (named after the file) or
+   * a GET _index_template / _component_template response
+   * @returns {Array<{name: string, kind: string, body: Object}>} Empty when the document is not a template
+   */
+  findTemplates(obj, filePath = '') {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+      return [];
+    }
+
+    if (Array.isArray(obj.index_templates)) {
+      return obj.index_templates
+        .filter(entry => entry && entry.index_template)
+        .map(entry => ({ name: entry.name, kind: 'index', body: entry.index_template }));
+    }
+    if (Array.isArray(obj.component_templates)) {
+      return obj.component_templates
+        .filter(entry => entry && entry.component_template)
+        .map(entry => ({ name: entry.name, kind: 'component', body: entry.component_template }));
+    }
+
+    const name = path.basename(filePath).replace(/\.[^.]+$/, '');
+    if (Array.isArray(obj.index_patterns) || Array.isArray(obj.composed_of)) {
+      return [{ name, kind: 'index', body: obj }];
+    }
+    if (obj.template && typeof obj.template === 'object' && (obj.template.mappings || obj.template.settings)) {
+      return [{ name, kind: 'component', body: obj }];
+    }
+    return [];
+  }
+
+  /**
+   * Register the component templates a JSON document defines
+   */
+  indexJSON(obj, content, filePath) {
+    for (const template of this.findTemplates(obj, filePath)) {
+      if (template.kind === 'component' && template.name) {
+        const index = content.indexOf(JSON.stringify(template.name));
+        const line = index === -1 ? 1 : content.slice(0, index).split('\n').length;
+        this.registerComponentTemplate(template.name, this.mappingEntries(this.mappingsOf(template.body)), filePath, line);
+      }
+    }
+  }
+
+  /**
+   * @param {Object[]} entries - Fields the template maps, from mappingEntries
+   */
+  registerComponentTemplate(name, entries, filePath, line) {
+    this.componentTemplates.set(name, { entries, file: path.resolve(filePath), line });
+  }
+
+  /**
+   * The fields a composed component template contributes, or null when it is not defined in the repository
+   */
+  resolveComponentTemplate(name) {
+    const template = this.componentTemplates.get(name);
+    if (!template) {
+      if (this.verbose) {
+        console.log(chalk.gray(`    🧱 Component template not found in repository: ${name}`));
+      }
+      return null;
+    }
+    return template;
+  }
+
+  mappingsOf(body) {
+    if (!body || typeof body !== 'object') {
+      return null;
+    }
+    return (body.template && body.template.mappings) || body.mappings || null;
+  }
+
+  /**
+   * Fields a mapping defines, in document order. Each entry names the field and the JSON key
+   * (or, for dynamic template patterns, the value) it was found at; multi-fields
+   * (`fields: { keyword: {...} }`) are entries for their parent field with `multiField` set.
+   */
+  mappingEntries(mappings) {
+    const entries = [];
+    if (!mappings || typeof mappings !== 'object') {
+      return entries;
+    }
+
+    for (const [key, value] of Object.entries(mappings)) {
+      if (key === 'properties') {
+        this.collectProperties(value, '', entries);
+      } else if (key === 'runtime' && value && typeof value === 'object') {
+        for (const name of Object.keys(value)) {
+          entries.push({ field: name, key: name });
+        }
+      } else if (key === 'dynamic_templates') {
+        this.collectDynamicTemplates(value, entries);
+      }
+    }
+    return entries;
+  }
+
+  collectProperties(properties, prefix, entries) {
+    if (!properties || typeof properties !== 'object') {
+      return;
+    }
+
+    for (const [name, definition] of Object.entries(properties)) {
+      const field = prefix ? `${prefix}.${name}` : name;
+      if (definition && typeof definition === 'object' && definition.properties) {
+        this.collectProperties(definition.properties, field, entries);
+        continue;
+      }
+
+      entries.push({ field, key: name });
+      if (definition && definition.fields && typeof definition.fields === 'object') {
+        for (const multiField of Object.keys(definition.fields)) {
+          entries.push({ field, key: multiField, multiField });
+        }
+      }
+    }
+  }
+
+  /**
+   * dynamic_templates: [{ labels_as_keywords: { path_match: 'labels.*', mapping: {...} } }]
+   * `path_match` patterns are full field paths; `match` only matches leaf names and is ignored
+   */
+  collectDynamicTemplates(dynamicTemplates, entries) {
+    for (const template of [].concat(dynamicTemplates)) {
+      if (!template || typeof template !== 'object') {
+        continue;
+      }
+      for (const [name, definition] of Object.entries(template)) {
+        const patterns = definition && definition.path_match ? [].concat(definition.path_match) : [];
+        for (const pattern of patterns) {
+          entries.push({ field: pattern, value: pattern, dynamicTemplate: name });
+        }
+      }
+    }
+  }
+
+  /**
+   * Extract the fields templates map and, for `composed_of`, the fields of the component
+   * templates they compose (attributed to the `composed_of` entry with `via`)
+   * @param {Object[]} templates - Templates from findTemplates
+   * @param {string} content - JSON text the templates were parsed from, for locations
+   * @param {Set|FieldCollector} fields - Collection to add to
+   */
+  extractFields(templates, content, fields) {
+    // Keys and values are located in document order, so each search starts where the last one matched
+    const state = { content, fields, cursor: 0 };
+
+    for (const template of templates) {
+      for (const [key, value] of Object.entries(template.body)) {
+        if (key === 'composed_of' && Array.isArray(value)) {
+          for (const name of value) {
+            this.addComposedFields(name, this.locateValue(name, state), fields);
+          }
+        } else if (key === 'template' || key === 'mappings') {
+          const mappings = key === 'template' ? value && value.mappings : value;
+          for (const entry of this.mappingEntries(mappings)) {
+            const index = entry.value !== undefined ? this.locateValue(entry.value, state) : this.locateKey(entry.key, state);
+            this.addEntry(entry, index === null ? {} : { index }, fields);
+          }
+        }
+      }
+    }
+  }
+
+  addComposedFields(name, index, fields) {
+    const template = typeof name === 'string' ? this.resolveComponentTemplate(name) : null;
+    if (!template) {
+      return;
+    }
+
+    const via = { template: name, file: template.file, line: template.line };
+    for (const entry of template.entries) {
+      this.addEntry(entry, { ...(index === null ? {} : { index }), via }, fields);
+    }
+  }
+
+  addEntry(entry, meta, fields) {
+    if (!isFieldOrPattern(entry.field)) {
+      return;
+    }
+
+    const details = {};
+    if (entry.multiField) {
+      details.multiField = entry.multiField;
+    }
+    if (entry.dynamicTemplate) {
+      details.dynamicTemplate = entry.dynamicTemplate;
+    }
+    fields.add(entry.field, { ...meta, extractor: 'extractFromIndexTemplate', ...details });
+  }
+
+  /**
+   * Offset of an object key in the JSON text, searching forward from the last match
+   */
+  locateKey(key, state) {
+    const pattern = new RegExp(`${JSON.stringify(key).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*:`, 'g');
+    pattern.lastIndex = state.cursor;
+    const match = pattern.exec(state.content);
+    if (!match) {
+      return null;
+    }
+    state.cursor = match.index + 1;
+    return match.index + 1;
+  }
+
+  /**
+   * Offset of a string value in the JSON text, searching forward from the last match
+   */
+  locateValue(value, state) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const index = state.content.indexOf(JSON.stringify(value), state.cursor);
+    if (index === -1) {
+      return null;
+    }
+    state.cursor = index + 1;
+    return index + 1;
+  }
+}
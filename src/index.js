@@ -20,13 +20,26 @@ program
 program
   .option('-d, --directories <dirs>', 'Comma-separated list of directories to scan (relative to repo)', '')
   .option('-f, --fields-csv <path>', 'Path to ECS fields CSV file', 'fields.csv')
+  .option('--ecs-version <version>', 'Pin the ECS version (e.g. 8.11) instead of using --fields-csv; cached per version')
+  .option('--target-ecs-version <version>', 'Report referenced fields added, deprecated or removed by this ECS version')
+  .option('--ecs-schema <path>', 'Load ECS definitions from ecs_flat.yml, ecs_nested.yml or a schemas/ directory instead')
   .option('-r, --repo <path>', 'Path to repository directory to analyze', './repo')
   .option('-o, --output <path>', 'Output file for results (optional)')
   .option('--include-tests', 'Include test directories in analysis (excluded by default)', false)
   .option('--include-json', 'Include JSON files in analysis (excluded by default)', false)
   .option('--include-yaml', 'Include YAML/YML files in analysis (excluded by default)', false)
   .option('--include-markdown', 'Include Markdown files in analysis (excluded by default)', false)
+  .option('--markdown-prose', 'Also scan Markdown prose, not just code fences, for quoted field names', false)
+  .option('--include-eql', 'Include EQL (.eql) query files in analysis (excluded by default)', false)
+  .option('--include-saved-objects', 'Include Kibana saved object exports (.ndjson) in analysis (excluded by default)', false)
+  .option('--include-rules', 'Include detection rule TOML files under rules/ directories in analysis (excluded by default)', false)
+  .option('--include-logstash', 'Include Logstash pipeline configs (.conf under pipeline/, pipelines/, logstash/ or conf.d/) in analysis (excluded by default)', false)
   .option('--vendor-fields <path>', 'Path to vendor fields file', 'vendor_fields.txt')
+  .option('--config <path>', 'Path to a JSON config file registering extractor plugins (ES modules) and extra file globs')
+  .option('--sigma-mapping <path>', 'YAML/JSON Sigma-to-ECS field mapping, layered over the built-in table')
+  .option('--min-confidence <score>', 'Leave out occurrences whose extraction confidence (0-1) is below this score', '0')
+  .option('--extraction-mode <mode>', 'Field extraction for JS/TS files: ast (syntax tree, falls back to regex on parse errors) or regex', 'ast')
+  .option('--bare-strings', 'In ast mode, also report dotted string literals outside field positions', false)
   .option('--verbose', 'Enable verbose logging')
   .action(async (options) => {
     try {
@@ -35,7 +48,14 @@ program
         repo: options.repo,
         directories: options.directories ? options.directories.split(',').map(d => d.trim()) : [],
         fieldsCsv: options.fieldsCsv,
-        output: options.output
+        ecsVersion: options.ecsVersion,
+        targetEcsVersion: options.targetEcsVersion,
+        ecsSchema: options.ecsSchema,
+        output: options.output,
+        sigmaMapping: options.sigmaMapping,
+        config: options.config,
+        extractionMode: options.extractionMode,
+        minConfidence: options.minConfidence
       });
 
       if (!Validator.displayValidationResults(errors, warnings, options.verbose)) {
@@ -47,12 +67,25 @@ program
       const analyzer = new ECSAnalyzer({
         repoPath: options.repo,
         fieldsCSV: options.fieldsCsv,
+        ecsVersion: options.ecsVersion,
+        targetEcsVersion: options.targetEcsVersion,
+        ecsSchemaPath: options.ecsSchema,
         vendorFieldsFile: options.vendorFields,
+        sigmaMappingFile: options.sigmaMapping,
+        configFile: options.config,
         targetDirectories: options.directories ? options.directories.split(',').map(d => d.trim()) : [],
         includeTests: options.includeTests,
         includeJson: options.includeJson,
         includeYaml: options.includeYaml,
         includeMarkdown: options.includeMarkdown,
+        markdownProse: options.markdownProse,
+        includeEql: options.includeEql,
+        includeSavedObjects: options.includeSavedObjects,
+        includeRules: options.includeRules,
+        includeLogstash: options.includeLogstash,
+        extractionMode: options.extractionMode,
+        bareStrings: options.bareStrings,
+        minConfidence: parseFloat(options.minConfidence),
         verbose: options.verbose
       });
 
@@ -119,7 +152,8 @@ function displayResults(results) {
   console.log(`Total core fields referenced: ${chalk.bold(results.totalCoreFieldsReferenced)}`);
   console.log(`\nTop 10 core fields by usage:`);
   results.topCoreFields.slice(0, 10).forEach((field, index) => {
-    console.log(`  ${index + 1}. ${chalk.green(field.name)} - ${chalk.bold(field.count)} occurrences`);
+    const definition = field.type ? ` ${chalk.gray(`(${field.type}, ${field.level})`)}` : '';
+    console.log(`  ${index + 1}. ${chalk.green(field.name)} - ${chalk.bold(field.count)} occurrences${definition}`);
   });
   
   console.log(`\n${chalk.cyan('📦 Vendor Field Usage:')}`);
@@ -133,8 +167,92 @@ function displayResults(results) {
   console.log(`Total custom fields referenced: ${chalk.bold(results.totalCustomFieldsReferenced)}`);
   console.log(`\nTop 10 custom fields by usage:`);
   results.topCustomFields.slice(0, 10).forEach((field, index) => {
-    console.log(`  ${index + 1}. ${chalk.yellow(field.name)} - ${chalk.bold(field.count)} occurrences`);
+    console.log(`  ${index + 1}. ${chalk.yellow(field.name)} - ${chalk.bold(field.count)} occurrences ${chalk.gray(`(max confidence ${field.maxConfidence})`)}`);
   });
+
+  if (results.lowConfidenceOccurrences > 0) {
+    console.log(chalk.gray(`\n${results.lowConfidenceOccurrences} occurrences below --min-confidence ${results.minConfidence} were left out`));
+  }
+
+  if (results.totalFieldPatternsReferenced > 0) {
+    console.log(`\n${chalk.cyan('🧩 Field Patterns (partially resolved):')}`);
+    console.log(`Total field patterns referenced: ${chalk.bold(results.totalFieldPatternsReferenced)}`);
+    results.topFieldPatterns.slice(0, 10).forEach((field, index) => {
+      console.log(`  ${index + 1}. ${chalk.blue(field.name)} - ${chalk.bold(field.count)} occurrences`);
+    });
+  }
+
+  if (results.ecsVersionChanges) {
+    const changes = results.ecsVersionChanges;
+    console.log(`\n${chalk.cyan(`⬆️ Upgrade impact (ECS ${changes.pinnedVersion} → ${changes.targetVersion}):`)}`);
+    console.log(`Added: ${chalk.bold(changes.added.length)}, deprecated: ${chalk.bold(changes.deprecated.length)}, removed: ${chalk.bold(changes.removed.length)}`);
+    for (const [label, fields, color] of [['Removed', changes.removed, chalk.red], ['Deprecated', changes.deprecated, chalk.yellow], ['Added', changes.added, chalk.green]]) {
+      if (fields.length > 0) {
+        console.log(`\n${label}:`);
+        fields.slice(0, 10).forEach((field, index) => {
+          console.log(`  ${index + 1}. ${color(field.name)} - ${chalk.bold(field.count)} occurrences`);
+        });
+      }
+    }
+  }
+
+  if (results.requiredFieldsMismatches.length > 0) {
+    console.log(`\n${chalk.cyan('🛡️ Rules with required_fields mismatches:')}`);
+    console.log(`Total rules: ${chalk.bold(results.requiredFieldsMismatches.length)}`);
+    results.requiredFieldsMismatches.slice(0, 10).forEach((mismatch, index) => {
+      console.log(`  ${index + 1}. ${chalk.blue(mismatch.rule.name || mismatch.file)} (${mismatch.file})`);
+      if (mismatch.missing.length > 0) {
+        console.log(`     Used by query but not required: ${chalk.yellow(mismatch.missing.join(', '))}`);
+      }
+      if (mismatch.unused.length > 0) {
+        console.log(`     Required but not used by query: ${chalk.gray(mismatch.unused.join(', '))}`);
+      }
+    });
+  }
+
+  if (results.pluginFailures.length > 0) {
+    console.log(`\n${chalk.yellow('⚠️ Extractor plugin failures (fields in these files may be missing):')}`);
+    console.log(`Total failures: ${chalk.bold(results.pluginFailures.length)}`);
+    results.pluginFailures.slice(0, 10).forEach((failure, index) => {
+      console.log(`  ${index + 1}. ${chalk.blue(failure.plugin)} on ${failure.file}: ${chalk.gray(failure.message)}`);
+    });
+  }
+
+  if (results.logstashParseErrors.length > 0) {
+    console.log(`\n${chalk.yellow('⚠️ Logstash pipelines that could not be parsed (no fields collected):')}`);
+    results.logstashParseErrors.slice(0, 10).forEach((entry, index) => {
+      console.log(`  ${index + 1}. ${chalk.blue(entry.file)}: ${chalk.gray(entry.message)}`);
+    });
+  }
+
+  if (results.nonFieldStrings.total > 0) {
+    const kinds = Object.entries(results.nonFieldStrings.byKind).map(([kind, count]) => `${kind}: ${count}`).join(', ');
+    console.log(`\n${chalk.cyan('🏷️ Non-field strings (i18n IDs, config, uiSettings and telemetry keys):')}`);
+    console.log(`Total strings: ${chalk.bold(results.nonFieldStrings.total)} (${kinds})`);
+    results.nonFieldStrings.topStrings.slice(0, 10).forEach((entry, index) => {
+      console.log(`  ${index + 1}. ${chalk.gray(entry.name)} [${entry.kind}] - ${chalk.bold(entry.count)} files`);
+    });
+  }
+
+  if (results.suppressedOccurrences.length > 0) {
+    const byFile = new Map();
+    for (const occurrence of results.suppressedOccurrences) {
+      byFile.set(occurrence.file, (byFile.get(occurrence.file) || 0) + 1);
+    }
+    console.log(`\n${chalk.cyan('🔕 Suppressed by ecs-detective-ignore comments:')}`);
+    console.log(`Total occurrences: ${chalk.bold(results.suppressedOccurrences.length)} in ${chalk.bold(byFile.size)} files`);
+    results.suppressedOccurrences.slice(0, 10).forEach((occurrence, index) => {
+      console.log(`  ${index + 1}. ${chalk.blue(occurrence.field)} (${occurrence.file}:${occurrence.line}) - ${chalk.gray(`${occurrence.directive} on line ${occurrence.directiveLine}`)}`);
+    });
+  }
+
+  if (results.sigmaUnmappedFields.length > 0) {
+    console.log(`\n${chalk.cyan('🧬 Sigma rules with fields that have no ECS mapping:')}`);
+    console.log(`Total rules: ${chalk.bold(results.sigmaUnmappedFields.length)}`);
+    results.sigmaUnmappedFields.slice(0, 10).forEach((entry, index) => {
+      console.log(`  ${index + 1}. ${chalk.blue(entry.rule.title || entry.file)} (${entry.file}): ${chalk.yellow(entry.fields.join(', '))}`);
+    });
+  }
 }
 
 function getFileTypeIcon(type) {
@@ -144,6 +262,10 @@ function getFileTypeIcon(type) {
     'json': '📄',
     'yaml': '📋',
     'markdown': '📝',
+    'eql': '🔎',
+    'ndjson': '🗂️',
+    'toml': '🛡️',
+    'logstash': '🪵',
     'text': '📃',
     'unknown': '❓'
   };
@@ -0,0 +1,213 @@
+import { isValidESFieldName as utilIsValidESFieldName } from './utils/field-utils.js';
+import { PainlessAnalyzer } from './painless-analyzer.js';
+import { DEFAULT_TARGET_FIELDS, patternCaptures } from './utils/grok-dissect.js';
+
+// Processor options that name fields, and whether the processor reads or writes them
+const FIELD_OPTIONS = {
+  field: 'read',
+  fields: 'read',
+  copy_from: 'read',
+  keep: 'read',
+  target_field: 'write',
+  target_fields: 'write',
+  // community_id and network_direction
+  source_ip: 'read',
+  source_port: 'read',
+  destination_ip: 'read',
+  destination_port: 'read',
+  iana_number: 'read',
+  icmp_type: 'read',
+  icmp_code: 'read',
+  transport: 'read',
+  internal_networks_field: 'read'
+};
+
+// Processors whose `field` is the destination rather than the input
+const DESTINATION_FIELD_PROCESSORS = new Set(['set', 'append', 'remove']);
+
+// Options holding grok or dissect patterns
+const PATTERN_OPTIONS = {
+  grok: 'patterns',
+  dissect: 'pattern'
+};
+
+// {{field}} and {{{field}}} Mustache references in values and messages
+const MUSTACHE_PATTERN = /\{\{\{?\s*([^{}\s]+)\s*\}?\}\}/g;
+
+/**
+ * Understands ingest pipeline definitions (`{ "processors": [...] }`, simulate requests and
+ * GET _ingest/pipeline responses) so only the fields processors read and write are reported:
+ * `set.field`, `rename.field`/`target_field`, `convert`, `remove`, `geoip`, `user_agent`,
+ * grok and dissect captures, Mustache references in values, and `script` processors and
+ * `if` conditions (via the Painless analyzer).
+ */
+export class IngestPipelineAnalyzer {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    this.painlessAnalyzer = options.painlessAnalyzer || new PainlessAnalyzer({ verbose: this.verbose });
+  }
+
+  /**
+   * Pipelines defined by a parsed JSON document
+   * @returns {Object[]} Pipeline objects, empty when the document is not a pipeline definition
+   */
+  findPipelines(obj) {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+      return [];
+    }
+    if (this.isPipeline(obj)) {
+      return [obj];
+    }
+    if (this.isPipeline(obj.pipeline)) {
+      return [obj.pipeline];
+    }
+
+    // { "pipeline-id": { "processors": [...] }, ... }
+    const pipelines = Object.values(obj);
+    return pipelines.length > 0 && pipelines.every(pipeline => this.isPipeline(pipeline)) ? pipelines : [];
+  }
+
+  isPipeline(obj) {
+    return Boolean(obj) && typeof obj === 'object' && Array.isArray(obj.processors) &&
+      obj.processors.every(processor => this.isProcessor(processor));
+  }
+
+  isProcessor(processor) {
+    return Boolean(processor) && typeof processor === 'object' && !Array.isArray(processor) &&
+      Object.keys(processor).length === 1;
+  }
+
+  /**
+   * Extract the fields the processors of the given pipelines read and write
+   * @param {Object[]} pipelines - Pipelines from findPipelines
+   * @param {string} content - JSON text the pipelines were parsed from, for locations
+   * @param {Set|FieldCollector} fields - Collection to add to
+   */
+  extractFields(pipelines, content, fields) {
+    // Values are located in document order, so each search starts where the last one matched
+    const state = { content, fields, cursor: 0 };
+    for (const pipeline of pipelines) {
+      this.visitProcessors(pipeline.processors, state);
+      this.visitProcessors(pipeline.on_failure, state);
+    }
+  }
+
+  visitProcessors(processors, state) {
+    if (!Array.isArray(processors)) {
+      return;
+    }
+    for (const processor of processors) {
+      if (this.isProcessor(processor)) {
+        const [type, config] = Object.entries(processor)[0];
+        this.visitProcessor(type, config, state);
+      }
+    }
+  }
+
+  visitProcessor(type, config, state) {
+    // The processor name, where defaulted target fields are reported
+    const processorIndex = this.locate(type, state);
+    if (!config || typeof config !== 'object') {
+      // "script": "ctx.a = 1" shorthand
+      if (type === 'script' && typeof config === 'string') {
+        this.extractFromScript(config, state);
+      }
+      return;
+    }
+
+    for (const [option, value] of Object.entries(config)) {
+      if (option === 'on_failure') {
+        this.visitProcessors(value, state);
+      } else if (type === 'foreach' && option === 'processor') {
+        this.visitProcessors([value], state);
+      } else if (option === 'if' || (type === 'script' && option === 'source')) {
+        if (option === 'if' || !config.lang || config.lang === 'painless') {
+          this.extractFromScript(value, state);
+        }
+      } else if (PATTERN_OPTIONS[type] === option) {
+        for (const pattern of [].concat(value)) {
+          this.extractFromPattern(pattern, type, state);
+        }
+      } else if (FIELD_OPTIONS[option]) {
+        const access = option === 'field' && DESTINATION_FIELD_PROCESSORS.has(type) ? 'write' : FIELD_OPTIONS[option];
+        for (const name of [].concat(value)) {
+          this.addField(name, this.locate(name, state), type, access, state);
+        }
+      } else if (typeof value === 'string' && value.includes('{{')) {
+        this.extractFromMustache(value, type, state);
+      }
+    }
+
+    const defaultTarget = DEFAULT_TARGET_FIELDS[type];
+    if (defaultTarget && config.target_field === undefined) {
+      this.addField(defaultTarget, processorIndex, type, 'write', state);
+    }
+  }
+
+  /**
+   * Grok captures and dissect keys are the fields the processor writes (see patternCaptures)
+   */
+  extractFromPattern(pattern, type, state) {
+    if (typeof pattern !== 'string') {
+      return;
+    }
+
+    const locate = this.locateWithin(pattern, state);
+    for (const { name, index } of patternCaptures(pattern, type)) {
+      const bracketed = name.match(/^(?:\[[^\]]+\])+$/);
+      const field = bracketed ? name.slice(1, -1).split('][').join('.') : name;
+      this.addField(field, locate ? locate(index) : null, type, 'write', state);
+    }
+  }
+
+  extractFromMustache(value, type, state) {
+    const locate = this.locateWithin(value, state);
+    MUSTACHE_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = MUSTACHE_PATTERN.exec(value)) !== null) {
+      const index = match.index + match[0].indexOf(match[1]);
+      this.addField(match[1], locate ? locate(index) : null, type, 'read', state);
+    }
+  }
+
+  extractFromScript(source, state) {
+    if (typeof source !== 'string') {
+      return;
+    }
+    const locate = this.locateWithin(source, state);
+    this.painlessAnalyzer.extractFields(source, state.fields, locate, 'extractFromIngestPipeline');
+  }
+
+  addField(name, index, processor, access, state) {
+    if (typeof name === 'string' && utilIsValidESFieldName(name)) {
+      const location = index === null ? {} : { index };
+      state.fields.add(name, { ...location, extractor: 'extractFromIngestPipeline', processor, access });
+    }
+  }
+
+  /**
+   * Offset of a string value in the JSON text, searching forward from the last match
+   */
+  locate(value, state) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const index = state.content.indexOf(JSON.stringify(value), state.cursor);
+    if (index === -1) {
+      return null;
+    }
+    state.cursor = index;
+    return index + 1;
+  }
+
+  /**
+   * Map offsets inside a string value to offsets in the JSON text, accounting for escapes
+   */
+  locateWithin(value, state) {
+    const start = this.locate(value, state);
+    if (start === null) {
+      return null;
+    }
+    return (index) => start + JSON.stringify(value.slice(0, index)).length - 2;
+  }
+}
@@ -0,0 +1,432 @@
+import chalk from 'chalk';
+import { isValidESFieldName as utilIsValidESFieldName } from './utils/field-utils.js';
+import { DEFAULT_TARGET_FIELDS, patternCaptures } from './utils/grok-dissect.js';
+
+// Barewords and numbers, including `${VAR}` environment variable references
+const BAREWORD = String.raw`(?:\$\{[^}\n]*\}|[^\s{}[\](),"'#=<>!~])+`;
+
+// Logstash config tokens: whitespace and comments, strings, regexes (only after =~ and !~),
+// field references, operators, punctuation, then barewords
+const TOKEN_PATTERN = new RegExp(
+  String.raw`(\s+|#[^\n]*)|("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|(\/(?:\\.|[^/\\\n])+\/)|((?:\[[^[\]\s",']+\])+)|(=>|==|!=|<=|>=|=~|!~|[{}[\](),<>!])|(${BAREWORD})`,
+  'y'
+);
+
+// Sections a Logstash pipeline is made of; a file without one is not a Logstash config
+const SECTIONS = new Set(['input', 'filter', 'output']);
+const SECTION_PATTERN = /^\s*(?:input|filter|output)\s*\{/m;
+
+// Plugin options that name fields, and whether the plugin reads or writes them
+const FIELD_OPTIONS = {
+  source: 'read',
+  field: 'read',
+  target: 'write',
+  destination: 'write',
+  remove_field: 'write'
+};
+
+// Options only some plugins give field meaning to
+const PLUGIN_FIELD_OPTIONS = {
+  csv: { columns: 'write' },
+  mutate: { lowercase: 'read', uppercase: 'read', capitalize: 'read', strip: 'read' },
+  prune: { whitelist_names: 'read', blacklist_names: 'read' }
+};
+
+// Hash options as { key access, value access }: rename => { "old" => "new" }
+const HASH_OPTIONS = {
+  add_field: { key: 'write' },
+  rename: { key: 'read', value: 'write' },
+  copy: { key: 'read', value: 'write' },
+  replace: { key: 'write' },
+  update: { key: 'write' },
+  merge: { key: 'write', value: 'read' },
+  convert: { key: 'read' },
+  split: { key: 'read' },
+  join: { key: 'read' }
+};
+
+// Options holding grok or dissect patterns, keyed by the field they parse
+const PATTERN_OPTIONS = {
+  grok: 'match',
+  dissect: 'mapping'
+};
+
+// %{[host][name]} and %{host} sprintf references; %{+YYYY.MM.dd} dates are not fields
+const SPRINTF_PATTERN = /%\{((?:\[[^\]]+\])+|[A-Za-z_@][\w@.]*)\}/g;
+
+/**
+ * Analyses Logstash pipeline configurations (`.conf`): plugin options that name fields
+ * (`mutate { rename => ... }`, `add_field`, `source`/`target`), grok and dissect captures,
+ * `%{[field]}` references in strings and `if [event][category] == ...` conditionals. Bracket
+ * references (`[source][ip]`) become dotted field names, and each occurrence records whether
+ * the pipeline reads or writes the field.
+ */
+export class LogstashConfigAnalyzer {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    // Pipelines that look like Logstash configs but could not be parsed, across all files
+    this.parseErrors = [];
+  }
+
+  /**
+   * Extract the fields a pipeline configuration reads and writes. Files without an input,
+   * filter or output section (other `.conf` formats) are ignored.
+   * @param {string} content - Logstash config source
+   * @param {Set|FieldCollector} fields - Collection to add to
+   * @param {string} filePath - Path of the config, for logging
+   */
+  extractFields(content, fields, filePath = '') {
+    if (!SECTION_PATTERN.test(content)) {
+      return;
+    }
+
+    let statements;
+    try {
+      statements = this.parse(content);
+    } catch (error) {
+      this.parseErrors.push({ file: filePath, message: error.message });
+      if (this.verbose) {
+        console.log(chalk.yellow(`⚠️  Could not parse Logstash config ${filePath}: ${error.message}`));
+      }
+      return;
+    }
+
+    const sections = statements.filter(statement => statement.type === 'plugin' && SECTIONS.has(statement.name));
+    if (sections.length === 0 || sections.length !== statements.length) {
+      return;
+    }
+    for (const section of sections) {
+      this.visitStatements(section.body, fields);
+    }
+  }
+
+  /**
+   * Parse a config into statements: plugins ({ type: 'plugin', name, body }), settings
+   * ({ type: 'setting', name, value }) and conditionals ({ type: 'if', conditions, branches })
+   * @throws {Error} When the config is not well formed
+   */
+  parse(content) {
+    const state = { tokens: this.tokenize(content), position: 0 };
+    const statements = this.parseStatements(state);
+    if (state.position < state.tokens.length) {
+      throw new Error(`unexpected '${state.tokens[state.position].text}'`);
+    }
+    return statements;
+  }
+
+  tokenize(content) {
+    const tokens = [];
+    let previous = null;
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < content.length) {
+      const index = TOKEN_PATTERN.lastIndex;
+      const match = TOKEN_PATTERN.exec(content);
+      if (!match) {
+        throw new Error(`unexpected character at offset ${index}`);
+      }
+      if (match[1]) {
+        continue;
+      }
+
+      // A slash only starts a regex after a match operator; elsewhere it is part of a bareword
+      if (match[3] && !(previous && (previous.text === '=~' || previous.text === '!~'))) {
+        const bareword = new RegExp(BAREWORD, 'y');
+        bareword.lastIndex = index;
+        const word = bareword.exec(content);
+        TOKEN_PATTERN.lastIndex = bareword.lastIndex;
+        previous = { type: 'bareword', text: word[0], index };
+        tokens.push(previous);
+        continue;
+      }
+
+      const type = match[2] ? 'string' : match[3] ? 'regex' : match[4] ? 'fieldReference' : match[5] ? 'punctuation' : 'bareword';
+      previous = { type, text: match[0], index };
+      tokens.push(previous);
+    }
+    return tokens;
+  }
+
+  parseStatements(state) {
+    const statements = [];
+    while (state.position < state.tokens.length) {
+      const token = state.tokens[state.position];
+      if (token.text === '}') {
+        break;
+      }
+      if (token.type === 'bareword' && token.text === 'if') {
+        statements.push(this.parseConditional(state));
+        continue;
+      }
+
+      const next = state.tokens[state.position + 1];
+      if ((token.type === 'bareword' || token.type === 'string') && next && next.text === '=>') {
+        state.position += 2;
+        statements.push({ type: 'setting', name: this.unquote(token.text), token, value: this.parseValue(state) });
+      } else if (token.type === 'bareword' && next && next.text === '{') {
+        state.position += 2;
+        const body = this.parseStatements(state);
+        this.expect(state, '}');
+        statements.push({ type: 'plugin', name: token.text, token, body });
+      } else {
+        throw new Error(`unexpected '${token.text}'`);
+      }
+    }
+    return statements;
+  }
+
+  /**
+   * if <condition> { ... } else if <condition> { ... } else { ... }
+   */
+  parseConditional(state) {
+    const conditions = [];
+    const branches = [];
+    let keyword = 'if';
+    while (keyword) {
+      state.position++;
+      if (keyword === 'if') {
+        const condition = [];
+        while (state.position < state.tokens.length && state.tokens[state.position].text !== '{') {
+          condition.push(state.tokens[state.position++]);
+        }
+        conditions.push(condition);
+      }
+      this.expect(state, '{');
+      branches.push(this.parseStatements(state));
+      this.expect(state, '}');
+
+      keyword = null;
+      const token = state.tokens[state.position];
+      if (token && token.text === 'else') {
+        const next = state.tokens[state.position + 1];
+        if (next && next.text === 'if') {
+          state.position++;
+          keyword = 'if';
+        } else {
+          keyword = 'else';
+        }
+      }
+    }
+    return { type: 'if', conditions, branches };
+  }
+
+  /**
+   * A setting value: string, number, bareword, field reference, array or hash
+   */
+  parseValue(state) {
+    const token = state.tokens[state.position++];
+    if (!token) {
+      throw new Error('unexpected end of config');
+    }
+
+    if (token.text === '[') {
+      const elements = [];
+      while (state.position < state.tokens.length && state.tokens[state.position].text !== ']') {
+        if (state.tokens[state.position].text === ',') {
+          state.position++;
+          continue;
+        }
+        elements.push(this.parseValue(state));
+      }
+      this.expect(state, ']');
+      return { type: 'array', elements, token };
+    }
+
+    if (token.text === '{') {
+      const entries = [];
+      while (state.position < state.tokens.length && state.tokens[state.position].text !== '}') {
+        if (state.tokens[state.position].text === ',') {
+          state.position++;
+          continue;
+        }
+        const key = state.tokens[state.position++];
+        this.expect(state, '=>');
+        entries.push({ key: { type: 'scalar', token: key, text: this.unquote(key.text) }, value: this.parseValue(state) });
+      }
+      this.expect(state, '}');
+      return { type: 'hash', entries, token };
+    }
+
+    if (token.type === 'punctuation') {
+      throw new Error(`unexpected '${token.text}'`);
+    }
+    return { type: 'scalar', token, text: this.unquote(token.text) };
+  }
+
+  expect(state, text) {
+    const token = state.tokens[state.position];
+    if (!token || token.text !== text) {
+      throw new Error(`expected '${text}' but found '${token ? token.text : 'end of config'}'`);
+    }
+    state.position++;
+  }
+
+  unquote(text) {
+    return /^["']/.test(text) ? text.slice(1, -1) : text;
+  }
+
+  visitStatements(statements, fields) {
+    for (const statement of statements) {
+      if (statement.type === 'plugin') {
+        this.visitPlugin(statement, fields);
+      } else if (statement.type === 'if') {
+        statement.conditions.forEach(condition => this.visitCondition(condition, fields));
+        statement.branches.forEach(branch => this.visitStatements(branch, fields));
+      }
+    }
+  }
+
+  /**
+   * Field references and sprintf strings in a conditional are reads: if [event][category] == "x",
+   * if "admin" in [user][roles]
+   */
+  visitCondition(tokens, fields) {
+    for (const token of tokens) {
+      if (token.type === 'fieldReference') {
+        this.addField(token.text, token.index, null, 'read', fields);
+      } else if (token.type === 'string') {
+        this.extractFromSprintf(this.unquote(token.text), token.index + 1, null, fields);
+      }
+    }
+  }
+
+  visitPlugin(plugin, fields) {
+    const name = plugin.name;
+    const pluginOptions = PLUGIN_FIELD_OPTIONS[name] || {};
+    let hasTarget = false;
+
+    for (const statement of plugin.body) {
+      if (statement.type !== 'setting') {
+        // Codecs and nested blocks
+        this.visitStatements([statement], fields);
+        continue;
+      }
+
+      const option = statement.name;
+      const value = statement.value;
+      const access = pluginOptions[option] || FIELD_OPTIONS[option];
+      if (option === 'target' || option === 'destination') {
+        hasTarget = true;
+      }
+
+      if (PATTERN_OPTIONS[name] === option) {
+        this.extractFromPatterns(value, name, fields);
+      } else if (name === 'date' && option === 'match' && value.type === 'array') {
+        // match => ["[event][created]", "ISO8601", ...]: only the first element is a field
+        this.addValueField(value.elements[0], name, 'read', fields);
+      } else if (name === 'mutate' && option === 'gsub' && value.type === 'array') {
+        // gsub => ["field", "pattern", "replacement", ...]
+        value.elements.filter((element, i) => i % 3 === 0).forEach(element => this.addValueField(element, name, 'read', fields));
+      } else if (option === 'add_tag' || option === 'remove_tag') {
+        this.addField('tags', statement.token.index, name, 'write', fields);
+        this.extractFromValueStrings(value, name, fields);
+      } else if (HASH_OPTIONS[option] && value.type === 'hash') {
+        this.visitHashOption(value, HASH_OPTIONS[option], name, fields);
+      } else if (access) {
+        const elements = value.type === 'array' ? value.elements : [value];
+        elements.forEach(element => this.addValueField(element, name, access, fields));
+      } else {
+        this.extractFromValueStrings(value, name, fields);
+      }
+    }
+
+    const defaultTarget = DEFAULT_TARGET_FIELDS[name];
+    if (defaultTarget && !hasTarget) {
+      this.addField(defaultTarget, plugin.token.index, name, 'write', fields);
+    }
+  }
+
+  visitHashOption(hash, accesses, plugin, fields) {
+    for (const entry of hash.entries) {
+      this.addValueField(entry.key, plugin, accesses.key, fields);
+      if (accesses.value) {
+        this.addValueField(entry.value, plugin, accesses.value, fields);
+      } else {
+        // add_field => { "[event][kind]" => "%{[kibana][alert][kind]}" }
+        this.extractFromValueStrings(entry.value, plugin, fields);
+      }
+    }
+  }
+
+  /**
+   * grok match => { "message" => "%{IP:[source][ip]}" } or ["message", "pattern", ...], and
+   * dissect mapping => { "message" => "%{[source][ip]} %{+ts}" }: the key is read and the
+   * captures are written
+   */
+  extractFromPatterns(value, plugin, fields) {
+    const pairs = [];
+    if (value.type === 'hash') {
+      value.entries.forEach(entry => pairs.push([entry.key, entry.value]));
+    } else if (value.type === 'array') {
+      for (let i = 0; i + 1 < value.elements.length; i += 2) {
+        pairs.push([value.elements[i], value.elements[i + 1]]);
+      }
+    }
+
+    for (const [source, patterns] of pairs) {
+      this.addValueField(source, plugin, 'read', fields);
+      const elements = patterns.type === 'array' ? patterns.elements : [patterns];
+      for (const element of elements) {
+        if (element.type === 'scalar' && element.token.type === 'string') {
+          this.extractCaptures(element.text, element.token.index + 1, plugin, fields);
+        }
+      }
+    }
+  }
+
+  extractCaptures(pattern, offset, plugin, fields) {
+    for (const { name, index } of patternCaptures(pattern, plugin)) {
+      this.addField(name, offset + index, plugin, 'write', fields);
+    }
+  }
+
+  /**
+   * Record a field named by an option value: "[source][ip]", "source.ip" or a bare field reference
+   */
+  addValueField(value, plugin, access, fields) {
+    if (!value || value.type !== 'scalar') {
+      return;
+    }
+    const token = value.token;
+    if (token.type === 'fieldReference' || token.type === 'bareword') {
+      this.addField(token.text, token.index, plugin, access, fields);
+    } else if (token.type === 'string') {
+      this.addField(value.text, token.index + 1, plugin, access, fields);
+    }
+  }
+
+  extractFromValueStrings(value, plugin, fields) {
+    if (value.type === 'array') {
+      value.elements.forEach(element => this.extractFromValueStrings(element, plugin, fields));
+    } else if (value.type === 'hash') {
+      value.entries.forEach(entry => this.extractFromValueStrings(entry.value, plugin, fields));
+    } else if (value.token.type === 'string') {
+      this.extractFromSprintf(value.text, value.token.index + 1, plugin, fields);
+    }
+  }
+
+  extractFromSprintf(text, offset, plugin, fields) {
+    SPRINTF_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = SPRINTF_PATTERN.exec(text)) !== null) {
+      this.addField(match[1], offset + match.index + 2, plugin, 'read', fields);
+    }
+  }
+
+  /**
+   * Convert a bracket reference ([source][ip]) to a dotted name and record it. @metadata
+   * fields never reach the event, so they are skipped.
+   */
+  addField(reference, index, plugin, access, fields) {
+    const bracketed = reference.match(/^(?:\[[^\]]+\])+$/);
+    const name = bracketed ? reference.slice(1, -1).split('][').join('.') : reference;
+    if (name === '@metadata' || name.startsWith('@metadata.') || !utilIsValidESFieldName(name)) {
+      return;
+    }
+
+    const details = { index, extractor: 'extractFromLogstash', access };
+    if (plugin) {
+      details.plugin = plugin;
+    }
+    fields.add(name, details);
+  }
+}
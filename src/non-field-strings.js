@@ -0,0 +1,96 @@
+import path from 'path';
+import chalk from 'chalk';
+
+// Call sites and JSX attributes whose string argument looks like a dotted field name but is
+// not one. `before` is matched against the text up to the opening quote, `after` against the
+// text following the closing quote.
+const NON_FIELD_CONTEXTS = [
+  // i18n.translate('xpack.securitySolution.foo.title', ...), i18n.t(...)
+  { kind: 'i18nId', before: /\bi18n\s*\??\.\s*(?:translate|t)\s*\(\s*$/ },
+  // <FormattedMessage id="..." />, <FormattedHTMLMessage id={'...'} />
+  { kind: 'i18nId', before: /<Formatted(?:HTML)?Message\b[^<>]*?\bid\s*=\s*\{?\s*$/ },
+  // intl.formatMessage({ id: '...' })
+  { kind: 'i18nId', before: /\bformatMessage\s*\(\s*\{\s*id\s*:\s*$/ },
+  // defineMessages({ title: { id: '...', defaultMessage: '...' } })
+  { kind: 'i18nId', before: /\bid\s*:\s*$/, after: /^\s*,\s*defaultMessage\b/ },
+  // config.get('xpack.fleet.enabled'), configService.atPath('xpack.fleet')
+  { kind: 'configKey', before: /\b\w*[cC]onfig(?:Service)?\s*\??\.\s*(?:get|has|atPath)\s*(?:<[^<>()]*>)?\s*\(\s*$/ },
+  // Config deprecations: rename('xpack.a.b', 'xpack.a.c'), unusedFromRoot('xpack.x.y')
+  { kind: 'configKey', before: /\b(?:rename|renameFromRoot|unused|unusedFromRoot|deprecate|deprecateFromRoot)\s*\(\s*(?:['"`][^'"`\n]*['"`]\s*,\s*)?$/ },
+  // uiSettings.get('discover.sampleSize'), useUiSetting$<boolean>('theme.darkMode')
+  { kind: 'uiSetting', before: /\buiSettings(?:Client)?\s*\??\.\s*(?:get\$?|set|isDefault|isOverridden|isCustom|remove)\s*(?:<[^<>()]*>)?\s*\(\s*$/ },
+  { kind: 'uiSetting', before: /\buseUiSetting\$?\s*(?:<[^<>()]*>)?\s*\(\s*$/ },
+  // reportUiCounter(APP, METRIC_TYPE.CLICK, 'rules.table.open'), reportEvent('alerts.viewed', ...)
+  { kind: 'telemetry', before: /\b(?:reportUiCounter|reportUiStats|trackUiMetric|trackUiCounter|reportEvent|reportPerformanceMetricEvent)\s*\([^()]*$/ },
+  // incrementCounter({ counterName: 'alerts.rule.created' })
+  { kind: 'telemetry', before: /\b(?:counterName|eventType|eventName)\s*:\s*$/ }
+];
+
+// How far back a call site can start before the string it passes
+const CONTEXT_WINDOW = 300;
+
+// kibana.yml and kibana.dev.yml hold config keys, not fields
+const KIBANA_CONFIG_FILE = /^kibana(?:\.[\w-]+)?\.ya?ml$/i;
+
+/**
+ * Moves strings that look like fields but are i18n message IDs, Kibana config keys, uiSettings
+ * keys or telemetry event names out of a file's field occurrences, by the call site or JSX
+ * attribute they are passed to. They are kept, with their kind, as non-field strings so the
+ * exclusion can be reviewed rather than silently dropping them.
+ */
+export class NonFieldStringClassifier {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    this.strings = [];
+  }
+
+  /**
+   * Remove a file's non-field strings from its occurrences
+   * @param {string} content - File content
+   * @param {FieldCollector} fields - The file's occurrences
+   * @returns {Object[]} Occurrences moved out, each with its `kind`
+   */
+  apply(content, fields) {
+    if (typeof content !== 'string') {
+      return [];
+    }
+
+    const wholeFile = KIBANA_CONFIG_FILE.test(path.basename(fields.filePath)) ? 'configKey' : null;
+    const lineStarts = fields.getLineStarts();
+    const moved = [];
+    fields.remove(occurrence => {
+      const kind = wholeFile || this.classify(content, occurrence, lineStarts);
+      if (!kind) {
+        return false;
+      }
+      moved.push({ ...occurrence, kind });
+      return true;
+    });
+
+    this.strings.push(...moved);
+    if (this.verbose && moved.length > 0) {
+      console.log(chalk.gray(`    🏷️  ${moved.length} i18n, config, uiSettings or telemetry strings in ${fields.filePath}`));
+    }
+    return moved;
+  }
+
+  /**
+   * Kind of non-field string an occurrence is, from the text around its literal, or null
+   */
+  classify(content, occurrence, lineStarts) {
+    if (!occurrence.line || !occurrence.column) {
+      return null;
+    }
+    const start = lineStarts[occurrence.line - 1] + occurrence.column - 1;
+    const quote = content[start - 1];
+    if (!['"', "'", '`'].includes(quote) || content.slice(start, start + occurrence.field.length + 1) !== occurrence.field + quote) {
+      return null;
+    }
+
+    const before = content.slice(Math.max(0, start - 1 - CONTEXT_WINDOW), start - 1);
+    const after = content.slice(start + occurrence.field.length + 1, start + occurrence.field.length + 1 + CONTEXT_WINDOW);
+    const context = NON_FIELD_CONTEXTS.find(candidate =>
+      candidate.before.test(before) && (!candidate.after || candidate.after.test(after)));
+    return context ? context.kind : null;
+  }
+}
@@ -0,0 +1,219 @@
+import { isValidESFieldName as utilIsValidESFieldName } from './utils/field-utils.js';
+import { embeddedLocation } from './field-collector.js';
+
+// Painless tokens: whitespace and comments, strings, numbers, identifiers, then operators
+const PAINLESS_TOKEN_PATTERN = /(\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)|('(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*")|(\d[\w.]*)|([a-zA-Z_$][a-zA-Z0-9_$]*)|(\?\.|\+\+|--|===|!==|==~|==|!=|=~|<=|>=|&&|\|\||[+\-*/%&|^]=|[\s\S])/y;
+
+// Operators that, directly after a field access, write to it
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '++', '--']);
+
+// Map methods that take a field name as their first argument: ctx._source.remove('field')
+const KEYED_METHODS = {
+  put: 'write',
+  putIfAbsent: 'write',
+  remove: 'write',
+  containsKey: 'read',
+  get: 'read',
+  getOrDefault: 'read'
+};
+
+// Methods that modify the value they are called on: ctx._source.tags.add('x')
+const MUTATING_METHODS = new Set(['add', 'addAll', 'clear', 'put', 'putAll', 'remove', 'removeIf', 'set', 'append']);
+
+// Ingest and update metadata reachable through ctx that is not document content
+const CTX_METADATA = new Set([
+  '_index', '_id', '_routing', '_version', '_version_type', '_if_seq_no', '_if_primary_term',
+  '_now', '_type', '_ingest', '_dynamic_templates', 'op'
+]);
+
+/**
+ * Finds the document fields a Painless script reads or writes:
+ * `doc['field']`, `params._source['field']`, `ctx._source.user.name` (update and reindex
+ * scripts), `ctx['host']['ip']` (ingest scripts), `$('field', default)`, `field('x').get()`
+ * and, in runtime fields, `emit(...)` for the runtime field itself.
+ */
+export class PainlessAnalyzer {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+  }
+
+  /**
+   * Extract field references from a script
+   * @param {string} source - Painless source
+   * @param {Set|FieldCollector} fields - Collection to add to
+   * @param {number|Function|null} offset - Position of the script in the file (see embeddedLocation)
+   * @param {string} extractor - Extractor name recorded on each occurrence
+   * @param {Object} options - { runtimeField } names the field a runtime field script emits
+   */
+  extractFields(source, fields, offset = 0, extractor = 'extractFromPainless', options = {}) {
+    if (typeof source !== 'string') {
+      return;
+    }
+
+    const tokens = this.tokenize(source);
+    const add = (name, index, access) => {
+      if (utilIsValidESFieldName(name)) {
+        fields.add(name, { ...embeddedLocation(offset, index), extractor, language: 'painless', access });
+      }
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const previous = tokens[i - 1];
+      // Only free-standing names: skip foo.doc and foo.field(...)
+      if (token.type !== 'identifier' || (previous && (previous.value === '.' || previous.value === '?.'))) {
+        continue;
+      }
+
+      switch (token.value) {
+        case 'doc':
+        case 'params':
+        case 'ctx':
+          this.visitAccessChain(tokens, i, add);
+          break;
+        case '$':
+        case 'field':
+          this.visitFieldCall(tokens, i, add);
+          break;
+        case 'emit':
+          if (options.runtimeField && this.isOperator(tokens[i + 1], '(')) {
+            add(options.runtimeField, token.index, 'write');
+          }
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * doc['a'], params._source['a'], ctx._source.a.b = x, ctx['a']['b'], ctx._source.remove('a')
+   */
+  visitAccessChain(tokens, start, add) {
+    const root = tokens[start].value;
+    const chain = this.readChain(tokens, start + 1);
+    let segments = chain.segments;
+
+    if (root === 'params' || (root === 'ctx' && segments.length > 0 && segments[0].value === '_source')) {
+      if (segments.length === 0 || segments[0].value !== '_source') {
+        return;
+      }
+      segments = segments.slice(1);
+    } else if (root === 'ctx' && segments.length > 0 && CTX_METADATA.has(segments[0].value)) {
+      return;
+    }
+
+    // doc values are read-only and doc['a'] is the whole field name
+    if (root === 'doc') {
+      if (segments.length > 0 && segments[0].bracket) {
+        add(segments[0].value, segments[0].index, 'read');
+      }
+      return;
+    }
+
+    const next = tokens[chain.end];
+    const before = tokens[start - 1];
+    let access = (next && ASSIGNMENT_OPERATORS.has(next.value)) ||
+      (before && (before.value === '++' || before.value === '--'))
+      ? 'write'
+      : 'read';
+
+    if (chain.method) {
+      const keyed = KEYED_METHODS[chain.method.name];
+      const argument = tokens[chain.method.argument];
+      if (keyed && argument && argument.type === 'string') {
+        segments = [...segments, argument];
+        access = keyed;
+      } else if (MUTATING_METHODS.has(chain.method.name)) {
+        access = 'write';
+      }
+    }
+
+    if (segments.length > 0) {
+      add(segments.map(segment => segment.value).join('.'), segments[0].index, access);
+    }
+  }
+
+  /**
+   * $('field', default) and field('field').get(default) read; field('field').set(x) writes
+   */
+  visitFieldCall(tokens, start, add) {
+    const name = tokens[start + 2];
+    if (!this.isOperator(tokens[start + 1], '(') || !name || name.type !== 'string') {
+      return;
+    }
+
+    let access = 'read';
+    if (tokens[start].value === 'field') {
+      const close = tokens[start + 3];
+      const method = tokens[start + 5];
+      if (this.isOperator(close, ')') && this.isOperator(tokens[start + 4], '.') && method &&
+        MUTATING_METHODS.has(method.value)) {
+        access = 'write';
+      }
+    }
+    add(name.value, name.index, access);
+  }
+
+  /**
+   * Read `.name`, `?.name` and `['name']` accessors following a root identifier. Stops at a
+   * method call (recorded with the position of its first argument) or any other token.
+   */
+  readChain(tokens, start) {
+    const segments = [];
+    let method = null;
+    let i = start;
+
+    while (i < tokens.length) {
+      const token = tokens[i];
+      if ((token.value === '.' || token.value === '?.') && token.type === 'operator') {
+        const name = tokens[i + 1];
+        if (!name || name.type !== 'identifier') {
+          break;
+        }
+        if (this.isOperator(tokens[i + 2], '(')) {
+          method = { name: name.value, argument: i + 3 };
+          i += 2;
+          break;
+        }
+        segments.push({ value: name.value, index: name.index });
+        i += 2;
+      } else if (this.isOperator(token, '[') && tokens[i + 1] && tokens[i + 1].type === 'string' &&
+        this.isOperator(tokens[i + 2], ']')) {
+        segments.push({ value: tokens[i + 1].value, index: tokens[i + 1].index, bracket: true });
+        i += 3;
+      } else {
+        break;
+      }
+    }
+
+    return { segments, method, end: i };
+  }
+
+  tokenize(source) {
+    const tokens = [];
+    PAINLESS_TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while (PAINLESS_TOKEN_PATTERN.lastIndex < source.length && (match = PAINLESS_TOKEN_PATTERN.exec(source)) !== null) {
+      const [, space, string, number, identifier, operator] = match;
+      if (space) {
+        continue;
+      }
+      if (string) {
+        const value = string.slice(1, -1).replace(/\\(.)/g, '$1');
+        tokens.push({ type: 'string', value, index: match.index + 1 });
+      } else if (number) {
+        tokens.push({ type: 'number', value: number, index: match.index });
+      } else if (identifier) {
+        tokens.push({ type: 'identifier', value: identifier, index: match.index });
+      } else {
+        tokens.push({ type: 'operator', value: operator, index: match.index });
+      }
+    }
+    return tokens;
+  }
+
+  isOperator(token, value) {
+    return Boolean(token) && token.type === 'operator' && token.value === value;
+  }
+}
@@ -0,0 +1,177 @@
+import path from 'path';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { minimatch } from 'minimatch';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+/**
+ * Extractor plugins registered through the `plugins` list of a config file (`--config`): module
+ * paths, or package names resolved from the config file's directory or the repository.
+ * Plugin modules must be ES modules (`.mjs`, or `.js` under `"type": "module"`). A plugin
+ * module's default export is a plugin, or an array of them:
+ *
+ *   {
+ *     name: 'query-builder',
+ *     files: ['**\/*.qdsl'],          // globs, relative to the repository, the plugin handles
+ *     calls: ['qb.eq', 'qb.range'],   // calls whose first string argument is a field name
+ *     extract(content, { filePath, relativePath }) {
+ *       return [{ field: 'user.name', index: 42, context: 'eq' }];
+ *     }
+ *   }
+ *
+ * A plugin needs `files` or `calls`, and `calls` or `extract`. Without `files` it runs on every
+ * scanned file. `extract` returns fields with an `index` or `line`/`column`; any other
+ * properties are kept on the occurrence. Occurrences are tagged with the `plugin:<name>`
+ * extractor and categorised like built-in ones.
+ */
+export class ExtractorPluginRegistry {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    // File globs are matched against paths relative to this directory
+    this.rootPath = options.rootPath || process.cwd();
+    this.plugins = [];
+    // Extra file globs from the config's `include` list
+    this.include = [];
+    // Errors plugins threw, by plugin and file, so dropped fields do not go unnoticed
+    this.failures = [];
+  }
+
+  /**
+   * Import the plugin modules a config file lists. Relative module paths are resolved
+   * against the config file's directory, and package names from the config file's directory,
+   * then the repository's, the way Node resolves them from there.
+   * @param {string} configPath - JSON config file
+   * @returns {Promise<number>} Number of plugins registered
+   * @throws {Error} When the config, a module or a plugin definition is invalid
+   */
+  async load(configPath) {
+    const config = await fs.readJson(configPath);
+    const modules = config.plugins || [];
+    if (!Array.isArray(modules)) {
+      throw new Error(`"plugins" in ${configPath} must be an array of module paths`);
+    }
+    const include = config.include || [];
+    if (!Array.isArray(include)) {
+      throw new Error(`"include" in ${configPath} must be an array of file globs`);
+    }
+    this.include.push(...include);
+
+    const before = this.plugins.length;
+    for (const specifier of modules) {
+      const resolved = /^\.{0,2}\//.test(specifier) || path.isAbsolute(specifier)
+        ? pathToFileURL(path.resolve(path.dirname(configPath), specifier)).href
+        : this.resolvePackage(specifier, configPath);
+      const module = await import(resolved);
+      for (const plugin of [].concat(module.default || [])) {
+        this.register(plugin, specifier);
+      }
+    }
+    return this.plugins.length - before;
+  }
+
+  /**
+   * Resolve a package name from the config file's directory, then the repository's, so
+   * plugins installed in the analysed project are found. Built-in modules and packages found
+   * in neither are left to ecs-detective's own resolution.
+   */
+  resolvePackage(specifier, configPath) {
+    for (const parent of [path.resolve(configPath), path.join(path.resolve(this.rootPath), 'package.json')]) {
+      try {
+        const resolved = createRequire(parent).resolve(specifier);
+        return path.isAbsolute(resolved) ? pathToFileURL(resolved).href : resolved;
+      } catch (error) {
+        // Not installed there
+      }
+    }
+    return specifier;
+  }
+
+  /**
+   * @param {Object} plugin - Plugin definition
+   * @param {string} source - Where the plugin came from, for error messages
+   * @throws {Error} When the definition is invalid
+   */
+  register(plugin, source = 'plugin') {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+      throw new Error(`Extractor plugin from ${source} has no name`);
+    }
+    const files = plugin.files ? [].concat(plugin.files) : [];
+    const calls = plugin.calls ? [].concat(plugin.calls) : [];
+    if (files.length === 0 && calls.length === 0) {
+      throw new Error(`Extractor plugin ${plugin.name} must declare files or calls`);
+    }
+    if (calls.length === 0 && typeof plugin.extract !== 'function') {
+      throw new Error(`Extractor plugin ${plugin.name} must declare calls or an extract function`);
+    }
+
+    this.plugins.push({ ...plugin, files, calls: calls.map(callee => this.callPattern(callee)) });
+    if (this.verbose) {
+      console.log(chalk.gray(`    🔌 Registered extractor plugin: ${plugin.name}`));
+    }
+  }
+
+  callPattern(callee) {
+    const escaped = callee.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\./g, '\\s*\\??\\.\\s*');
+    return { callee, pattern: new RegExp(`(?<![\\w$])${escaped}\\s*\\(\\s*(['"\`])([^'"\`\\n]+)\\1`, 'g') };
+  }
+
+  /**
+   * File globs plugins handle and the config includes, to add to the scanner's include patterns
+   */
+  filePatterns() {
+    return [...new Set([...this.include, ...this.plugins.flatMap(plugin => plugin.files)])];
+  }
+
+  /**
+   * Whether a plugin declares the file through its globs, so the file does not need a built-in extractor
+   */
+  handles(filePath) {
+    const relativePath = this.relativePath(filePath);
+    return this.plugins.some(plugin => plugin.files.some(pattern => minimatch(relativePath, pattern)));
+  }
+
+  relativePath(filePath) {
+    return path.relative(this.rootPath, path.resolve(this.rootPath, filePath)).split(path.sep).join('/');
+  }
+
+  /**
+   * Run every plugin that applies to a file. A failing plugin is recorded in `failures`,
+   * reported (its first failure always, every one with --verbose) and skipped.
+   * @param {Set|FieldCollector} fields - Collection to add to
+   */
+  extractFields(content, filePath, fields) {
+    const relativePath = this.relativePath(filePath);
+    for (const plugin of this.plugins) {
+      if (plugin.files.length > 0 && !plugin.files.some(pattern => minimatch(relativePath, pattern))) {
+        continue;
+      }
+
+      const extractor = `plugin:${plugin.name}`;
+      try {
+        for (const { callee, pattern } of plugin.calls) {
+          pattern.lastIndex = 0;
+          let match;
+          while ((match = pattern.exec(content)) !== null) {
+            fields.add(match[2], { index: match.index + match[0].length - match[2].length - 1, extractor, call: callee });
+          }
+        }
+
+        if (typeof plugin.extract === 'function') {
+          for (const result of plugin.extract(content, { filePath, relativePath }) || []) {
+            const { field, ...meta } = result || {};
+            if (typeof field === 'string' && field) {
+              fields.add(field, { ...meta, extractor });
+            }
+          }
+        }
+      } catch (error) {
+        const first = !this.failures.some(failure => failure.plugin === plugin.name);
+        this.failures.push({ plugin: plugin.name, file: filePath, message: error.message });
+        if (first || this.verbose) {
+          console.log(chalk.yellow(`⚠️  Extractor plugin ${plugin.name} failed on ${relativePath}: ${error.message}`));
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,159 @@
+import { parse as parseToml } from 'smol-toml';
+import chalk from 'chalk';
+import { isFieldOrPattern } from './utils/field-utils.js';
+import { ESClientParser } from './es-client-parser.js';
+
+/**
+ * Analyses Elastic detection rules in the detection-rules TOML layout: the `[rule]` query is
+ * handed to the extractor for its `language`, fields are collected from structured keys
+ * (`threshold.field`, `new_terms_fields`, `required_fields`, indicator match `threat_mapping`,
+ * ...), and `required_fields` is checked against the fields the query actually uses.
+ */
+export class DetectionRuleAnalyzer {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    this.esClientParser = options.esClientParser || new ESClientParser({ verbose: this.verbose });
+    // Rules whose required_fields disagree with their query, across all analysed files
+    this.requiredFieldsMismatches = [];
+  }
+
+  /**
+   * Extract the fields a rule file references. TOML files without a `[rule]` table are ignored.
+   * @param {string} content - TOML source
+   * @param {Set|FieldCollector} fields - Collection to add to
+   * @param {string} filePath - Path of the rule file, for required_fields mismatches
+   */
+  extractFields(content, fields, filePath = '') {
+    let document;
+    try {
+      document = parseToml(content);
+    } catch (error) {
+      if (this.verbose) {
+        console.log(chalk.yellow(`⚠️  Could not parse TOML in ${filePath}: ${error.message}`));
+      }
+      return;
+    }
+
+    const rule = document.rule;
+    if (!rule || typeof rule !== 'object') {
+      return;
+    }
+
+    const queryFields = this.extractFromQuery(rule.query, rule.language, rule.type, content, fields);
+    if (rule.threat_query) {
+      this.extractFromQuery(rule.threat_query, rule.threat_language || 'kuery', 'threat_match', content, fields);
+    }
+    this.extractFromStructuredKeys(rule, fields);
+
+    if (Array.isArray(rule.required_fields) && queryFields) {
+      this.checkRequiredFields(rule, queryFields, filePath);
+    }
+  }
+
+  /**
+   * Run the language-specific extractor over a rule query
+   * @returns {Set<string>|null} Field names the query uses, or null when the language is not supported
+   */
+  extractFromQuery(query, language, type, content, fields) {
+    if (typeof query !== 'string') {
+      return null;
+    }
+
+    // Queries are usually '''literal''' strings, which appear verbatim in the file
+    const index = content.indexOf(query);
+    const offset = index === -1 ? null : index;
+    const queryFields = new Set();
+    // Fields the query matches on without naming them (EQL event categories)
+    queryFields.implicit = new Set();
+    const collector = {
+      add: (fieldName, meta) => {
+        if (meta && meta.implicit) {
+          queryFields.implicit.add(fieldName);
+        } else if (!fieldName.includes('*')) {
+          queryFields.add(fieldName);
+        }
+        fields.add(fieldName, meta);
+        return collector;
+      }
+    };
+
+    const queryLanguage = language || (type === 'eql' ? 'eql' : type === 'esql' ? 'esql' : 'kuery');
+    const stringLanguage = this.esClientParser.queryStringLanguage(queryLanguage);
+    if (stringLanguage) {
+      this.esClientParser.extractFromQueryString(query, collector, offset, stringLanguage);
+    } else if (queryLanguage === 'eql') {
+      this.esClientParser.extractFromEQL(query, collector, offset);
+    } else if (queryLanguage === 'esql') {
+      this.esClientParser.extractFromESQL(query, collector, offset);
+    } else {
+      return null;
+    }
+    return queryFields;
+  }
+
+  extractFromStructuredKeys(rule, fields) {
+    const add = (name, ruleKey) => {
+      if (isFieldOrPattern(name)) {
+        fields.add(name, { extractor: 'extractFromRule', ruleKey });
+      }
+    };
+    const addAll = (value, ruleKey) => [].concat(value || []).forEach(name => add(name, ruleKey));
+
+    if (rule.threshold) {
+      addAll(rule.threshold.field, 'threshold.field');
+      for (const cardinality of [].concat(rule.threshold.cardinality || [])) {
+        add(cardinality && cardinality.field, 'threshold.cardinality.field');
+      }
+    }
+
+    // new_terms_fields = [...] or [rule.new_terms] field = "new_terms_fields", value = [...]
+    addAll(rule.new_terms_fields, 'new_terms_fields');
+    if (rule.new_terms && rule.new_terms.field === 'new_terms_fields') {
+      addAll(rule.new_terms.value, 'new_terms_fields');
+    }
+
+    for (const requiredField of [].concat(rule.required_fields || [])) {
+      add(requiredField && requiredField.name, 'required_fields');
+    }
+
+    // Indicator match: [[rule.threat_mapping.entries]] field = "source.ip", value = "threat.indicator.ip"
+    for (const mapping of [].concat(rule.threat_mapping || [])) {
+      for (const entry of [].concat((mapping && mapping.entries) || [])) {
+        add(entry && entry.field, 'threat_mapping.field');
+        add(entry && entry.value, 'threat_mapping.value');
+      }
+    }
+
+    add(rule.timestamp_override, 'timestamp_override');
+    add(rule.rule_name_override, 'rule_name_override');
+    for (const key of ['risk_score_mapping', 'severity_mapping']) {
+      for (const mapping of [].concat(rule[key] || [])) {
+        add(mapping && mapping.field, `${key}.field`);
+      }
+    }
+    if (rule.alert_suppression) {
+      addAll(rule.alert_suppression.group_by, 'alert_suppression.group_by');
+    }
+  }
+
+  /**
+   * Record where `required_fields` lists fields the query does not use, or misses fields it does.
+   * Implicit fields (`event.category` behind `process where`) need not be listed, but may be.
+   */
+  checkRequiredFields(rule, queryFields, filePath) {
+    const required = new Set(rule.required_fields
+      .map(requiredField => requiredField && requiredField.name)
+      .filter(name => typeof name === 'string'));
+
+    const missing = [...queryFields].filter(name => !required.has(name)).sort();
+    const unused = [...required].filter(name => !queryFields.has(name) && !queryFields.implicit.has(name)).sort();
+    if (missing.length === 0 && unused.length === 0) {
+      return;
+    }
+
+    this.requiredFieldsMismatches.push({ file: filePath, rule: { id: rule.rule_id, name: rule.name }, missing, unused });
+    if (this.verbose) {
+      console.log(chalk.yellow(`    ⚠️  required_fields mismatch in ${rule.name || filePath}: ${missing.length} missing, ${unused.length} unused`));
+    }
+  }
+}
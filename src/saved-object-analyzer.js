@@ -0,0 +1,172 @@
+import chalk from 'chalk';
+import { isFieldOrPattern } from './utils/field-utils.js';
+import { ESClientParser } from './es-client-parser.js';
+import { PainlessAnalyzer } from './painless-analyzer.js';
+
+// Keys whose string value names a field: aggregation params, Lens columns, data views, maps
+const FIELD_VALUE_KEYS = new Set([
+  'field', 'sourceField', 'sortField', 'timeFieldName', 'timeField', 'geoField', 'leftField', 'fieldName', 'splitField'
+]);
+
+// Objects keyed by field name: data view field attributes, formats and runtime fields
+const FIELD_MAP_KEYS = new Set(['fieldAttrs', 'fieldFormatMap', 'runtimeFieldMap']);
+
+// Query DSL clauses in filters whose object keys are field names
+const FIELD_KEYED_CLAUSES = new Set(['match', 'match_phrase', 'term', 'terms', 'range', 'wildcard', 'prefix']);
+
+/**
+ * Analyses Kibana saved object exports (`.ndjson`, one object per line). Attributes holding
+ * stringified JSON (`visState`, `kibanaSavedObjectMeta.searchSourceJSON`, `panelsJSON`, data
+ * view `fields`, ...) are unwrapped, and every occurrence records the saved object it came
+ * from (`savedObject: { type, id }`).
+ */
+export class SavedObjectAnalyzer {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    this.esClientParser = options.esClientParser || new ESClientParser({ verbose: this.verbose });
+    this.painlessAnalyzer = options.painlessAnalyzer || new PainlessAnalyzer({ verbose: this.verbose });
+  }
+
+  /**
+   * Extract the fields each saved object in an NDJSON export references
+   * @param {string} content - NDJSON export
+   * @param {FieldCollector} fields - Collection to add to
+   */
+  extractFields(content, fields) {
+    let lineStart = 0;
+    for (const line of content.split('\n')) {
+      const start = lineStart;
+      lineStart += line.length + 1;
+      if (!line.trim()) {
+        continue;
+      }
+
+      let object;
+      try {
+        object = JSON.parse(line);
+      } catch (error) {
+        if (this.verbose) {
+          console.log(chalk.yellow(`⚠️  Skipping unparseable saved object line: ${error.message}`));
+        }
+        continue;
+      }
+
+      // The export summary line ({ exportedCount, missingRefCount, ... }) has no type
+      if (!object || typeof object.type !== 'string' || !object.attributes) {
+        continue;
+      }
+
+      this.visit(object.attributes, null, this.scopedCollector(fields, object, start));
+    }
+  }
+
+  /**
+   * A collector that attributes everything added to one saved object: occurrences are
+   * located within its line and tagged with its type and id
+   */
+  scopedCollector(fields, object, lineStart) {
+    const savedObject = { type: object.type, id: object.id };
+    const scoped = {
+      add: (fieldName, meta = {}) => {
+        // Offsets from the query extractors are relative to unwrapped strings, not the line
+        const { index, ...details } = meta;
+        fields.add(fieldName, { ...details, searchFrom: lineStart, savedObject });
+        return scoped;
+      }
+    };
+    return scoped;
+  }
+
+  visit(value, key, fields) {
+    if (typeof value === 'string') {
+      const embedded = this.parseEmbeddedJSON(value);
+      if (embedded !== undefined) {
+        this.visit(embedded, key, fields);
+      } else if (FIELD_VALUE_KEYS.has(key)) {
+        this.addField(value, fields);
+      }
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      this.visitArray(value, key, fields);
+      return;
+    }
+
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+
+    this.visitObject(value, key, fields);
+    for (const [childKey, child] of Object.entries(value)) {
+      this.visit(child, childKey, fields);
+    }
+  }
+
+  visitArray(value, key, fields) {
+    for (const element of value) {
+      if (key === 'columns' && typeof element === 'string') {
+        // Saved search columns
+        this.addField(element, fields);
+      } else if (key === 'sort' && Array.isArray(element)) {
+        // Saved search sort: [['@timestamp', 'desc']]
+        this.addField(element[0], fields);
+      } else if (key === 'fields' && element && typeof element === 'object' && typeof element.name === 'string') {
+        // Data view field list: [{ name: 'host.name', type: 'string', ... }]
+        this.addField(element.name, fields);
+      } else {
+        this.visit(element, key, fields);
+      }
+    }
+  }
+
+  visitObject(value, key, fields) {
+    // Queries: { query: 'host.name: x', language: 'kuery' } and { esql: 'FROM logs-* | ...' }
+    if (typeof value.query === 'string' && typeof value.language === 'string') {
+      const language = this.esClientParser.queryStringLanguage(value.language);
+      if (language) {
+        this.esClientParser.extractFromQueryString(value.query, fields, null, language);
+      }
+    }
+    if (typeof value.esql === 'string') {
+      this.esClientParser.extractFromESQL(value.esql, fields, null);
+    }
+
+    if (FIELD_MAP_KEYS.has(key) || FIELD_KEYED_CLAUSES.has(key)) {
+      for (const name of Object.keys(value)) {
+        this.addField(name, fields);
+      }
+    }
+
+    // Filter pills: { meta: { key: 'host.name', ... }, query: {...} }
+    if (key === 'meta' && typeof value.key === 'string') {
+      this.addField(value.key, fields);
+    }
+
+    // Runtime fields in data views: { runtimeFieldMap: { name: { script: { source } } } }
+    if (key === 'script' && typeof value.source === 'string') {
+      this.painlessAnalyzer.extractFields(value.source, fields, null);
+    }
+  }
+
+  addField(name, fields) {
+    if (isFieldOrPattern(name)) {
+      fields.add(name, { extractor: 'extractFromSavedObject' });
+    }
+  }
+
+  /**
+   * Value of a string attribute holding stringified JSON, or undefined
+   */
+  parseEmbeddedJSON(value) {
+    const trimmed = value.trim();
+    if (!/^[[{]/.test(trimmed)) {
+      return undefined;
+    }
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return undefined;
+    }
+  }
+}
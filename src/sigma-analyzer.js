@@ -0,0 +1,254 @@
+import yaml from 'js-yaml';
+import chalk from 'chalk';
+import { isValidESFieldName as utilIsValidESFieldName } from './utils/field-utils.js';
+
+// Sigma taxonomy fields and the ECS fields they correspond to, following Elastic's Sigma
+// backend pipelines; --sigma-mapping entries are layered on top
+const DEFAULT_FIELD_MAPPING = {
+  // process_creation
+  Image: 'process.executable',
+  OriginalFileName: 'process.pe.original_file_name',
+  CommandLine: 'process.command_line',
+  CurrentDirectory: 'process.working_directory',
+  ProcessId: 'process.pid',
+  ParentImage: 'process.parent.executable',
+  ParentCommandLine: 'process.parent.command_line',
+  ParentProcessId: 'process.parent.pid',
+  Company: 'process.pe.company',
+  Description: 'process.pe.description',
+  Product: 'process.pe.product',
+  FileVersion: 'process.pe.file_version',
+  User: 'user.name',
+  // file_event, image_load and registry_event
+  TargetFilename: 'file.path',
+  ImageLoaded: 'dll.path',
+  TargetObject: 'registry.path',
+  Details: 'registry.data.strings',
+  // network_connection and dns_query
+  SourceIp: 'source.ip',
+  SourcePort: 'source.port',
+  SourceHostname: 'source.domain',
+  DestinationIp: 'destination.ip',
+  DestinationPort: 'destination.port',
+  DestinationHostname: 'destination.domain',
+  Protocol: 'network.transport',
+  QueryName: 'dns.question.name',
+  src_ip: 'source.ip',
+  dst_ip: 'destination.ip',
+  src_port: 'source.port',
+  dst_port: 'destination.port',
+  // webserver and proxy
+  'c-uri': 'url.original',
+  'c-uri-query': 'url.query',
+  'c-useragent': 'user_agent.original',
+  'cs-method': 'http.request.method',
+  'cs-referer': 'http.request.referrer',
+  'sc-status': 'http.response.status_code',
+  // Windows event logs
+  EventID: 'event.code',
+  ComputerName: 'host.name'
+};
+
+/**
+ * Analyses Sigma rules in YAML. Selection keys in `detection` (`Image|endswith`,
+ * `CommandLine|contains|all`) and the `fields` list are Sigma field names: modifiers are
+ * stripped and the name is mapped to ECS through a Sigma-to-ECS table. Fields with no
+ * mapping are not reported as custom fields but collected per rule in `unmappedFields`.
+ */
+export class SigmaRuleAnalyzer {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    this.fieldMapping = new Map(Object.entries(DEFAULT_FIELD_MAPPING).map(([field, ecs]) => [field, [ecs]]));
+    // Rules referencing Sigma fields with no ECS mapping, across all analysed files
+    this.unmappedFields = [];
+  }
+
+  /**
+   * Layer a mapping file over the built-in table. Accepts a flat `{ Image: process.executable }`
+   * object, a legacy sigmac config (`fieldmappings:`) or a pySigma processing pipeline
+   * (`transformations` of type `field_name_mapping`). A Sigma field may map to a list of fields.
+   * @param {string} content - YAML or JSON mapping
+   * @returns {number} Number of Sigma fields the file maps
+   * @throws {Error} When the mapping cannot be parsed
+   */
+  loadFieldMapping(content) {
+    const document = yaml.load(content);
+    if (!document || typeof document !== 'object') {
+      throw new Error('Sigma field mapping must be an object');
+    }
+
+    let mapping = document;
+    if (document.fieldmappings) {
+      mapping = document.fieldmappings;
+    } else if (Array.isArray(document.transformations)) {
+      mapping = Object.assign({}, ...document.transformations
+        .filter(transformation => transformation && transformation.type === 'field_name_mapping')
+        .map(transformation => transformation.mapping || {}));
+    }
+
+    let count = 0;
+    for (const [field, ecs] of Object.entries(mapping)) {
+      const targets = [].concat(ecs).filter(target => typeof target === 'string');
+      if (targets.length > 0) {
+        this.fieldMapping.set(field, targets);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Whether a parsed YAML document is a Sigma rule
+   */
+  isSigmaRule(document) {
+    return Boolean(document && typeof document === 'object' && !Array.isArray(document) &&
+      document.detection && typeof document.detection === 'object' &&
+      document.logsource && typeof document.logsource === 'object');
+  }
+
+  /**
+   * Extract the ECS fields the Sigma rules in a YAML file reference
+   * @param {string} content - YAML source, possibly several `---` separated documents
+   * @param {Set|FieldCollector} fields - Collection to add to
+   * @param {string} filePath - Path of the rule file, for unmapped field reports
+   * @returns {boolean} False when the file holds no Sigma rule, so generic YAML extraction applies
+   */
+  extractFields(content, fields, filePath = '') {
+    let documents;
+    try {
+      documents = yaml.loadAll(content);
+    } catch (error) {
+      if (this.verbose) {
+        console.log(chalk.yellow(`⚠️  Could not parse YAML in ${filePath}: ${error.message}`));
+      }
+      return false;
+    }
+
+    const rules = documents.filter(document => this.isSigmaRule(document));
+    if (rules.length === 0) {
+      return false;
+    }
+
+    // Keys are located in document order, so each search starts where the last one matched
+    const state = { content, cursor: 0 };
+    for (const rule of rules) {
+      this.extractFromRule(rule, fields, filePath, state);
+    }
+    return true;
+  }
+
+  extractFromRule(rule, fields, filePath, state) {
+    const unmapped = new Set();
+    const ruleStart = state.cursor;
+
+    for (const [name, selection] of Object.entries(rule.detection)) {
+      if (name === 'condition' || name === 'timeframe') {
+        continue;
+      }
+      // A selection is a map of field conditions, or a list of maps (OR) or keywords
+      const maps = Array.isArray(selection) ? selection : [selection];
+      for (const map of maps) {
+        if (!map || typeof map !== 'object' || Array.isArray(map)) {
+          continue;
+        }
+        for (const key of Object.keys(map)) {
+          this.addSigmaField(key, this.locateKey(key, state), fields, unmapped);
+        }
+      }
+    }
+
+    // Fields an analyst should look at when the rule fires
+    if (Array.isArray(rule.fields)) {
+      const fieldsState = { content: state.content, cursor: ruleStart };
+      const listIndex = this.locateKey('fields', fieldsState);
+      if (listIndex !== null) {
+        for (const field of rule.fields) {
+          this.addSigmaField(field, this.locateValue(field, fieldsState), fields, unmapped);
+        }
+        state.cursor = Math.max(state.cursor, fieldsState.cursor);
+      }
+    }
+
+    // The next rule starts after the document separator
+    const separator = state.content.indexOf('\n---', state.cursor);
+    state.cursor = separator === -1 ? state.content.length : separator + 1;
+
+    if (unmapped.size > 0) {
+      this.unmappedFields.push({ file: filePath, rule: { id: rule.id, title: rule.title }, fields: [...unmapped].sort() });
+      if (this.verbose) {
+        console.log(chalk.yellow(`    ⚠️  Sigma fields without ECS mapping in ${rule.title || filePath}: ${[...unmapped].join(', ')}`));
+      }
+    }
+  }
+
+  /**
+   * Strip modifiers from a selection key (`CommandLine|contains|all`) and record the ECS
+   * fields it maps to. Keys with no mapping are recorded as ECS fields when they already are
+   * dotted field names, and as unmapped otherwise.
+   */
+  addSigmaField(key, index, fields, unmapped) {
+    if (typeof key !== 'string') {
+      return;
+    }
+    const sigmaField = key.split('|')[0].trim();
+    if (!sigmaField) {
+      // '|all' and similar keyword-only keys
+      return;
+    }
+
+    const meta = { ...(index === null ? {} : { index }), extractor: 'extractFromSigma', sigmaField };
+    const targets = this.mapField(sigmaField);
+    if (targets) {
+      targets.forEach(target => fields.add(target, meta));
+    } else if (sigmaField.includes('.') && utilIsValidESFieldName(sigmaField)) {
+      fields.add(sigmaField, meta);
+    } else {
+      unmapped.add(sigmaField);
+    }
+  }
+
+  mapField(sigmaField) {
+    if (this.fieldMapping.has(sigmaField)) {
+      return this.fieldMapping.get(sigmaField);
+    }
+    // Sigma field names are matched case-insensitively by most backends
+    const lower = sigmaField.toLowerCase();
+    for (const [field, targets] of this.fieldMapping) {
+      if (field.toLowerCase() === lower) {
+        return targets;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Offset of a YAML mapping key, plain or quoted, searching forward from the last match
+   */
+  locateKey(key, state) {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(^|[\\s{,-])(['"]?)${escaped}\\2\\s*:`, 'gm');
+    pattern.lastIndex = state.cursor;
+    const match = pattern.exec(state.content);
+    if (!match) {
+      return null;
+    }
+    const index = match.index + match[1].length + match[2].length;
+    state.cursor = index + key.length;
+    return index;
+  }
+
+  /**
+   * Offset of a list value, searching forward from the last match
+   */
+  locateValue(value, state) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const index = state.content.indexOf(value, state.cursor);
+    if (index === -1) {
+      return null;
+    }
+    state.cursor = index + value.length;
+    return index;
+  }
+}
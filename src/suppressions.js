@@ -0,0 +1,189 @@
+import chalk from 'chalk';
+
+// `// ecs-detective-ignore-next-line`, `# ecs-detective-ignore-file` and
+// `/* ecs-detective-ignore custom.session.id */` at the start of a comment, optionally followed
+// by field names and a `-- reason`
+const DIRECTIVE_PATTERN = /^(?:\/\/|\/\*|#)[ \t*]*ecs-detective-(ignore-next-line|ignore-file|ignore)(?![\w-])/;
+
+// Files parsed with Babel, whose comments come from the syntax tree
+const SCRIPT_EXTENSIONS = new Set(['js', 'jsx', 'ts', 'tsx', 'mjs', 'cjs']);
+
+// Comment syntax by file extension: line comment marker, whether `/* */` blocks exist, and
+// the quotes strings (which may hold comment markers) are delimited with
+const C_STYLE = { line: ['//'], block: true, quotes: '\'"`' };
+const HASH_STYLE = { line: ['#'], block: false, quotes: '\'"' };
+const COMMENT_SYNTAX = {
+  js: C_STYLE, jsx: C_STYLE, ts: C_STYLE, tsx: C_STYLE, mjs: C_STYLE, cjs: C_STYLE,
+  json: C_STYLE, jsonc: C_STYLE, eql: C_STYLE,
+  yml: HASH_STYLE, yaml: HASH_STYLE, toml: HASH_STYLE, conf: HASH_STYLE,
+  ndjson: null
+};
+
+// Markdown (comments in any fenced language) and unknown formats accept every marker
+const ANY_STYLE = { line: ['//', '#'], block: true, quotes: '' };
+
+/**
+ * Applies inline suppression comments to a file's field occurrences and keeps an audit trail
+ * of every occurrence suppressed, across all analysed files:
+ * - `ecs-detective-ignore-next-line [fields]`: occurrences on the line after the comment
+ * - `ecs-detective-ignore-file [fields]`: occurrences anywhere in the file
+ * - `ecs-detective-ignore fields`: the listed fields anywhere in the file; with no fields, the
+ *   occurrences on the comment's own line
+ * Field lists are separated by spaces or commas and may use `*` wildcards; without a list
+ * every field is suppressed.
+ */
+export class SuppressionFilter {
+  constructor(options = {}) {
+    this.verbose = options.verbose || false;
+    // Parses JS/TS into a Babel AST, so their comments are read from the syntax tree
+    this.parseScript = options.parseScript || null;
+    this.suppressed = [];
+  }
+
+  /**
+   * Directives in a file's comments
+   * @param {string} content - File content
+   * @param {string} filePath - Path of the file, whose extension decides the comment syntax
+   * @returns {Array<{directive: string, line: number, targetLine: number|null, fields: string[]}>}
+   */
+  parseDirectives(content, filePath = '') {
+    const directives = [];
+    for (const comment of this.comments(content, filePath)) {
+      const match = DIRECTIVE_PATTERN.exec(comment.text);
+      if (!match) {
+        continue;
+      }
+      const kind = match[1];
+      const args = comment.text.slice(match[0].length).replace(/\*\/$/, '').split('--')[0];
+
+      const line = this.lineOf(content, comment.start);
+      const endLine = this.lineOf(content, comment.end);
+      const fields = args.split(/[\s,]+/).filter(Boolean);
+      const directive = `ecs-detective-${kind}`;
+      if (kind === 'ignore-next-line') {
+        directives.push({ directive, line, targetLine: endLine + 1, fields });
+      } else if (kind === 'ignore-file' || fields.length > 0) {
+        directives.push({ directive, line, targetLine: null, fields });
+      } else {
+        directives.push({ directive, line, targetLine: line, fields });
+      }
+    }
+    return directives;
+  }
+
+  /**
+   * The comments of a file, in the syntax of its language; comment markers inside strings
+   * are not comments
+   * @returns {Array<{text: string, start: number, end: number}>}
+   */
+  comments(content, filePath) {
+    const ext = filePath.split('.').pop().toLowerCase();
+    if (SCRIPT_EXTENSIONS.has(ext) && this.parseScript) {
+      try {
+        const ast = this.parseScript(content, filePath);
+        return ast.comments.map(comment => ({ text: content.slice(comment.start, comment.end), start: comment.start, end: comment.end }));
+      } catch (error) {
+        // Files Babel cannot parse are scanned like other C-style sources
+        if (this.verbose) {
+          console.log(chalk.yellow(`⚠️  Could not parse ${filePath} for suppression comments: ${error.message}`));
+        }
+      }
+    }
+
+    const syntax = ext in COMMENT_SYNTAX ? COMMENT_SYNTAX[ext] : ANY_STYLE;
+    return syntax ? this.scanComments(content, syntax) : [];
+  }
+
+  scanComments(content, syntax) {
+    const comments = [];
+    let i = 0;
+    while (i < content.length) {
+      const char = content[i];
+      if (syntax.quotes.includes(char)) {
+        i = this.skipString(content, i, char);
+        continue;
+      }
+
+      const marker = syntax.line.find(candidate => content.startsWith(candidate, i));
+      // `#` only opens a comment at the start of a line or after whitespace (`a#b` is a value)
+      if (marker && (marker !== '#' || i === 0 || /\s/.test(content[i - 1]))) {
+        const newline = content.indexOf('\n', i);
+        const end = newline === -1 ? content.length : newline;
+        comments.push({ text: content.slice(i, end), start: i, end });
+        i = end;
+        continue;
+      }
+      if (syntax.block && content.startsWith('/*', i)) {
+        const close = content.indexOf('*/', i + 2);
+        const end = close === -1 ? content.length : close + 2;
+        comments.push({ text: content.slice(i, end), start: i, end });
+        i = end;
+        continue;
+      }
+      i++;
+    }
+    return comments;
+  }
+
+  /**
+   * Offset after the string opened at `start`; only template literals span lines
+   */
+  skipString(content, start, quote) {
+    for (let i = start + 1; i < content.length; i++) {
+      if (content[i] === '\\') {
+        i++;
+      } else if (content[i] === quote || (content[i] === '\n' && quote !== '`')) {
+        return i + 1;
+      }
+    }
+    return content.length;
+  }
+
+  lineOf(content, offset) {
+    let line = 1;
+    for (let i = content.indexOf('\n'); i !== -1 && i < offset; i = content.indexOf('\n', i + 1)) {
+      line++;
+    }
+    return line;
+  }
+
+  /**
+   * Remove the occurrences a file's directives suppress
+   * @param {string} content - File content
+   * @param {FieldCollector} fields - The file's occurrences
+   * @returns {Object[]} Occurrences suppressed, with the directive and its line
+   */
+  apply(content, fields) {
+    if (typeof content !== 'string' || !content.includes('ecs-detective-ignore')) {
+      return [];
+    }
+    const directives = this.parseDirectives(content, fields.filePath || '');
+    if (directives.length === 0) {
+      return [];
+    }
+
+    const matchers = directives.map(directive => ({ ...directive, patterns: directive.fields.map(field => this.fieldPattern(field)) }));
+    const suppressed = [];
+    fields.remove(occurrence => {
+      const directive = matchers.find(candidate =>
+        (candidate.targetLine === null || candidate.targetLine === occurrence.line) &&
+        (candidate.patterns.length === 0 || candidate.patterns.some(pattern => pattern.test(occurrence.field))));
+      if (!directive) {
+        return false;
+      }
+      suppressed.push({ ...occurrence, directive: directive.directive, directiveLine: directive.line });
+      return true;
+    });
+
+    this.suppressed.push(...suppressed);
+    if (this.verbose && suppressed.length > 0) {
+      console.log(chalk.gray(`    🔕 Suppressed ${suppressed.length} occurrences in ${fields.filePath}`));
+    }
+    return suppressed;
+  }
+
+  fieldPattern(field) {
+    const escaped = field.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+  }
+}
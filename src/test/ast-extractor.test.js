@@ -0,0 +1,224 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ASTFieldExtractor } from '../ast-extractor.js';
+import { FieldParser } from '../field-parser.js';
+import { FieldCollector } from '../field-collector.js';
+
+describe('ASTFieldExtractor', () => {
+  const extractor = new ASTFieldExtractor();
+
+  const extract = (content, filePath = 'test.ts') => {
+    const fields = new Set();
+    const parsed = extractor.extract(content, filePath, fields);
+    return { parsed, fields };
+  };
+
+  test('should ignore field-like strings inside comments', () => {
+    const { parsed, fields } = extract(`
+      // const old = { term: { 'legacy.field': 'x' } };
+      /* 'another.legacy.field' */
+      const query = { term: { 'user.name': 'john' } };
+    `);
+
+    assert.strictEqual(parsed, true);
+    assert.ok(fields.has('user.name'));
+    assert.ok(!fields.has('legacy.field'));
+    assert.ok(!fields.has('another.legacy.field'));
+  });
+
+  test('should extract query DSL across multi-line objects and nested template literals', () => {
+    const { fields } = extract(`
+      const index = \`logs-\${env === 'prod' ? \`\${region}-\${tier}\` : 'dev'}\`;
+      const result = await client.search({
+        index,
+        query: {
+          bool: {
+            filter: [
+              {
+                range: {
+                  '@timestamp': { gte: 'now-1d', lte: 'now' }
+                }
+              },
+              { exists: { field: 'event.outcome' } }
+            ]
+          }
+        },
+        aggs: {
+          hosts: { terms: { field: 'host.name', size: 10 } }
+        },
+        sort: [{ 'event.created': { order: 'desc' } }]
+      });
+    `);
+
+    assert.ok(fields.has('@timestamp'));
+    assert.ok(fields.has('event.outcome'));
+    assert.ok(fields.has('host.name'));
+    assert.ok(fields.has('event.created'));
+  });
+
+  test('should build full paths from nested mapping properties', () => {
+    const { fields } = extract(`
+      await client.indices.create({
+        index: 'logs',
+        mappings: {
+          properties: {
+            host: {
+              properties: {
+                os: { properties: { name: { type: 'keyword' } } }
+              }
+            },
+            'custom.session.id': { type: 'keyword' }
+          }
+        }
+      });
+    `);
+
+    assert.ok(fields.has('host.os.name'));
+    assert.ok(fields.has('custom.session.id'));
+    assert.ok(!fields.has('os.name'));
+  });
+
+  test('should extract document literals from index and bulk calls', () => {
+    const { fields } = extract(`
+      await esClient.index({ index: 'logs', body: { 'user.id': id, message: text } });
+      await client.bulk({
+        body: [
+          { index: { _index: 'logs' } },
+          { 'process.pid': 1234 }
+        ]
+      });
+    `);
+
+    assert.ok(fields.has('user.id'));
+    assert.ok(fields.has('message'));
+    assert.ok(fields.has('process.pid'));
+  });
+
+  test('should read _source chains, fields API keys, destructuring and typed documents', () => {
+    const fields = new FieldCollector('hits.ts');
+    const content = `
+      interface AuditEvent { '@timestamp': string }
+      export function render(res: SearchResponse, events: AuditEvent[], e: MouseEvent) {
+        const hit = res.hits.hits[0];
+        const name = hit._source.user.name.toLowerCase();
+        const ip = hit._source?.['host.ip'];
+        const created = hit.fields['event.created'][0];
+        const { process: { parent: { name: parentName } } } = hit._source;
+        const { pe } = hit._source!.process;
+        res.hits.hits.map(({ _source: { destination: { port } } }) => port);
+        const who = events[0].service.name;
+        const target = e.target.value;
+        hit._source.event.kind = 'alert';
+      }
+    `;
+    extractor.extract(content, 'hits.ts', fields);
+
+    const reads = fields.occurrences.filter(o => o.extractor === 'ast:documentAccess');
+    assert.deepStrictEqual(reads.map(o => [o.field, o.line, o.access]), [
+      ['user.name', 5, 'read'],
+      ['host.ip', 6, 'read'],
+      ['event.created', 7, 'read'],
+      ['process.parent.name', 8, 'read'],
+      ['process.pe', 9, 'read'],
+      ['destination.port', 10, 'read'],
+      ['service.name', 11, 'read'],
+      ['event.kind', 13, 'write']
+    ]);
+    assert.ok(!fields.has('target.value'));
+  });
+
+  test('should flatten nested document literals into dotted paths', () => {
+    const { fields } = extract(`
+      const defaults = { agent: { type: 'filebeat' } };
+      await client.index({
+        index: 'logs',
+        document: {
+          ...defaults,
+          'user.name': name,
+          user: { id },
+          host: { os: { name: 'linux' } },
+          source: { geo: { location: { lat: 1, lon: 2 } } },
+          hosts: [{ hostname: 'a' }]
+        }
+      });
+      await client.bulk({
+        operations: [{ update: { _id: id } }, { doc: { service: { name: 'api' } } }]
+      });
+    `);
+
+    assert.deepStrictEqual([...fields].sort(), [
+      'agent.type', 'host.os.name', 'hosts.hostname', 'service.name', 'source.geo.location', 'user.id', 'user.name'
+    ]);
+  });
+
+  test('should extract v8 client parameters on scoped clients and helpers', () => {
+    const { fields } = extract(`
+      const response = await esClient.asCurrentUser.search({
+        index: 'logs-*',
+        query: { term: { 'host.name': name } },
+        aggs: { users: { terms: { field: 'user.name' } } },
+        sort: [{ '@timestamp': 'desc' }]
+      });
+      await scopedClusterClient.asInternalUser.index({ index: 'logs', document: { 'event.action': 'login', message: text } });
+      await this.client.update({ index: 'logs', id, doc: { 'service.name': 'api' } });
+      await client.helpers.bulk({ datasource: [{ 'process.name': 'bash' }], onDocument });
+      await client.bulk({ operations: [{ index: { _index: 'logs' } }, { 'file.path': path }] });
+      await client.indices.create({ index: 'logs', settings: { number_of_shards: 1 } });
+    `);
+
+    for (const field of ['host.name', 'user.name', '@timestamp', 'event.action', 'message', 'service.name', 'process.name', 'file.path']) {
+      assert.ok(fields.has(field), field);
+    }
+    assert.ok(!fields.has('number_of_shards'));
+  });
+
+  test('should flatten nested ES document interfaces', () => {
+    const { fields } = extract(`
+      interface AuditDocument {
+        '@timestamp': string;
+        user: { name: string; roles?: string[] };
+      }
+      interface ButtonProps {
+        'aria.label': string;
+      }
+    `);
+
+    assert.ok(fields.has('@timestamp'));
+    assert.ok(fields.has('user.name'));
+    assert.ok(fields.has('user.roles'));
+  });
+
+  test('should not treat module specifiers as fields', () => {
+    const { fields } = extract(`
+      import get from 'lodash.get';
+      const merge = require('lodash.merge');
+      const field = 'source.ip';
+    `, 'test.js');
+
+    assert.ok(!fields.has('lodash.get'));
+    assert.ok(!fields.has('lodash.merge'));
+    assert.ok(fields.has('source.ip'));
+  });
+
+  test('should extract script field access from strings and member expressions', () => {
+    const { fields } = extract(`
+      const script = { source: "doc['user.name'].value == params.name" };
+      const ip = hit._source['source.ip'];
+    `);
+
+    assert.ok(fields.has('user.name'));
+    assert.ok(fields.has('source.ip'));
+  });
+
+  test('should report parse failures without adding fields', () => {
+    const { parsed, fields } = extract(`const query = { term: { 'user.name': 'x' } `);
+    assert.strictEqual(parsed, false);
+    assert.strictEqual(fields.size, 0);
+  });
+
+  test('should fall back to pattern matching for files that fail to parse', () => {
+    const parser = new FieldParser();
+    const fields = parser.extractFieldsFromContent(`const query = { term: { 'user.name': 'x' } `, 'broken.ts');
+    assert.ok(fields.includes('user.name'));
+  });
+});
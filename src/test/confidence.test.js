@@ -0,0 +1,45 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { FieldParser } from '../field-parser.js';
+import { ECSAnalyzer } from '../analyzer.js';
+import { occurrenceConfidence, occurrenceContext } from '../confidence.js';
+
+describe('Confidence scoring', () => {
+  const code = `interface AuditEvent { 'event.action': string }
+const SESSION_FIELD = 'custom.session.id';
+await client.search({ query: { term: { 'user.name': name } } });
+await client.index({ index: 'logs', document: { 'host.name': hostName } });
+const label = 'app.settings.theme';
+`;
+
+  test('should score occurrences by extraction context', () => {
+    for (const extractionMode of ['ast', 'regex']) {
+      const occurrences = new FieldParser({ extractionMode }).extractFieldOccurrences(code, 'src/audit.ts');
+      const contextOf = field => occurrenceContext(occurrences.find(o => o.field === field));
+
+      assert.strictEqual(contextOf('user.name'), 'queryDSL', extractionMode);
+      assert.strictEqual(contextOf('event.action'), 'interface', extractionMode);
+      assert.strictEqual(contextOf('host.name'), 'document', extractionMode);
+    }
+
+    assert.strictEqual(occurrenceConfidence({ extractor: 'ast:queryDSL' }), 0.95);
+    assert.strictEqual(occurrenceConfidence({ extractor: 'quotedString' }), 0.3);
+    assert.strictEqual(occurrenceConfidence({ extractor: 'ast:queryDSL', resolution: 'partial' }), 0.76);
+    assert.strictEqual(occurrenceConfidence({ extractor: 'plugin:qb' }), 0.8);
+    assert.strictEqual(occurrenceConfidence({ extractor: 'plugin:qb', confidence: 0.6 }), 0.6);
+  });
+
+  test('should drop occurrences below --min-confidence and count them', () => {
+    const analyzer = new ECSAnalyzer({ minConfidence: 0.7 });
+    const occurrences = analyzer.parser.extractFieldOccurrences(code, 'src/audit.ts');
+    const kept = analyzer.applyConfidence(occurrences);
+
+    assert.deepStrictEqual(kept.map(o => [o.field, o.confidence]).sort(), [
+      ['event.action', 0.8],
+      ['host.name', 0.75],
+      ['user.name', 0.95]
+    ]);
+    assert.strictEqual(analyzer.stats.lowConfidenceOccurrences, occurrences.length - kept.length);
+    assert.ok(analyzer.stats.lowConfidenceOccurrences >= 1);
+  });
+});
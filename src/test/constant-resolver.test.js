@@ -0,0 +1,184 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { FieldParser } from '../field-parser.js';
+
+describe('ConstantResolver', () => {
+  const root = path.resolve('/project/src');
+  const file = (name) => path.join(root, name);
+
+  const createParser = () => {
+    const parser = new FieldParser();
+    parser.indexFile(`
+      export const USER_NAME_FIELD = 'user.name';
+      export const FIELDS = { SESSION_ID: 'custom.session.id', HOST: { IP: 'host.ip' } } as const;
+      export enum AlertFields { RuleName = 'kibana.alert.rule.name' }
+    `, file('common/constants.ts'));
+    parser.indexFile(`
+      export * from './constants';
+      export { USER_NAME_FIELD as NAME } from './constants';
+    `, file('common/index.ts'));
+    return parser;
+  };
+
+  const occurrencesOf = (occurrences, field) => occurrences.filter(o => o.field === field);
+
+  test('should attribute imported constants to the query where they are used', () => {
+    const parser = createParser();
+    const occurrences = parser.extractFieldOccurrences(`
+      import { USER_NAME_FIELD } from '../common/constants';
+
+      export const findUser = (client, name) => client.search({
+        query: { term: { [USER_NAME_FIELD]: name } },
+        aggs: { users: { terms: { field: USER_NAME_FIELD } } }
+      });
+    `, file('server/find_user.ts'));
+
+    const hits = occurrencesOf(occurrences, 'user.name');
+    assert.strictEqual(hits.length, 2);
+    assert.ok(hits.every(hit => hit.extractor === 'ast:queryDSL'));
+    assert.strictEqual(hits[0].line, 5);
+    assert.strictEqual(hits[0].via.constant, 'USER_NAME_FIELD');
+    assert.strictEqual(hits[0].via.file, file('common/constants.ts'));
+    assert.strictEqual(hits[0].via.line, 2);
+  });
+
+  test('should resolve object members, enums, namespaces and re-exports', () => {
+    const parser = createParser();
+    const occurrences = parser.extractFieldOccurrences(`
+      import * as C from '../common';
+      import { NAME, FIELDS, AlertFields } from '../common/index.js';
+
+      const query = {
+        bool: {
+          filter: [
+            { term: { [FIELDS.SESSION_ID]: id } },
+            { exists: { field: FIELDS.HOST.IP } },
+            { term: { [AlertFields.RuleName]: rule } },
+            { match: { [C.USER_NAME_FIELD]: user } },
+            { match: { [NAME]: user } }
+          ]
+        }
+      };
+    `, file('server/query.ts'));
+
+    assert.strictEqual(occurrencesOf(occurrences, 'custom.session.id')[0].via.constant, 'FIELDS.SESSION_ID');
+    assert.strictEqual(occurrencesOf(occurrences, 'host.ip')[0].via.constant, 'FIELDS.HOST.IP');
+    assert.strictEqual(occurrencesOf(occurrences, 'kibana.alert.rule.name')[0].extractor, 'ast:queryDSL');
+    assert.strictEqual(occurrencesOf(occurrences, 'user.name').length, 2);
+  });
+
+  test('should resolve constants local to the file', () => {
+    const parser = new FieldParser();
+    const fields = parser.extractFieldsFromContent(`
+      const OUTCOME = 'event.outcome';
+      const query = { term: { [OUTCOME]: 'failure' } };
+    `, 'local.js');
+
+    assert.ok(fields.includes('event.outcome'));
+  });
+
+  test('should tag the constant definition separately from its usages', () => {
+    const parser = new FieldParser();
+    const occurrences = parser.extractFieldOccurrences(`export const OUTCOME = 'event.outcome';`, 'constants.js');
+    assert.strictEqual(occurrences[0].extractor, 'ast:constant');
+  });
+
+  test('should leave names declared more than once unresolved', () => {
+    const parser = new FieldParser();
+    const occurrences = parser.extractFieldOccurrences(`
+      function a() { const FIELD = 'user.name'; return FIELD; }
+      function b() { const FIELD = 'host.name'; return { term: { [FIELD]: 'x' } }; }
+    `, 'shadowed.js');
+
+    assert.ok(!occurrences.some(o => o.extractor === 'ast:queryDSL'));
+  });
+
+  test('should evaluate template literals and concatenation built from constants', () => {
+    const parser = new FieldParser();
+    const occurrences = parser.extractFieldOccurrences(`
+      const ALERT_NAMESPACE = 'kibana.alert';
+      const query = { term: { [\`\${ALERT_NAMESPACE}.rule.name\`]: 'x' } };
+      const uuid = read(ALERT_NAMESPACE + '.rule.' + 'uuid');
+    `, 'alerts.ts');
+
+    const name = occurrencesOf(occurrences, 'kibana.alert.rule.name')[0];
+    assert.strictEqual(name.extractor, 'ast:queryDSL');
+    assert.strictEqual(name.resolution, 'resolved');
+
+    const uuid = occurrencesOf(occurrences, 'kibana.alert.rule.uuid')[0];
+    assert.strictEqual(uuid.extractor, 'ast:concatenation');
+    assert.strictEqual(uuid.resolution, 'resolved');
+    // The pieces of the concatenation are not fields on their own
+    assert.ok(!occurrences.some(o => o.field === 'uuid' || o.field === '.rule.'));
+  });
+
+  test('should not report constants only used as a prefix of longer names', () => {
+    const parser = new FieldParser();
+    parser.indexFile(`
+      export const ALERT_NAMESPACE = 'kibana.alert';
+      export const SPACE_IDS = 'kibana.space_ids';
+      export const ALERT_RULE_NAME = \`\${ALERT_NAMESPACE}.rule.name\`;
+    `, file('common/alerts.ts'));
+    parser.indexFile(`
+      import { ALERT_NAMESPACE, SPACE_IDS } from '../common/alerts';
+      const query = { term: { [SPACE_IDS]: 'default' } };
+      const uuid = read(ALERT_NAMESPACE + '.rule.uuid');
+    `, file('server/alerts.ts'));
+
+    const fields = parser.extractFieldOccurrences(`
+      export const ALERT_NAMESPACE = 'kibana.alert';
+      export const SPACE_IDS = 'kibana.space_ids';
+      export const ALERT_RULE_NAME = \`\${ALERT_NAMESPACE}.rule.name\`;
+    `, file('common/alerts.ts')).map(o => o.field);
+
+    assert.deepStrictEqual(fields.sort(), ['kibana.alert.rule.name', 'kibana.space_ids']);
+    // Never read anywhere: still reported at its definition
+    const unused = parser.extractFieldOccurrences(`export const OUTCOME = 'event.outcome';`, file('common/outcome.ts'));
+    assert.deepStrictEqual(unused.map(o => o.field), ['event.outcome']);
+
+    // Reads are kept current as files are re-indexed: a direct read makes it a field again
+    parser.indexFile(`
+      import { ALERT_NAMESPACE } from '../common/alerts';
+      const query = { exists: { field: ALERT_NAMESPACE } };
+    `, file('server/alerts.ts'));
+    assert.strictEqual(parser.constantResolver.isPrefixConstant(file('common/alerts.ts'), 'ALERT_NAMESPACE'), false);
+  });
+
+  test('should report partially resolved names as field patterns', () => {
+    const parser = new FieldParser();
+    const occurrences = parser.extractFieldOccurrences(`
+      const ALERT_NAMESPACE = 'kibana.alert';
+      export const buildQuery = (kind, prefix) => ({
+        bool: {
+          filter: [
+            { exists: { field: \`\${ALERT_NAMESPACE}.\${kind}.name\` } },
+            { exists: { field: prefix + '.ip' } }
+          ]
+        }
+      });
+      const url = \`\${basePath}/api/alerts\`;
+    `, 'patterns.ts');
+
+    const pattern = occurrencesOf(occurrences, 'kibana.alert.*.name')[0];
+    assert.strictEqual(pattern.resolution, 'partial');
+    assert.strictEqual(pattern.line, 6);
+    assert.strictEqual(occurrencesOf(occurrences, '*.ip')[0].resolution, 'partial');
+    assert.ok(!occurrences.some(o => o.field.includes('/api/')));
+  });
+
+  test('should leave patterns with no part from a constant to bare strings', () => {
+    const code = `
+      const backup = filePath + '.bak';
+      const host = \`\${sub}.example.com\`;
+      const route = 'api.' + version;
+      const value = obj[\`\${prefix}.x\`];
+      const query = { exists: { field: prefix + '.ip' } };
+    `;
+    const fields = new FieldParser().extractFieldOccurrences(code, 'strings.ts').map(o => o.field);
+    assert.deepStrictEqual(fields, ['*.ip']);
+
+    const bare = new FieldParser({ bareStrings: true }).extractFieldOccurrences(code, 'strings.ts');
+    assert.ok(['*.bak', '*.example.com', 'api.*', '*.x'].every(field => bare.some(o => o.field === field && o.extractor === 'ast:stringLiteral')));
+  });
+});
@@ -0,0 +1,179 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ECSFieldCatalogue, ECSSchemaLoader } from '../ecs-catalogue.js';
+import { FieldParser } from '../field-parser.js';
+
+describe('ECSFieldCatalogue', () => {
+  const flatYAML = `'@timestamp':
+  flat_name: '@timestamp'
+  level: core
+  type: date
+  short: Date/time when the event originated.
+  description: Date/time when the event originated.
+event.kind:
+  flat_name: event.kind
+  level: core
+  type: keyword
+  short: The kind of the event.
+  description: The kind of the event.
+  allowed_values:
+  - name: alert
+    description: An alert.
+  - name: event
+    description: An event.
+user.name:
+  flat_name: user.name
+  level: core
+  type: keyword
+  short: Short name or login of the user.
+  description: Short name or login of the user.
+  multi_fields:
+  - flat_name: user.name.text
+    name: text
+    type: match_only_text
+process.pgid:
+  flat_name: process.pgid
+  level: extended
+  type: long
+  short: Deprecated identifier of the group of processes the process belongs to.
+  description: Deprecated for removal in next major version release.
+`;
+
+  async function withDirectory(files, callback) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ecs-schema-'));
+    try {
+      for (const [file, content] of Object.entries(files)) {
+        await fs.outputFile(path.join(directory, file), content);
+      }
+      return await callback(directory);
+    } finally {
+      await fs.remove(directory);
+    }
+  }
+
+  test('should load ecs_flat.yml with types, levels, allowed values and multi-fields', async () => {
+    await withDirectory({ 'generated/ecs/ecs_flat.yml': flatYAML }, async directory => {
+      const loader = new ECSSchemaLoader();
+      const catalogue = await loader.load(path.join(directory, 'generated/ecs/ecs_flat.yml'));
+
+      assert.deepStrictEqual([...catalogue], ['@timestamp', 'event.kind', 'user.name', 'user.name.text', 'process.pgid']);
+      assert.ok(catalogue instanceof Set);
+      assert.strictEqual(catalogue.get('event.kind').type, 'keyword');
+      assert.strictEqual(catalogue.get('event.kind').fieldSet, 'event');
+      assert.deepStrictEqual(catalogue.get('event.kind').allowedValues.map(value => value.name), ['alert', 'event']);
+      assert.deepStrictEqual(catalogue.get('user.name').multiFields, [{ name: 'user.name.text', type: 'match_only_text' }]);
+      assert.strictEqual(catalogue.get('user.name.text').multiFieldOf, 'user.name');
+      assert.strictEqual(catalogue.get('@timestamp').fieldSet, 'base');
+      assert.strictEqual(catalogue.get('process.pgid').deprecated, true);
+      assert.strictEqual(catalogue.get('user.name').deprecated, false);
+      // A schema's deprecated property wins over the description's wording
+      const flagged = new ECSFieldCatalogue().addFlat({ 'host.pid': { type: 'long', deprecated: '8.1.0', description: 'Process id.' } });
+      assert.strictEqual(flagged.get('host.pid').deprecated, true);
+
+      // Generator output directories are read through their ecs_flat.yml
+      assert.strictEqual((await loader.load(path.join(directory, 'generated/ecs'))).size, 5);
+    });
+  });
+
+  test('should load ecs_nested.yml, skipping reuse-only field sets', async () => {
+    const nested = `base:
+  name: base
+  root: true
+  fields:
+    '@timestamp': { flat_name: '@timestamp', level: core, type: date }
+geo:
+  name: geo
+  reusable: { top_level: false, expected: [{ at: source, as: geo }] }
+  fields:
+    geo.city_name: { flat_name: geo.city_name, level: core, type: keyword }
+source:
+  name: source
+  fields:
+    source.ip: { flat_name: source.ip, level: core, type: ip }
+    source.geo.city_name: { flat_name: source.geo.city_name, level: core, type: keyword }
+`;
+    await withDirectory({ 'ecs_nested.yml': nested }, async directory => {
+      const catalogue = await new ECSSchemaLoader().load(path.join(directory, 'ecs_nested.yml'));
+
+      assert.deepStrictEqual([...catalogue], ['@timestamp', 'source.ip', 'source.geo.city_name']);
+      assert.strictEqual(catalogue.get('source.ip').type, 'ip');
+    });
+  });
+
+  test('should build flat names from a schemas/ checkout, expanding reuses', async () => {
+    const files = {
+      'schemas/base.yml': `- name: base
+  root: true
+  fields:
+    - { name: '@timestamp', level: core, type: date }
+`,
+      'schemas/geo.yml': `- name: geo
+  reusable:
+    top_level: false
+    expected: [host, { at: source, as: geo }]
+  fields:
+    - { name: city_name, level: core, type: keyword }
+`,
+      'schemas/group.yml': `- name: group
+  reusable:
+    top_level: true
+    order: 1
+    expected: [user]
+  fields:
+    - { name: id, level: extended, type: keyword }
+`,
+      'schemas/user.yml': `- name: user
+  reusable:
+    top_level: true
+    expected: [source, { at: user, as: target }]
+  fields:
+    - name: name
+      level: core
+      type: keyword
+      multi_fields: [{ name: text, type: match_only_text }]
+`,
+      'schemas/host.yml': '- { name: host, fields: [{ name: hostname, level: core, type: keyword }] }\n',
+      'schemas/source.yml': '- { name: source, fields: [{ name: ip, level: core, type: ip }] }\n',
+      'schemas/acme.yml': '- { name: acme, fields: [{ name: tenant.id, level: custom, type: keyword }] }\n'
+    };
+    await withDirectory(files, async directory => {
+      const catalogue = await new ECSSchemaLoader().load(directory);
+
+      assert.deepStrictEqual([...catalogue].sort(), [
+        '@timestamp',
+        'acme.tenant.id',
+        'group.id',
+        'host.geo.city_name',
+        'host.hostname',
+        'source.geo.city_name',
+        'source.ip',
+        'source.user.group.id',
+        'source.user.name',
+        'source.user.name.text',
+        'user.group.id',
+        'user.name',
+        'user.name.text',
+        'user.target.name',
+        'user.target.name.text'
+      ]);
+      assert.strictEqual(catalogue.get('acme.tenant.id').level, 'custom');
+      assert.strictEqual(catalogue.get('source.user.name').type, 'keyword');
+    });
+  });
+
+  test('should keep parsing the fields CSV into a catalogue', () => {
+    const parser = new FieldParser();
+    const catalogue = parser.parseECSFields('Field,Type,Level,Description\nuser.name,keyword,core,Short name of the user.\nhost.ip,ip,core,Host IP address.\n');
+
+    assert.ok(catalogue.has('user.name'));
+    assert.strictEqual(catalogue.size, 2);
+    assert.deepStrictEqual(
+      [catalogue.get('host.ip').type, catalogue.get('host.ip').level, catalogue.get('host.ip').description],
+      ['ip', 'core', 'Host IP address.']
+    );
+    assert.strictEqual(parser.isECSField('user.name', catalogue), true);
+  });
+});
@@ -0,0 +1,120 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ECSFetcher } from '../ecs-fetcher.js';
+import { ECSVersionComparator } from '../ecs-versions.js';
+import { FieldParser } from '../field-parser.js';
+import { ECSAnalyzer } from '../analyzer.js';
+
+describe('ECS versions', () => {
+  const pinnedCSV = `ECS_Version,Field,Type,Description
+8.11.0,user.name,keyword,Short name or login of the user.
+8.11.0,process.pgid,long,Deprecated identifier of the group of processes the process belongs to.
+8.11.0,service.node.role,keyword,Role of a service node.
+8.11.0,host.name,keyword,Name of the host.
+`;
+  const targetCSV = `ECS_Version,Field,Type,Description
+9.0.0,user.name,keyword,Short name or login of the user.
+9.0.0,service.node.role,keyword,Deprecated role of a service node.
+9.0.0,host.name,keyword,Name of the host.
+9.0.0,gen_ai.request.model.id,keyword,The model used by the request.
+`;
+
+  test('should read pinned versions from the cache, then the bundled snapshot', async () => {
+    const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ecs-cache-'));
+    try {
+      const fetcher = new ECSFetcher({ cacheDir });
+      await fs.outputFile(path.join(cacheDir, '9.0', 'fields.csv'), targetCSV);
+
+      assert.strictEqual(await fetcher.fetchVersionFields('9.0'), targetCSV);
+      const snapshot = new FieldParser().parseECSFields(await fetcher.fetchVersionFields('8.11'));
+      assert.ok(snapshot.has('user.name'));
+      assert.strictEqual(snapshot.get('process.pgid').deprecated, true);
+      assert.strictEqual(snapshot.get('user.name').deprecated, false);
+      await assert.rejects(fetcher.fetchVersionFields('latest'), /Invalid ECS version/);
+    } finally {
+      await fs.remove(cacheDir);
+    }
+  });
+
+  test('should only use the bundled snapshot for the release it holds, unless offline', async () => {
+    const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ecs-cache-'));
+    const log = console.log;
+    const printed = [];
+    try {
+      const fetcher = new ECSFetcher({ cacheDir });
+      const requested = [];
+      fetcher.download = async url => {
+        requested.push(url);
+        throw new Error('offline');
+      };
+      console.log = message => printed.push(message);
+
+      const snapshot = await fetcher.fetchVersionFields('8.11.0');
+      assert.deepStrictEqual(requested, []);
+      assert.strictEqual(await fetcher.fetchVersionFields('8.11.3'), snapshot);
+      assert.deepStrictEqual(requested, ['https://raw.githubusercontent.com/elastic/ecs/v8.11.3/generated/csv/fields.csv']);
+      assert.ok(printed.some(message => message.includes('ECS 8.11.3') && message.includes('bundled ECS 8.11.0 snapshot')));
+      await assert.rejects(fetcher.fetchVersionFields('7.17'), /Failed to fetch ECS 7.17 fields: offline/);
+    } finally {
+      console.log = log;
+      await fs.remove(cacheDir);
+    }
+  });
+
+  test('should read deprecation from a Deprecated column before the description', () => {
+    const catalogue = new FieldParser().parseECSFields(`Field,Type,Deprecated,Description
+process.pgid,long,8.0.0,Identifier of the group of processes the process belongs to.
+service.node.role,keyword,false,Deprecated for removal in next major version release.
+host.name,keyword,,Deprecated wording without metadata.
+`);
+
+    assert.strictEqual(catalogue.get('process.pgid').deprecated, true);
+    assert.strictEqual(catalogue.get('service.node.role').deprecated, false);
+    assert.strictEqual(catalogue.get('host.name').deprecated, true);
+  });
+
+  test('should download release branches and tags', () => {
+    const fetcher = new ECSFetcher();
+    assert.strictEqual(fetcher.versionUrl('8.11'), 'https://raw.githubusercontent.com/elastic/ecs/8.11/generated/csv/fields.csv');
+    assert.strictEqual(fetcher.versionUrl('8.11.0'), 'https://raw.githubusercontent.com/elastic/ecs/v8.11.0/generated/csv/fields.csv');
+    assert.strictEqual(fetcher.cachePath('8.11'), path.join('.ecs-cache', '8.11', 'fields.csv'));
+  });
+
+  test('should classify referenced fields added, deprecated or removed by the target version', () => {
+    const parser = new FieldParser();
+    const changes = new ECSVersionComparator().compare(
+      parser.parseECSFields(pinnedCSV),
+      parser.parseECSFields(targetCSV),
+      ['user.name', 'process.pgid', 'service.node.role', 'gen_ai.request.model.id', 'custom.flag']
+    );
+
+    assert.deepStrictEqual(changes, {
+      added: ['gen_ai.request.model.id'],
+      deprecated: ['service.node.role'],
+      removed: ['process.pgid']
+    });
+  });
+
+  test('should report upgrade impact with usage and locations', () => {
+    const analyzer = new ECSAnalyzer({ ecsVersion: '8.11', targetEcsVersion: '9.0' });
+    analyzer.versionFields = {
+      pinned: analyzer.parser.parseECSFields(pinnedCSV),
+      target: analyzer.parser.parseECSFields(targetCSV)
+    };
+    analyzer.stats.coreFieldCounts.set('process.pgid', 3).set('host.name', 1);
+    analyzer.stats.customFieldCounts.set('gen_ai.request.model.id', 2);
+    analyzer.stats.fieldLocations.set('process.pgid', [{ file: 'src/proc.ts', line: 4, column: 9 }]);
+
+    const changes = analyzer.summarizeVersionChanges();
+
+    assert.strictEqual(changes.pinnedVersion, '8.11');
+    assert.strictEqual(changes.targetVersion, '9.0');
+    assert.deepStrictEqual(changes.removed, [{ name: 'process.pgid', count: 3, locations: [{ file: 'src/proc.ts', line: 4, column: 9 }] }]);
+    assert.deepStrictEqual(changes.added.map(field => [field.name, field.count]), [['gen_ai.request.model.id', 2]]);
+    assert.deepStrictEqual(changes.deprecated, []);
+    assert.strictEqual(new ECSAnalyzer().summarizeVersionChanges(), null);
+  });
+});
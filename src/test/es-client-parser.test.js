@@ -1,6 +1,8 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
 import { ESClientParser } from '../es-client-parser.js';
+import { FieldCollector } from '../field-collector.js';
+import { FieldParser } from '../field-parser.js';
 import fs from 'fs-extra';
 import path from 'path';
 
@@ -120,6 +122,102 @@ describe('ESClientParser', () => {
       assert.ok(fields.includes('user.name'));
       assert.ok(fields.includes('event.action'));
     });
+
+    test('should extract returned fields, highlighted fields and runtime_mappings keys', () => {
+      const content = `
+        await client.search({
+          _source: ['host.name', 'user.*'],
+          fields: [{ field: 'event.created', format: 'strict_date' }],
+          stored_fields: ['file.path'],
+          collapse: { field: 'user.id', inner_hits: { name: 'latest' } },
+          highlight: { fields: { message: {}, 'process.command_line': { number_of_fragments: 1 } } },
+          runtime_mappings: { 'event.day_of_week': { type: 'keyword', script: { source: 'emit(1)' } } }
+        });
+        const filter = { _source: { includes: ['source.ip'], excludes: ['destination.*'] } };
+      `;
+
+      const fields = new FieldCollector('search.ts', content);
+      parser.extractFromFieldRetrieval(content, fields);
+      assert.deepStrictEqual(fields.occurrences.map(o => [o.field, o.extractor]), [
+        ['host.name', 'extractFromFieldRetrieval'],
+        ['user.*', 'extractFromFieldRetrieval'],
+        ['event.created', 'extractFromFieldRetrieval'],
+        ['file.path', 'extractFromFieldRetrieval'],
+        ['source.ip', 'extractFromFieldRetrieval'],
+        ['destination.*', 'extractFromFieldRetrieval'],
+        ['user.id', 'extractFromFieldRetrieval'],
+        ['message', 'extractFromFieldRetrieval'],
+        ['process.command_line', 'extractFromFieldRetrieval'],
+        ['event.day_of_week', 'extractFromRuntimeMappings']
+      ]);
+      assert.strictEqual(fields.occurrences[9].access, 'write');
+    });
+
+    test('should report the same returned fields in regex and AST modes', () => {
+      const content = `await client.search({
+  _source: { includes: ['source.ip', 'user.*'], excludes: ['destination.*'] },
+  docvalue_fields: [{ field: '@timestamp', format: 'epoch_millis' }],
+  stored_fields: ['file.path', 'not a field'],
+  collapse: { field: 'user.id' }
+});
+`;
+      const retrieved = mode => new FieldParser({ extractionMode: mode }).extractFieldOccurrences(content, 'search.ts')
+        .map(o => o.field).sort();
+
+      assert.deepStrictEqual(retrieved('ast'), ['@timestamp', 'destination.*', 'file.path', 'source.ip', 'user.*', 'user.id']);
+      assert.deepStrictEqual(retrieved('regex'), retrieved('ast'));
+    });
+
+    test('should flatten nested document bodies', () => {
+      const content = `
+        await client.index({
+          index: 'logs',
+          document: {
+            'user.name': name,
+            user: { id, roles: ['admin'] },
+            host: { os: { name: 'linux' } },
+            '@timestamp': new Date(now).toISOString(),
+            hosts: [{ hostname: 'a' }, { hostname: 'b' }]
+          }
+        });
+        await client.bulk({
+          operations: [{ update: { _id: id } }, { doc: { service: { name: 'api' } } }]
+        });
+      `;
+
+      const fields = new FieldCollector('index.ts', content);
+      parser.extractFromIndexOperations(content, fields);
+      parser.extractFromBulkOperations(content, fields);
+      assert.deepStrictEqual(fields.occurrences.map(o => [o.field, o.line]), [
+        ['user.name', 5],
+        ['user.id', 6],
+        ['user.roles', 6],
+        ['host.os.name', 7],
+        ['@timestamp', 8],
+        ['hosts.hostname', 9],
+        ['hosts.hostname', 9],
+        ['service.name', 13]
+      ]);
+    });
+
+    test('should extract v8 client calls without body on any receiver chain', () => {
+      const content = `
+        await esClient.asCurrentUser.index({
+          index: 'logs',
+          document: { 'event.action': 'login', 'source.ip': ip }
+        });
+        await ctx.core.elasticsearch.client.asInternalUser.update({
+          index: 'logs', id, doc: { 'service.name': 'api' }
+        });
+        await client.bulk({ operations: [{ index: { _index: 'logs' } }, { 'file.path': path }] });
+        await client.helpers.bulk({ datasource: [{ 'process.name': 'bash' }], onDocument });
+      `;
+
+      const fields = parser.extractESClientFields(content, 'test.ts');
+      for (const field of ['event.action', 'source.ip', 'service.name', 'file.path', 'process.name']) {
+        assert.ok(fields.includes(field), field);
+      }
+    });
   });
 
   describe('extractFieldsFromTypescriptInterfaces', () => {
@@ -181,6 +279,109 @@ describe('ESClientParser', () => {
     });
   });
 
+  describe('extractFromESQL', () => {
+    const occurrencesOf = (query) => {
+      const fields = new FieldCollector('query.esql', query);
+      parser.extractFromESQL(query, fields);
+      return fields.occurrences;
+    };
+
+    test('should extract fields from each processing command', () => {
+      const occurrences = occurrencesOf(`FROM logs-* METADATA _id
+| WHERE host.name == "web-01" AND NOT event.outcome IS NULL AND TO_LOWER(user.domain) LIKE "corp*"
+| EVAL duration_ms = event.duration / 1000000, ts = @timestamp::datetime
+| STATS total = COUNT(*), avg_duration = AVG(duration_ms) BY user.name, host.os.type
+| ENRICH hosts_policy ON host.name WITH owner = host_owner.email
+| RENAME user.name AS uname
+| SORT total DESC NULLS LAST, \`source.ip\`
+| KEEP uname, host.*, owner
+| DROP process.*`);
+
+      assert.deepStrictEqual(occurrences.map(o => o.field), [
+        'host.name', 'event.outcome', 'user.domain', 'event.duration', '@timestamp',
+        'user.name', 'host.os.type', 'host.name', 'host_owner.email', 'user.name',
+        'source.ip', 'host.*', 'process.*'
+      ]);
+      assert.ok(occurrences.every(o => o.language === 'esql' && o.extractor === 'extractFromESQL'));
+      assert.deepStrictEqual([occurrences[0].line, occurrences[0].column], [2, 9]);
+    });
+
+    test('should ignore strings, functions and columns defined by the query', () => {
+      const fields = occurrencesOf('FROM logs | EVAL total = destination.bytes + 1 | WHERE total > 10 AND message == "user.name" | STATS COUNT_DISTINCT(client.ip)')
+        .map(o => o.field);
+
+      assert.deepStrictEqual(fields, ['destination.bytes', 'message', 'client.ip']);
+    });
+
+    test('should find ES|QL queries in client calls', () => {
+      const content = `const r = await client.esql.query({ query: 'FROM logs-* | WHERE host.name == "x" | STATS count() BY user.name' });`;
+      const fields = parser.extractESClientFields(content, 'esql.js');
+      assert.ok(fields.includes('host.name'));
+      assert.ok(fields.includes('user.name'));
+    });
+  });
+
+  describe('extractFromQueryString', () => {
+    const fieldsOf = (query, language = 'kql') => {
+      const fields = new FieldCollector('query.txt', query);
+      parser.extractFromQueryString(query, fields, 0, language);
+      return fields.occurrences;
+    };
+
+    test('should extract KQL field references, including nested and wildcard fields', () => {
+      const occurrences = fieldsOf('host.name: "web-01" and not event.outcome: failure and user:{ name: "alice" and domain: corp } or host.*: x and process.pid >= 4');
+
+      assert.deepStrictEqual(occurrences.map(o => o.field), [
+        'host.name', 'event.outcome', 'user.name', 'user.domain', 'host.*', 'process.pid'
+      ]);
+      assert.ok(occurrences.every(o => o.language === 'kql'));
+      assert.strictEqual(occurrences[1].column, 29);
+    });
+
+    test('should extract Lucene field references and _exists_ targets', () => {
+      const fields = fieldsOf('_exists_:user.email AND -event.code:4625 AND +source.ip:[10.0.0.0 TO 10.255.255.255] AND message:"a:b"', 'lucene')
+        .map(o => o.field);
+
+      assert.deepStrictEqual(fields, ['user.email', 'event.code', 'source.ip', 'message']);
+    });
+
+    test('should find kuery and query_string queries in code', () => {
+      const content = `
+        const filter = { kuery: 'host.name: "x"' };
+        const query = { query_string: { query: "event.action:login", default_field: 'message' } };
+        const search = { query: 'user.id: 1', language: 'kuery' };
+      `;
+      const fields = parser.extractESClientFields(content, 'queries.js');
+      ['host.name', 'event.action', 'user.id'].forEach(field => assert.ok(fields.includes(field), field));
+    });
+  });
+
+  describe('extractFromEQL', () => {
+    test('should extract fields from sequences, join keys, until and function arguments', () => {
+      const query = `sequence by host.id with maxspan=5m
+  [process where process.name == "cmd.exe" and process.parent.name : "winword.exe"] by process.entity_id
+  [network where stringContains(process.command_line, "http") and ?destination.port in (80, 443)] by process.entity_id
+until [process where event.type == "end"]
+| head 10`;
+      const fields = new FieldCollector('rule.eql', query);
+      parser.extractFromEQL(query, fields);
+
+      assert.deepStrictEqual(Array.from(fields), [
+        'host.id', 'event.category', 'process.name', 'process.parent.name', 'process.entity_id',
+        'process.command_line', 'destination.port', 'event.type'
+      ]);
+      assert.ok(fields.occurrences.every(o => o.language === 'eql'));
+      const port = fields.occurrences.find(o => o.field === 'destination.port');
+      assert.deepStrictEqual([port.line, port.column], [3, 68]);
+    });
+
+    test('should find EQL queries in eql.search calls', () => {
+      const content = `await client.eql.search({ index: 'logs-*', query: 'any where file.path like~ "*.exe"' });`;
+      const fields = parser.extractESClientFields(content, 'eql.js');
+      assert.deepStrictEqual(fields, ['file.path']);
+    });
+  });
+
   describe('integration test with sample TypeScript file', async () => {
     test('should extract comprehensive fields from Kibana service file', async () => {
       // Read the sample TypeScript file we created
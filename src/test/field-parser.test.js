@@ -58,7 +58,7 @@ describe('FieldParser', () => {
         const field = 'process.parent.pid';
       `;
 
-      const fields = parser.extractFieldsFromContent(jsContent, 'test.js');
+      const fields = new FieldParser({ extractionMode: 'regex' }).extractFieldsFromContent(jsContent, 'test.js');
       assert.ok(fields.includes('user.name'));
       assert.ok(fields.includes('user.email'));
       assert.ok(fields.includes('@timestamp'));
@@ -66,6 +66,21 @@ describe('FieldParser', () => {
       // Verify that unquoted property access is NOT detected
       const processParentPidCount = fields.filter(f => f === 'process.parent.pid').length;
       assert.strictEqual(processParentPidCount, 1, 'Only quoted process.parent.pid should be detected');
+
+      // AST mode only reports literals in field positions: a `field` value and a constant
+      assert.deepStrictEqual(parser.extractFieldsFromContent(jsContent, 'test.js').sort(), ['process.parent.pid', 'user.name']);
+    });
+
+    test('should leave bare string literals out of AST results unless asked for', () => {
+      const code = "router.get('internal.alerts.route', handler);\nconst labels = { 'custom.session.id': id };\n";
+      const occurrences = parser.extractFieldOccurrences(code, 'src/routes.ts');
+      const withBareStrings = new FieldParser({ bareStrings: true }).extractFieldOccurrences(code, 'src/routes.ts');
+
+      assert.deepStrictEqual(occurrences.map(o => [o.field, o.extractor]), [['custom.session.id', 'ast:objectKey']]);
+      assert.deepStrictEqual(withBareStrings.map(o => [o.field, o.extractor]), [
+        ['internal.alerts.route', 'ast:stringLiteral'],
+        ['custom.session.id', 'ast:objectKey']
+      ]);
     });
 
     test('should extract fields from JSON content', () => {
@@ -128,6 +143,193 @@ describe('FieldParser', () => {
     });
   });
 
+  describe('extractFieldOccurrences', () => {
+    const content = [
+      "const query = {",
+      "  term: { 'custom.session.id': id }",
+      "};",
+      "track('custom.session.id');"
+    ].join('\n');
+
+    test('should record file, line, column and extractor for each occurrence', () => {
+      const occurrences = new FieldParser({ bareStrings: true }).extractFieldOccurrences(content, 'src/session.ts')
+        .filter(o => o.field === 'custom.session.id');
+
+      assert.strictEqual(occurrences.length, 2);
+      assert.deepStrictEqual(occurrences[0], {
+        field: 'custom.session.id',
+        file: 'src/session.ts',
+        line: 2,
+        column: 12,
+        extractor: 'ast:queryDSL'
+      });
+      assert.strictEqual(occurrences[1].line, 4);
+      assert.strictEqual(occurrences[1].extractor, 'ast:stringLiteral');
+    });
+
+    test('should attribute pattern-based hits to the most specific extractor', () => {
+      const regexParser = new FieldParser({ extractionMode: 'regex' });
+      const occurrences = regexParser.extractFieldOccurrences(content, 'src/session.js')
+        .filter(o => o.field === 'custom.session.id');
+
+      assert.strictEqual(occurrences.length, 2);
+      assert.strictEqual(occurrences[0].extractor, 'extractFromQueryDSL');
+      assert.strictEqual(occurrences[0].line, 2);
+      assert.strictEqual(occurrences[0].column, 12);
+      assert.strictEqual(occurrences[1].extractor, 'quotedString');
+      assert.strictEqual(occurrences[1].line, 4);
+    });
+
+    test('should locate fields found in parsed JSON', () => {
+      const json = '{\n  "mappings": {\n    "properties": {\n      "custom.session.id": { "type": "keyword" }\n    }\n  }\n}';
+      const [occurrence] = parser.extractFieldOccurrences(json, 'template.json');
+
+      assert.strictEqual(occurrence.field, 'custom.session.id');
+      assert.strictEqual(occurrence.line, 4);
+      assert.strictEqual(occurrence.extractor, 'extractFromMappingDefinition');
+    });
+
+    test('should tag ES|QL references in code, JSON and Markdown fences', () => {
+      const code = parser.extractFieldOccurrences(
+        'const q = `FROM ${index} | WHERE event.outcome == "failure" | KEEP source.ip`;', 'esql.ts');
+      assert.deepStrictEqual(code.map(o => [o.field, o.column, o.extractor]), [
+        ['event.outcome', 34, 'ast:esql'],
+        ['source.ip', 68, 'ast:esql']
+      ]);
+
+      const json = parser.extractFieldOccurrences('{ "query": "FROM logs-* | STATS count() BY host.name" }', 'query.json');
+      assert.ok(json.some(o => o.field === 'host.name' && o.language === 'esql' && o.column === 44));
+
+      const markdown = parser.extractFieldOccurrences('# Hunting\n\n```esql\nFROM logs-*\n| WHERE process.name == "cmd"\n```\n', 'hunt.md');
+      assert.deepStrictEqual(markdown.filter(o => o.language === 'esql').map(o => [o.field, o.line]), [['process.name', 5]]);
+    });
+
+    test('should tag KQL and Lucene references in code and JSON', () => {
+      const code = parser.extractFieldOccurrences([
+        "const RULE_ID = 'kibana.alert.rule.uuid';",
+        'const filter = { kuery: `${RULE_ID}: "${id}" and host.name: x` };',
+        "const query = { query_string: { query: 'event.action:login' } };"
+      ].join('\n'), 'filters.ts').filter(o => o.extractor === 'ast:queryString');
+
+      assert.deepStrictEqual(code.map(o => [o.field, o.line, o.column, o.language]), [
+        ['kibana.alert.rule.uuid', 2, 28, 'kql'],
+        ['host.name', 2, 50, 'kql'],
+        ['event.action', 3, 41, 'lucene']
+      ]);
+
+      const json = parser.extractFieldOccurrences('{ "query": "process.name: cmd.exe", "language": "kuery" }', 'rule.json');
+      assert.ok(json.some(o => o.field === 'process.name' && o.language === 'kql' && o.column === 13));
+    });
+
+    test('should tag EQL references in eql.search calls, rule objects and .eql files', () => {
+      const code = parser.extractFieldOccurrences([
+        'await esClient.eql.search({',
+        "  index: 'logs-*',",
+        "  query: 'process where process.name == \"cmd.exe\"'",
+        '});',
+        "const rule = { language: 'eql', query: 'file where file.name : \"a.exe\"' };"
+      ].join('\n'), 'hunt.ts').filter(o => o.language === 'eql');
+
+      assert.deepStrictEqual(code.map(o => [o.field, o.line, o.extractor]), [
+        ['event.category', 3, 'ast:eql'],
+        ['process.name', 3, 'ast:eql'],
+        ['event.category', 5, 'ast:eql'],
+        ['file.name', 5, 'ast:eql']
+      ]);
+
+      const file = parser.extractFieldOccurrences('registry where registry.path : "*\\\\Run\\\\*"', 'persistence.eql');
+      assert.deepStrictEqual(file.map(o => o.field), ['event.category', 'registry.path']);
+    });
+
+    test('should tag returned fields from source filtering, the fields API and highlight', () => {
+      const code = parser.extractFieldOccurrences([
+        'await esClient.asCurrentUser.search({',
+        "  _source: { includes: ['host.*'], excludes: ['agent.ephemeral_id'] },",
+        "  docvalue_fields: [{ field: '@timestamp', format: 'epoch_millis' }],",
+        "  stored_fields: ['file.path'],",
+        "  collapse: { field: 'user.id' },",
+        "  highlight: { fields: { 'process.command_line': {} } },",
+        "  sort: [{ 'event.sequence': 'asc' }],",
+        '  search_after: cursor,',
+        "  query: { multi_match: { query: text, fields: ['user.full_name'] } }",
+        '});'
+      ].join('\n'), 'search.ts');
+
+      assert.deepStrictEqual(code.filter(o => o.extractor === 'ast:retrieval').map(o => [o.field, o.line]), [
+        ['host.*', 2],
+        ['agent.ephemeral_id', 2],
+        ['@timestamp', 3],
+        ['file.path', 4],
+        ['user.id', 5],
+        ['process.command_line', 6]
+      ]);
+      assert.ok(code.some(o => o.field === 'event.sequence'));
+      assert.ok(code.some(o => o.field === 'user.full_name' && o.extractor === 'ast:queryDSL'));
+      assert.ok(!code.some(o => o.field === 'epoch_millis'));
+
+      const json = parser.extractFieldOccurrences(JSON.stringify({
+        _source: ['user.*'],
+        docvalue_fields: [{ field: 'event.created', format: 'strict_date' }],
+        highlight: { fields: [{ message: {} }] }
+      }), 'request.json');
+      assert.deepStrictEqual(json.filter(o => o.extractor === 'extractFromFieldRetrieval').map(o => o.field),
+        ['user.*', 'event.created', 'message']);
+    });
+
+    test('should record document reads in pattern mode', () => {
+      const regexParser = new FieldParser({ extractionMode: 'regex' });
+      const occurrences = regexParser.extractFieldOccurrences([
+        'const name = hit._source.user.name.toLowerCase();',
+        "const ip = hit._source?.['host.ip'];",
+        'const { process: { pid } } = hit._source;',
+        'hit._source.event.kind = "alert";'
+      ].join('\n'), 'hits.js').filter(o => o.extractor === 'extractFromDocumentAccess');
+
+      assert.deepStrictEqual(occurrences.map(o => [o.field, o.line, o.access]), [
+        ['user.name', 1, 'read'],
+        ['host.ip', 2, 'read'],
+        ['event.kind', 4, 'write'],
+        ['process.pid', 3, 'read']
+      ]);
+    });
+
+    test('should route Markdown code fences by info string and skip prose', () => {
+      const markdown = [
+        '# Setup',
+        '',
+        'Requires "plugin.version" 8.x and the "custom.config.key" setting.',
+        '',
+        '```ts',
+        "await client.search({ query: { term: { 'user.name': name } } });",
+        '```',
+        '',
+        '```json',
+        '{ "mappings": { "properties": { "custom.session.id": { "type": "keyword" } } } }',
+        '```',
+        '',
+        '```kql',
+        'event.action: login',
+        '```',
+        '',
+        '```python',
+        "print('not.a.field')",
+        '```'
+      ].join('\n');
+
+      const occurrences = parser.extractFieldOccurrences(markdown, 'README.md');
+      assert.deepStrictEqual(occurrences.map(o => [o.field, o.line]), [
+        ['user.name', 6],
+        ['custom.session.id', 10],
+        ['event.action', 14]
+      ]);
+      assert.strictEqual(occurrences[0].extractor, 'ast:queryDSL');
+
+      const withProse = new FieldParser({ markdownProse: true }).extractFieldOccurrences(markdown, 'README.md');
+      assert.ok(withProse.some(o => o.field === 'custom.config.key' && o.line === 3));
+      assert.ok(!withProse.some(o => o.field === 'not.a.field'));
+    });
+  });
+
   describe('parseECSFields', () => {
     test('should parse valid CSV content', () => {
       const csvContent = `field,type,description
@@ -0,0 +1,83 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { FieldParser } from '../field-parser.js';
+
+describe('IndexTemplateAnalyzer', () => {
+  const root = path.resolve('/project/templates');
+  const componentTemplate = JSON.stringify({
+    template: {
+      mappings: {
+        dynamic_templates: [
+          { labels_as_keywords: { path_match: 'labels.*', mapping: { type: 'keyword' } } },
+          { strings: { match_mapping_type: 'string', mapping: { type: 'keyword' } } }
+        ],
+        properties: {
+          user: { properties: { name: { type: 'text', fields: { keyword: { type: 'keyword' } } } } },
+          'custom.score': { type: 'float' }
+        }
+      }
+    }
+  }, null, 2);
+
+  const createParser = () => {
+    const parser = new FieldParser();
+    parser.indexFile(componentTemplate, path.join(root, 'logs-mappings.json'));
+    return parser;
+  };
+
+  test('should record dynamic template patterns and multi-fields in component templates', () => {
+    const occurrences = createParser().extractFieldOccurrences(componentTemplate, path.join(root, 'logs-mappings.json'));
+
+    assert.deepStrictEqual(
+      occurrences.map(o => [o.field, o.multiField || null, o.dynamicTemplate || null]),
+      [
+        ['labels.*', null, 'labels_as_keywords'],
+        ['user.name', null, null],
+        ['user.name', 'keyword', null],
+        ['custom.score', null, null]
+      ]
+    );
+    assert.ok(!occurrences.some(o => o.field === 'user.name.keyword'));
+  });
+
+  test('should resolve composed_of in template files to component templates in the repository', () => {
+    const content = JSON.stringify({
+      index_patterns: ['logs-app-*'],
+      composed_of: ['logs-mappings', 'logs@settings'],
+      template: { mappings: { properties: { 'service.name': { type: 'keyword' } } } }
+    }, null, 2);
+    const occurrences = createParser().extractFieldOccurrences(content, path.join(root, 'logs-app.json'));
+
+    const composed = occurrences.filter(o => o.via);
+    assert.deepStrictEqual(composed.map(o => o.field), ['labels.*', 'user.name', 'custom.score']);
+    assert.ok(composed.every(o => o.via.template === 'logs-mappings' && o.via.file === path.join(root, 'logs-mappings.json')));
+    const composedOfLine = content.split('\n').findIndex(line => line.includes('"logs-mappings"')) + 1;
+    assert.ok(composed.every(o => o.line === composedOfLine));
+    assert.ok(occurrences.some(o => o.field === 'service.name' && !o.via));
+  });
+
+  test('should resolve component templates defined and composed in code', () => {
+    const parser = createParser();
+    const code = `
+      await client.indices.putComponentTemplate({
+        name: 'app-mappings',
+        template: { mappings: { properties: { 'organization.tier': { type: 'keyword' } } } }
+      });
+      await client.indices.putIndexTemplate({
+        name: 'app',
+        index_patterns: ['app-*'],
+        composed_of: ['app-mappings', 'logs-mappings'],
+        template: { mappings: { dynamic_templates: [{ geo: { path_match: 'custom.*.location', mapping: { type: 'geo_point' } } }] } }
+      });
+    `;
+    const file = path.join(root, 'setup.ts');
+    parser.indexFile(code, file);
+    const occurrences = parser.extractFieldOccurrences(code, file);
+
+    const composedFrom = (field) => occurrences.filter(o => o.field === field && o.via).map(o => o.via.template);
+    assert.deepStrictEqual(composedFrom('organization.tier'), ['app-mappings']);
+    assert.deepStrictEqual(composedFrom('user.name'), ['logs-mappings']);
+    assert.ok(occurrences.some(o => o.field === 'custom.*.location' && o.dynamicTemplate === 'geo'));
+  });
+});
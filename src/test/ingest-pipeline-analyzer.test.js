@@ -0,0 +1,72 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { FieldParser } from '../field-parser.js';
+
+describe('IngestPipelineAnalyzer', () => {
+  const extract = (pipeline) => {
+    const content = JSON.stringify(pipeline, null, 2);
+    return new FieldParser().extractFieldOccurrences(content, 'pipeline.json');
+  };
+  const summarize = (occurrences) => occurrences.map(o => `${o.processor || o.language}:${o.access}:${o.field}`);
+
+  test('should report only the fields processors read and write', () => {
+    const occurrences = extract({
+      description: 'Normalize firewall.events into ECS',
+      processors: [
+        { set: { field: 'event.kind', value: '{{{observer.vendor}}} alert', tag: 'set_kind' } },
+        { rename: { field: 'custom.src', target_field: 'source.address' } },
+        { convert: { field: 'destination.port', type: 'integer' } },
+        { remove: { field: ['custom.tmp', 'custom.src'], ignore_missing: true } },
+        { geoip: { field: 'source.ip', target_field: 'source.geo' } },
+        { user_agent: { field: 'user_agent.original' } },
+        { date: { field: 'custom.timestamp', formats: ['ISO8601'] } }
+      ],
+      on_failure: [{ set: { field: 'error.message', value: '{{ _ingest.on_failure_message }}' } }]
+    });
+
+    assert.deepStrictEqual(summarize(occurrences), [
+      'set:write:event.kind',
+      'set:read:observer.vendor',
+      'rename:read:custom.src',
+      'rename:write:source.address',
+      'convert:read:destination.port',
+      'remove:write:custom.tmp',
+      'remove:write:custom.src',
+      'geoip:read:source.ip',
+      'geoip:write:source.geo',
+      'user_agent:read:user_agent.original',
+      'date:read:custom.timestamp',
+      'date:write:@timestamp',
+      'set:write:error.message'
+    ]);
+    assert.ok(occurrences.every(o => o.extractor === 'extractFromIngestPipeline' && o.line !== null));
+  });
+
+  test('should extract grok and dissect captures and script references', () => {
+    const occurrences = extract({
+      pipeline: {
+        processors: [
+          { grok: { field: 'message', patterns: ['%{IP:source.ip} %{WORD:[user][name]} (?<event.code>\\d+) %{NUMBER:destination.bytes:long}'] } },
+          { dissect: { field: 'event.original', pattern: '%{client.address} %{?ignored} %{+client.address} %{client.port->}' } },
+          { script: { source: 'ctx.network.bytes = ctx.source.bytes', if: "ctx.network?.transport == 'tcp'" } }
+        ]
+      },
+      docs: []
+    });
+
+    assert.deepStrictEqual(summarize(occurrences), [
+      'grok:read:message',
+      'grok:write:source.ip',
+      'grok:write:user.name',
+      'grok:write:event.code',
+      'grok:write:destination.bytes',
+      'dissect:read:event.original',
+      'dissect:write:client.address',
+      'dissect:write:client.address',
+      'dissect:write:client.port',
+      'painless:write:network.bytes',
+      'painless:read:source.bytes',
+      'painless:read:network.transport'
+    ]);
+  });
+});
@@ -0,0 +1,113 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { FieldParser } from '../field-parser.js';
+import { FileScanner } from '../file-scanner.js';
+
+describe('LogstashConfigAnalyzer', () => {
+  const pipeline = `input {
+  beats { port => 5044 }
+}
+
+filter {
+  # Network events only
+  if [event][category] == "network" {
+    grok {
+      match => { "message" => "%{IP:[source][ip]} %{NUMBER:[source][bytes]:int}" }
+    }
+    mutate {
+      rename => { "[src][port]" => "[source][port]" }
+      add_field => { "[event][kind]" => "%{[observer][type]}" }
+      remove_field => ["[@metadata][raw]", "agent.ephemeral_id"]
+      add_tag => ["parsed"]
+    }
+  } else if [message] =~ /^\\{/ {
+    dissect { mapping => { "message" => "%{[host][name]} %{?ignored} %{+event.original}" } }
+    date { match => ["[event][created]", "ISO8601"] }
+  }
+}
+
+output {
+  elasticsearch { index => "logs-%{[data_stream][dataset]}-%{+YYYY.MM.dd}" }
+}
+`;
+
+  const occurrences = () => new FieldParser().extractFieldOccurrences(pipeline, 'pipelines/network.conf')
+    .filter(o => o.extractor === 'extractFromLogstash');
+  const accessOf = (found, field, plugin) => found
+    .filter(o => o.field === field && o.plugin === plugin)
+    .map(o => o.access);
+
+  test('should convert bracket references and read conditional fields', () => {
+    const found = occurrences();
+    const condition = found.find(o => o.field === 'event.category');
+
+    assert.strictEqual(condition.access, 'read');
+    assert.strictEqual(condition.line, 7);
+    assert.strictEqual(condition.plugin, undefined);
+    assert.ok(found.some(o => o.field === 'message' && o.line === 17 && o.plugin === undefined));
+  });
+
+  test('should mark mutate, grok and dissect targets as writes', () => {
+    const found = occurrences();
+
+    assert.deepStrictEqual(accessOf(found, 'src.port', 'mutate'), ['read']);
+    assert.deepStrictEqual(accessOf(found, 'source.port', 'mutate'), ['write']);
+    assert.deepStrictEqual(accessOf(found, 'event.kind', 'mutate'), ['write']);
+    assert.deepStrictEqual(accessOf(found, 'observer.type', 'mutate'), ['read']);
+    assert.deepStrictEqual(accessOf(found, 'agent.ephemeral_id', 'mutate'), ['write']);
+    assert.deepStrictEqual(accessOf(found, 'tags', 'mutate'), ['write']);
+    assert.deepStrictEqual(accessOf(found, 'source.ip', 'grok'), ['write']);
+    assert.deepStrictEqual(accessOf(found, 'source.bytes', 'grok'), ['write']);
+    assert.deepStrictEqual(accessOf(found, 'host.name', 'dissect'), ['write']);
+    assert.deepStrictEqual(accessOf(found, 'event.original', 'dissect'), ['write']);
+    assert.deepStrictEqual(accessOf(found, 'event.created', 'date'), ['read']);
+    assert.deepStrictEqual(accessOf(found, '@timestamp', 'date'), ['write']);
+  });
+
+  test('should read sprintf references and skip metadata and dates', () => {
+    const found = occurrences();
+
+    assert.deepStrictEqual(accessOf(found, 'data_stream.dataset', 'elasticsearch'), ['read']);
+    assert.ok(!found.some(o => o.field.startsWith('@metadata') || o.field.includes('YYYY')));
+    assert.ok(!found.some(o => o.field === 'ignored'));
+  });
+
+  test('should read ${VAR} values and record pipelines that cannot be parsed', () => {
+    const parser = new FieldParser();
+    const withVariables = parser.extractFieldOccurrences(`input { beats { port => \${BEATS_PORT:5044} } }
+output {
+  elasticsearch { hosts => \${ES_HOSTS} index => "logs-%{[data_stream][dataset]}" }
+}
+`, 'pipeline/env.conf');
+    assert.deepStrictEqual(withVariables.map(o => [o.field, o.access]), [['data_stream.dataset', 'read']]);
+
+    parser.extractFieldOccurrences('filter {\n  mutate { rename => { "a" => "b" }\n}\n', 'pipeline/broken.conf');
+    assert.deepStrictEqual(parser.logstashAnalyzer.parseErrors.map(entry => entry.file), ['pipeline/broken.conf']);
+  });
+
+  test('should ignore .conf files that are not Logstash pipelines', () => {
+    const parser = new FieldParser();
+    assert.deepStrictEqual(parser.extractFieldOccurrences('[server]\nhost.name = "x"\n', 'app.conf'), []);
+    assert.deepStrictEqual(parser.extractFieldOccurrences('server {\n  listen 80;\n}\n', 'nginx.conf'), []);
+  });
+
+  test('should only scan .conf files in pipeline directories', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ecs-logstash-'));
+    try {
+      for (const file of ['logstash/pipeline/beats.conf', 'deploy/conf.d/syslog.conf', 'nginx/nginx.conf', 'supervisord.conf']) {
+        await fs.outputFile(path.join(directory, file), pipeline);
+      }
+      const files = await new FileScanner({ includeLogstash: true }).scanDirectory(directory);
+
+      assert.deepStrictEqual(
+        files.map(file => path.relative(directory, file).split(path.sep).join('/')).sort(),
+        ['deploy/conf.d/syslog.conf', 'logstash/pipeline/beats.conf']
+      );
+    } finally {
+      await fs.remove(directory);
+    }
+  });
+});
@@ -0,0 +1,45 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { FieldParser } from '../field-parser.js';
+
+describe('NonFieldStringClassifier', () => {
+  const component = `import { i18n } from '@kbn/i18n';
+const title = i18n.translate('xpack.securitySolution.alerts.title', { defaultMessage: 'Alerts' });
+const label = <FormattedMessage id="xpack.securitySolution.alerts.label" defaultMessage="Label" />;
+const messages = defineMessages({ empty: { id: 'xpack.ml.jobs.empty', defaultMessage: 'None' } });
+const enabled = config.get<boolean>('xpack.fleet.enabled');
+const sampleSize = core.uiSettings.get('discover.sampleSize');
+usageCounter.incrementCounter({ counterName: 'alerts.rule.created' });
+reportUiCounter(APP_ID, METRIC_TYPE.CLICK, 'rules.table.opened');
+const query = { term: { 'user.name': name } };
+const node = { id: 'host.name', label: 'Host' };
+`;
+
+  for (const extractionMode of ['ast', 'regex']) {
+    test(`should move i18n, config, uiSettings and telemetry strings out of the fields (${extractionMode})`, () => {
+      // Bare strings are kept so `id: 'host.name'` is a field in both modes
+      const parser = new FieldParser({ extractionMode, bareStrings: true });
+      const occurrences = parser.extractFieldOccurrences(component, 'public/alerts.tsx');
+
+      assert.deepStrictEqual([...new Set(occurrences.map(o => o.field))].sort(), ['host.name', 'user.name']);
+      assert.deepStrictEqual(parser.nonFieldStrings.strings.map(o => [o.field, o.kind, o.line]), [
+        ['xpack.securitySolution.alerts.title', 'i18nId', 2],
+        ['xpack.securitySolution.alerts.label', 'i18nId', 3],
+        ['xpack.ml.jobs.empty', 'i18nId', 4],
+        ['xpack.fleet.enabled', 'configKey', 5],
+        ['discover.sampleSize', 'uiSetting', 6],
+        ['alerts.rule.created', 'telemetry', 7],
+        ['rules.table.opened', 'telemetry', 8]
+      ]);
+    });
+  }
+
+  test('should treat every key in kibana.yml as a config key', () => {
+    const parser = new FieldParser();
+    const occurrences = parser.extractFieldOccurrences('xpack.fleet.enabled: true\nserver.host: 0.0.0.0\n', 'config/kibana.dev.yml');
+
+    assert.deepStrictEqual(occurrences, []);
+    assert.ok(parser.nonFieldStrings.strings.every(o => o.kind === 'configKey'));
+    assert.ok(parser.nonFieldStrings.strings.some(o => o.field === 'server.host'));
+  });
+});
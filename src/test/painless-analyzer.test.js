@@ -0,0 +1,79 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { PainlessAnalyzer } from '../painless-analyzer.js';
+import { FieldCollector } from '../field-collector.js';
+import { FieldParser } from '../field-parser.js';
+
+describe('PainlessAnalyzer', () => {
+  const analyze = (source, options = {}) => {
+    const fields = new FieldCollector('script.painless', source);
+    new PainlessAnalyzer().extractFields(source, fields, 0, 'extractFromPainless', options);
+    return Object.fromEntries(fields.occurrences.map(o => [o.field, o.access]));
+  };
+
+  test('should mark doc values and params._source as reads', () => {
+    assert.deepStrictEqual(
+      analyze("doc['source.ip'].value + params._source.user.name + params.threshold"),
+      { 'source.ip': 'read', 'user.name': 'read' }
+    );
+  });
+
+  test('should mark assignments and mutating calls on ctx as writes', () => {
+    const access = analyze(`
+      ctx._source.event.kind = 'alert';
+      ctx['host']['name'] = ctx.host?.hostname;
+      ctx._source.tags.add('enriched');
+      ctx._source.remove('client.ip');
+      if (ctx._source.containsKey('user.id')) { ctx._index = 'other' }
+    `);
+
+    assert.deepStrictEqual(access, {
+      'event.kind': 'write',
+      'host.name': 'write',
+      'host.hostname': 'read',
+      tags: 'write',
+      'client.ip': 'write',
+      'user.id': 'read'
+    });
+  });
+
+  test('should attribute emit to the runtime field being defined', () => {
+    assert.deepStrictEqual(
+      analyze("emit($('event.duration', 0) / 1000)", { runtimeField: 'event.duration_ms' }),
+      { 'event.duration': 'read', 'event.duration_ms': 'write' }
+    );
+  });
+
+  test('should find scripts in code, ingest pipelines and runtime mappings', () => {
+    const parser = new FieldParser();
+    const accessOf = (occurrences) => Object.fromEntries(
+      occurrences.filter(o => o.language === 'painless').map(o => [o.field, o.access])
+    );
+
+    const code = `
+      await client.updateByQuery({
+        index: 'logs-*',
+        script: { source: "ctx._source.event.kind = 'alert'", lang: 'painless' }
+      });
+      await client.search({
+        runtime_mappings: {
+          'event.day_of_week': { type: 'keyword', script: { source: "emit(doc['@timestamp'].value.dayOfWeekEnum.toString())" } }
+        }
+      });
+    `;
+    const expected = { 'event.kind': 'write', 'event.day_of_week': 'write', '@timestamp': 'read' };
+    assert.deepStrictEqual(accessOf(parser.extractFieldOccurrences(code, 'update.js')), expected);
+
+    const pipeline = JSON.stringify({
+      processors: [
+        { set: { field: 'event.kind', value: 'alert', if: "ctx.host?.name == 'edge'" } },
+        { script: { source: "ctx['source']['ip'] = ctx.remove('client.ip')" } }
+      ]
+    });
+    assert.deepStrictEqual(accessOf(parser.extractFieldOccurrences(pipeline, 'pipeline.json')), {
+      'host.name': 'read',
+      'source.ip': 'write',
+      'client.ip': 'write'
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { FieldParser } from '../field-parser.js';
+
+describe('ExtractorPluginRegistry', () => {
+  const queryBuilder = {
+    name: 'query-builder',
+    calls: ['qb.eq', 'qb.range']
+  };
+
+  const ruleDsl = {
+    name: 'rule-dsl',
+    files: ['rules/**/*.rdsl'],
+    extract(content) {
+      const results = [];
+      for (const match of content.matchAll(/^WHEN (\S+)/gm)) {
+        results.push({ field: match[1], index: match.index + 5, clause: 'when' });
+      }
+      return results;
+    }
+  };
+
+  test('should extract fields from declared call patterns ahead of built-in extractors', () => {
+    const parser = new FieldParser();
+    parser.plugins.register(queryBuilder);
+    const code = `const filter = qb.and(
+  qb.eq('user.name', name),
+  qb .range("event.created", from, to),
+  notqb.eq('host.name', x)
+);`;
+    const occurrences = parser.extractFieldOccurrences(code, 'src/filters.ts');
+    const plugin = occurrences.filter(o => o.extractor === 'plugin:query-builder');
+
+    assert.deepStrictEqual(
+      plugin.map(o => [o.field, o.line, o.column, o.call]),
+      [['user.name', 2, 10, 'qb.eq'], ['event.created', 3, 14, 'qb.range']]
+    );
+    assert.ok(!occurrences.some(o => o.field === 'user.name' && o.extractor !== 'plugin:query-builder'));
+  });
+
+  test('should run extract functions on the files a plugin declares', () => {
+    const parser = new FieldParser({ rootPath: '/repo' });
+    parser.plugins.register(ruleDsl);
+
+    const occurrences = parser.extractFieldOccurrences('WHEN process.name IS "cmd.exe"\n', '/repo/rules/windows/cmd.rdsl');
+    assert.deepStrictEqual(occurrences, [{
+      field: 'process.name', file: '/repo/rules/windows/cmd.rdsl', line: 1, column: 6, extractor: 'plugin:rule-dsl', clause: 'when'
+    }]);
+    assert.deepStrictEqual(parser.extractFieldOccurrences('WHEN process.name IS "x"\n', '/repo/other/cmd.rdsl'), []);
+    assert.deepStrictEqual(parser.plugins.filePatterns(), ['rules/**/*.rdsl']);
+  });
+
+  test('should record and report plugins that throw', () => {
+    const parser = new FieldParser();
+    parser.plugins.register({ name: 'broken', calls: ['qb.eq'], extract() { throw new Error('boom'); } });
+    const log = console.log;
+    const printed = [];
+    console.log = message => printed.push(message);
+    try {
+      parser.extractFieldOccurrences("qb.eq('user.name', x);\n", 'src/a.js');
+      parser.extractFieldOccurrences("qb.eq('host.name', x);\n", 'src/b.js');
+    } finally {
+      console.log = log;
+    }
+
+    assert.deepStrictEqual(parser.plugins.failures.map(failure => [failure.plugin, failure.file, failure.message]), [
+      ['broken', 'src/a.js', 'boom'],
+      ['broken', 'src/b.js', 'boom']
+    ]);
+    assert.strictEqual(printed.filter(message => message.includes('Extractor plugin broken failed')).length, 1);
+  });
+
+  test('should reject plugins without files, calls or an extract function', () => {
+    const parser = new FieldParser();
+    assert.throws(() => parser.plugins.register({ extract() {} }), /has no name/);
+    assert.throws(() => parser.plugins.register({ name: 'empty', extract() {} }), /must declare files or calls/);
+    assert.throws(() => parser.plugins.register({ name: 'globs', files: ['**/*.x'] }), /calls or an extract function/);
+  });
+
+  test('should load plugin modules listed in a config file', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ecs-plugins-'));
+    try {
+      await fs.outputFile(path.join(directory, 'tools', 'qb.mjs'), "export default { name: 'query-builder', calls: ['qb.eq'] };\n");
+      await fs.writeJson(path.join(directory, 'ecs-detective.json'), { plugins: ['./tools/qb.mjs'], include: ['detections/**/*.toml'] });
+
+      const parser = new FieldParser();
+      const registered = await parser.plugins.load(path.join(directory, 'ecs-detective.json'));
+      const occurrences = parser.extractFieldOccurrences("qb.eq('source.ip', ip);\n", 'src/a.js');
+
+      assert.strictEqual(registered, 1);
+      assert.deepStrictEqual(parser.plugins.filePatterns(), ['detections/**/*.toml']);
+      assert.ok(occurrences.some(o => o.field === 'source.ip' && o.extractor === 'plugin:query-builder'));
+    } finally {
+      await fs.remove(directory);
+    }
+  });
+
+  test('should resolve plugin packages from the config file directory', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ecs-plugins-'));
+    try {
+      const packageDir = path.join(directory, 'node_modules', 'ecs-detective-plugin-acme');
+      await fs.outputJson(path.join(packageDir, 'package.json'), { name: 'ecs-detective-plugin-acme', main: 'index.mjs' });
+      await fs.outputFile(path.join(packageDir, 'index.mjs'), "export default { name: 'acme', calls: ['acme.field'] };\n");
+      await fs.writeJson(path.join(directory, 'ecs-detective.json'), { plugins: ['ecs-detective-plugin-acme'] });
+
+      const parser = new FieldParser();
+      assert.strictEqual(await parser.plugins.load(path.join(directory, 'ecs-detective.json')), 1);
+      assert.ok(parser.extractFieldOccurrences("acme.field('host.name');\n", 'src/a.js').some(o => o.extractor === 'plugin:acme'));
+    } finally {
+      await fs.remove(directory);
+    }
+  });
+});
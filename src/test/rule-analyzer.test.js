@@ -0,0 +1,142 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { FieldParser } from '../field-parser.js';
+import { FileScanner } from '../file-scanner.js';
+
+describe('DetectionRuleAnalyzer', () => {
+  const thresholdRule = `[metadata]
+creation_date = "2024/01/01"
+
+[rule]
+rule_id = "0a1b2c3d"
+name = "Brute force logins"
+type = "threshold"
+language = "kuery"
+query = '''
+event.category:authentication and event.outcome:failure
+'''
+timestamp_override = "event.ingested"
+
+[[rule.required_fields]]
+name = "event.category"
+type = "keyword"
+ecs = true
+
+[[rule.required_fields]]
+name = "event.outcome"
+type = "keyword"
+ecs = true
+
+[rule.threshold]
+field = ["source.ip", "user.name"]
+value = 25
+`;
+
+  const eqlRule = `[rule]
+rule_id = "4e5f6a7b"
+name = "Suspicious child process"
+type = "eql"
+language = "eql"
+query = '''
+process where process.parent.name == "winword.exe" and process.name : "cmd.exe"
+'''
+
+[[rule.required_fields]]
+name = "process.name"
+type = "keyword"
+ecs = true
+
+[[rule.required_fields]]
+name = "host.os.type"
+type = "keyword"
+ecs = true
+
+[rule.new_terms]
+field = "new_terms_fields"
+value = ["host.id"]
+`;
+
+  test('should dispatch rule queries by language and collect structured keys', () => {
+    const occurrences = new FieldParser().extractFieldOccurrences(thresholdRule, 'rules/brute_force.toml');
+    const query = occurrences.filter(o => o.language === 'kql');
+    const structured = occurrences.filter(o => o.extractor === 'extractFromRule');
+
+    assert.deepStrictEqual(query.map(o => [o.field, o.line]), [['event.category', 10], ['event.outcome', 10]]);
+    assert.deepStrictEqual(
+      structured.map(o => `${o.ruleKey}:${o.field}`),
+      ['threshold.field:source.ip', 'threshold.field:user.name', 'timestamp_override:event.ingested']
+    );
+  });
+
+  test('should check required_fields against the fields the query uses', () => {
+    const parser = new FieldParser();
+    parser.extractFieldOccurrences(thresholdRule, 'rules/brute_force.toml');
+    const occurrences = parser.extractFieldOccurrences(eqlRule, 'rules/child_process.toml');
+
+    assert.ok(occurrences.some(o => o.field === 'process.parent.name' && o.language === 'eql'));
+    assert.ok(occurrences.some(o => o.field === 'host.id' && o.ruleKey === 'new_terms_fields'));
+    assert.deepStrictEqual(parser.ruleAnalyzer.requiredFieldsMismatches, [{
+      file: 'rules/child_process.toml',
+      rule: { id: '4e5f6a7b', name: 'Suspicious child process' },
+      missing: ['process.parent.name'],
+      unused: ['host.os.type']
+    }]);
+  });
+
+  test('should not expect the implicit event.category of EQL rules in required_fields', () => {
+    const rule = `[rule]
+rule_id = "8c9d0e1f"
+name = "Curl from a web server"
+type = "eql"
+language = "eql"
+query = '''
+process where process.name == "curl" and process.parent.name == "nginx"
+'''
+
+[[rule.required_fields]]
+name = "process.name"
+type = "keyword"
+ecs = true
+
+[[rule.required_fields]]
+name = "process.parent.name"
+type = "keyword"
+ecs = true
+`;
+    const parser = new FieldParser();
+    const occurrences = parser.extractFieldOccurrences(rule, 'rules/curl.toml');
+
+    assert.ok(occurrences.some(o => o.field === 'event.category' && o.implicit));
+    assert.deepStrictEqual(parser.ruleAnalyzer.requiredFieldsMismatches, []);
+
+    // Listing it anyway is not reported as unused
+    parser.extractFieldOccurrences(rule.replace('[[rule.required_fields]]', '[[rule.required_fields]]\nname = "event.category"\n\n[[rule.required_fields]]'), 'rules/curl_listed.toml');
+    assert.deepStrictEqual(parser.ruleAnalyzer.requiredFieldsMismatches, []);
+  });
+
+  test('should ignore TOML files that are not rules', () => {
+    const occurrences = new FieldParser().extractFieldOccurrences('[tool.poetry]\nname = "host.name"\n', 'pyproject.toml');
+    assert.deepStrictEqual(occurrences, []);
+  });
+
+  test('should only scan TOML files in rules directories unless more are included', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ecs-rules-'));
+    try {
+      for (const file of ['rules/windows/cmd.toml', 'rules_building_block/discovery.toml', 'detections/net.toml', 'pyproject.toml']) {
+        await fs.outputFile(path.join(directory, file), thresholdRule);
+      }
+      const scanner = new FileScanner({ includeRules: true });
+      const relative = async () => (await scanner.scanDirectory(directory))
+        .map(file => path.relative(directory, file).split(path.sep).join('/')).sort();
+
+      assert.deepStrictEqual(await relative(), ['rules/windows/cmd.toml', 'rules_building_block/discovery.toml']);
+      scanner.addIncludePatterns(['detections/**/*.toml']);
+      assert.deepStrictEqual(await relative(), ['detections/net.toml', 'rules/windows/cmd.toml', 'rules_building_block/discovery.toml']);
+    } finally {
+      await fs.remove(directory);
+    }
+  });
+});
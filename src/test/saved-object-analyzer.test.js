@@ -0,0 +1,73 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { FieldParser } from '../field-parser.js';
+
+describe('SavedObjectAnalyzer', () => {
+  const toNDJSON = (objects) => objects.map(object => JSON.stringify(object)).join('\n') + '\n';
+
+  const exported = toNDJSON([
+    {
+      type: 'index-pattern',
+      id: 'logs-data-view',
+      attributes: {
+        title: 'logs-*',
+        timeFieldName: '@timestamp',
+        fields: JSON.stringify([{ name: 'host.name', type: 'string' }, { name: '_id', type: 'string' }]),
+        fieldFormatMap: JSON.stringify({ 'destination.bytes': { id: 'bytes' } })
+      }
+    },
+    {
+      type: 'search',
+      id: 'failed-logins',
+      attributes: {
+        columns: ['user.name', 'source.ip'],
+        kibanaSavedObjectMeta: {
+          searchSourceJSON: JSON.stringify({
+            query: { query: 'event.outcome: failure', language: 'kuery' },
+            filter: [{ meta: { key: 'event.module' }, query: { match_phrase: { 'event.module': 'system' } } }]
+          })
+        }
+      }
+    },
+    {
+      type: 'visualization',
+      id: 'top-hosts',
+      attributes: { visState: JSON.stringify({ aggs: [{ type: 'terms', params: { field: 'host.hostname' } }] }) }
+    },
+    {
+      type: 'lens',
+      id: 'bytes-by-observer',
+      attributes: {
+        state: {
+          query: { esql: 'FROM logs-* | STATS sum(network.bytes) BY observer.name' },
+          datasourceStates: { formBased: { layers: { a: { columns: { c1: { sourceField: 'network.packets' } } } } } }
+        }
+      }
+    },
+    { exportedCount: 4, missingRefCount: 0, missingReferences: [] }
+  ]);
+
+  test('should report the fields each saved object references with its type and id', () => {
+    const occurrences = new FieldParser().extractFieldOccurrences(exported, 'export.ndjson');
+    const byObject = {};
+    for (const occurrence of occurrences) {
+      const key = `${occurrence.savedObject.type}:${occurrence.savedObject.id}`;
+      byObject[key] = [...(byObject[key] || []), occurrence.field];
+    }
+
+    assert.deepStrictEqual(byObject, {
+      'index-pattern:logs-data-view': ['@timestamp', 'host.name', 'destination.bytes'],
+      'search:failed-logins': ['user.name', 'source.ip', 'event.outcome', 'event.module'],
+      'visualization:top-hosts': ['host.hostname'],
+      'lens:bytes-by-observer': ['network.bytes', 'observer.name', 'network.packets']
+    });
+  });
+
+  test('should locate occurrences on the line of their saved object', () => {
+    const occurrences = new FieldParser().extractFieldOccurrences(exported, 'export.ndjson');
+    const lines = { 'index-pattern': 1, search: 2, visualization: 3, lens: 4 };
+
+    assert.ok(occurrences.every(o => o.line === lines[o.savedObject.type]));
+    assert.strictEqual(occurrences.find(o => o.field === 'event.outcome').language, 'kql');
+  });
+});
@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { FieldParser } from '../field-parser.js';
+
+describe('SigmaRuleAnalyzer', () => {
+  const processRule = `title: Suspicious Encoded PowerShell
+id: 5b9e1f2a-0000-4000-8000-000000000001
+logsource:
+  category: process_creation
+  product: windows
+detection:
+  selection_img:
+    - Image|endswith: '\\powershell.exe'
+    - OriginalFileName: 'PowerShell.EXE'
+  selection_cli:
+    CommandLine|contains|all:
+      - ' -enc '
+      - 'bypass'
+  filter:
+    ParentImage|startswith: 'C:\\Program Files\\'
+    SignatureStatus: 'Valid'
+  keywords:
+    - 'Invoke-Mimikatz'
+  condition: all of selection_* and not filter
+fields:
+  - User
+  - host.hostname
+level: high
+`;
+
+  const networkRule = `title: Outbound SMB
+logsource:
+  category: network_connection
+detection:
+  selection:
+    DestinationPort: 445
+    Initiated: 'true'
+  condition: selection
+`;
+
+  test('should strip modifiers and map Sigma fields to ECS', () => {
+    const occurrences = new FieldParser().extractFieldOccurrences(processRule, 'rules/powershell.yml');
+
+    assert.deepStrictEqual(
+      occurrences.map(o => [o.field, o.sigmaField, o.line]),
+      [
+        ['process.executable', 'Image', 8],
+        ['process.pe.original_file_name', 'OriginalFileName', 9],
+        ['process.command_line', 'CommandLine', 11],
+        ['process.parent.executable', 'ParentImage', 15],
+        ['user.name', 'User', 21],
+        ['host.hostname', 'host.hostname', 22]
+      ]
+    );
+    assert.ok(occurrences.every(o => o.extractor === 'extractFromSigma'));
+  });
+
+  test('should report rule fields with no ECS mapping instead of custom fields', () => {
+    const parser = new FieldParser();
+    const occurrences = parser.extractFieldOccurrences(`${processRule}---\n${networkRule}`, 'rules/mixed.yml');
+
+    assert.ok(!occurrences.some(o => o.field === 'SignatureStatus' || o.field === 'Initiated'));
+    assert.ok(occurrences.some(o => o.field === 'destination.port' && o.line === 30));
+    assert.deepStrictEqual(parser.sigmaAnalyzer.unmappedFields, [
+      { file: 'rules/mixed.yml', rule: { id: '5b9e1f2a-0000-4000-8000-000000000001', title: 'Suspicious Encoded PowerShell' }, fields: ['SignatureStatus'] },
+      { file: 'rules/mixed.yml', rule: { id: undefined, title: 'Outbound SMB' }, fields: ['Initiated'] }
+    ]);
+  });
+
+  test('should layer a configured mapping over the built-in table', () => {
+    const parser = new FieldParser();
+    const mapped = parser.sigmaAnalyzer.loadFieldMapping(`name: ecs_windows
+transformations:
+  - type: field_name_mapping
+    mapping:
+      SignatureStatus: process.code_signature.status
+      Image:
+        - process.executable
+        - process.name
+`);
+    const occurrences = parser.extractFieldOccurrences(processRule, 'rules/powershell.yml');
+
+    assert.strictEqual(mapped, 2);
+    assert.deepStrictEqual(occurrences.filter(o => o.sigmaField === 'Image').map(o => o.field), ['process.executable', 'process.name']);
+    assert.ok(occurrences.some(o => o.field === 'process.code_signature.status' && o.line === 16));
+    assert.deepStrictEqual(parser.sigmaAnalyzer.unmappedFields, []);
+  });
+
+  test('should leave other YAML files to generic extraction', () => {
+    const occurrences = new FieldParser().extractFieldOccurrences('settings:\n  host.name: web-1\n', 'config.yml');
+    assert.ok(occurrences.some(o => o.field === 'host.name' && o.extractor === 'extractFromYAML'));
+  });
+});
@@ -0,0 +1,76 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { FieldParser } from '../field-parser.js';
+
+describe('SuppressionFilter', () => {
+  test('should suppress the next line, listed fields and the comment line in JS/TS', () => {
+    const parser = new FieldParser();
+    const code = `/* ecs-detective-ignore custom.session.id */
+const session = { 'custom.session.id': id, 'user.name': name };
+// ecs-detective-ignore-next-line -- route name, not a field
+const route = 'internal.alerts.route';
+const host = { 'host.name': hostName }; // ecs-detective-ignore
+const key = 'custom.session.id';
+const ip = { 'source.ip': address };
+`;
+    const occurrences = parser.extractFieldOccurrences(code, 'src/session.ts');
+
+    assert.deepStrictEqual([...new Set(occurrences.map(o => o.field))].sort(), ['source.ip', 'user.name']);
+    assert.deepStrictEqual(
+      parser.suppressionFilter.suppressed.map(o => [o.field, o.line, o.directive, o.directiveLine]),
+      [
+        ['custom.session.id', 2, 'ecs-detective-ignore', 1],
+        ['internal.alerts.route', 4, 'ecs-detective-ignore-next-line', 3],
+        ['host.name', 5, 'ecs-detective-ignore', 5],
+        ['custom.session.id', 6, 'ecs-detective-ignore', 1]
+      ]
+    );
+    assert.ok(parser.suppressionFilter.suppressed.every(o => o.file === 'src/session.ts'));
+  });
+
+  test('should only read directives from comments in the syntax of the file', () => {
+    const parser = new FieldParser();
+    const code = `const marker = '# ecs-detective-ignore-file';
+const hint = "// ecs-detective-ignore-next-line";
+const user = { 'user.name': name };
+/* ecs-detective-ignore-next-line
+   -- the block ends on this line */
+const host = { 'host.name': hostName };
+`;
+    const occurrences = parser.extractFieldOccurrences(code, 'src/markers.ts');
+    assert.deepStrictEqual(occurrences.map(o => [o.field, o.line]), [['user.name', 3]]);
+    assert.deepStrictEqual(parser.suppressionFilter.suppressed.map(o => [o.field, o.line]), [['host.name', 6]]);
+
+    // `//` is not a YAML comment, and `#` inside a quoted value is not either
+    const yaml = parser.extractFieldOccurrences('// ecs-detective-ignore-file\nnote: "# ecs-detective-ignore-file"\nhost.name: web-1\n', 'config/notes.yml');
+    assert.ok(yaml.some(o => o.field === 'host.name'));
+  });
+
+  test('should suppress whole files and wildcard field lists in YAML', () => {
+    const parser = new FieldParser();
+    const ignored = parser.extractFieldOccurrences('# ecs-detective-ignore-file\nsettings:\n  host.name: web-1\n', 'config/app.yml');
+    const partial = parser.extractFieldOccurrences(
+      '# ecs-detective-ignore-file app.*, custom.*\napp.feature: true\ncustom.flag: 1\nhost.name: web-1\n',
+      'config/flags.yml'
+    );
+
+    assert.deepStrictEqual(ignored, []);
+    assert.deepStrictEqual(partial.map(o => o.field), ['host.name']);
+    assert.ok(parser.suppressionFilter.suppressed.some(o => o.file === 'config/app.yml' && o.field === 'host.name'));
+    assert.ok(parser.suppressionFilter.suppressed.some(o => o.file === 'config/flags.yml' && o.field === 'custom.flag'));
+  });
+
+  test('should parse JSONC and apply its comments', () => {
+    const parser = new FieldParser();
+    const jsonc = `{
+  // ecs-detective-ignore-next-line
+  "labels.internal": "x",
+  "event.dataset": "nginx.access", /* trailing comma below */
+}
+`;
+    const occurrences = parser.extractFieldOccurrences(jsonc, '.vscode/fields.jsonc');
+
+    assert.deepStrictEqual(occurrences.map(o => [o.field, o.line, o.extractor]), [['event.dataset', 4, 'extractFromJSON'], ['nginx.access', 4, 'extractFromJSON']]);
+    assert.deepStrictEqual(parser.suppressionFilter.suppressed.map(o => [o.field, o.line]), [['labels.internal', 3]]);
+  });
+});
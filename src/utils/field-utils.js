@@ -254,3 +254,52 @@ export function isECSFieldKeyFormat(fieldName) {
   return /^[a-zA-Z@][a-zA-Z0-9_]*(?:\.[a-zA-Z][a-zA-Z0-9_]*)*$/.test(fieldName) && fieldName.length > 1;
 }
 
+/**
+ * Validation for field patterns such as 'kibana.alert.*.name' or 'host.*'.
+ * Requires at least one wildcard, one dot and one concrete segment.
+ */
+export function isValidFieldPattern(pattern) {
+  if (!pattern || typeof pattern !== 'string' || !pattern.includes('*') || !pattern.includes('.')) {
+    return false;
+  }
+
+  const segments = pattern.split('.');
+  if (!segments.some(segment => /^[a-zA-Z@][a-zA-Z0-9_]*$/.test(segment))) {
+    return false;
+  }
+
+  // Validate the rest of the shape with each wildcard standing in for a plain name
+  return isValidESFieldName(pattern.replace(/\*/g, 'x'));
+}
+
+/**
+ * A field name, or a field pattern when it holds a `*` wildcard.
+ */
+export function isFieldOrPattern(name) {
+  if (typeof name !== 'string') {
+    return false;
+  }
+  return name.includes('*') ? isValidFieldPattern(name) : isValidESFieldName(name);
+}
+
+// Search parameters listing the fields a response returns: names, wildcards, { field } objects,
+// or for _source, { includes, excludes }
+export const RETRIEVAL_KEYS = new Set([
+  '_source', '_source_includes', '_source_excludes', 'docvalue_fields', 'stored_fields', 'collapse'
+]);
+
+// Keys of a `_source` filter object that list fields
+export const SOURCE_FILTER_KEYS = new Set(['includes', 'excludes', 'include', 'exclude']);
+
+/**
+ * Record a field a search returns (`_source`, `fields`, `docvalue_fields`, ...), keeping
+ * wildcards as field patterns.
+ * @param {string} name - Field name or pattern
+ * @param {Set|FieldCollector} fields - Collection to add to
+ * @param {number} [index] - Offset of the name in the file
+ */
+export function addRetrievedField(name, fields, index) {
+  if (isFieldOrPattern(name)) {
+    fields.add(name, { index, extractor: 'extractFromFieldRetrieval' });
+  }
+}
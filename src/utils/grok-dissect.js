@@ -0,0 +1,43 @@
+/**
+ * Grok and dissect pattern parsing shared by the ingest pipeline and Logstash analyzers,
+ * whose grok/dissect processors and filters use the same pattern syntax.
+ */
+
+// Where date processors and filters write when no target is given
+export const DEFAULT_TARGET_FIELDS = {
+  date: '@timestamp'
+};
+
+// %{SYNTAX:semantic:type} and (?<semantic>...) captures in grok patterns
+const GROK_CAPTURE_PATTERN = /%\{\w+:([^:}]+)(?::\w+)?\}|\(\?<(?![=!])([^>]+)>/g;
+
+// %{key}, %{+key}, %{key->} and %{+key/2} in dissect patterns
+const DISSECT_KEY_PATTERN = /%\{([^}]*)\}/g;
+
+/**
+ * Fields a grok or dissect pattern writes: grok captures (`%{IP:source.ip}`,
+ * `%{WORD:[user][name]}`, `(?<event.code>\d+)`) and dissect keys (`%{source.ip}`, `%{+message}`)
+ * with their append and padding modifiers removed. Dissect skip (`%{?x}`, `%{}`) and reference
+ * (`%{*x}`, `%{&x}`) keys are not fields.
+ * @param {string} pattern - Grok or dissect pattern
+ * @param {string} type - 'grok' or 'dissect'
+ * @returns {Array<{name: string, index: number}>} Names as written (possibly `[a][b]`), with
+ *   their offset in the pattern
+ */
+export function patternCaptures(pattern, type) {
+  const regex = type === 'grok' ? GROK_CAPTURE_PATTERN : DISSECT_KEY_PATTERN;
+  const captures = [];
+  regex.lastIndex = 0;
+  let match;
+  while ((match = regex.exec(pattern)) !== null) {
+    let name = type === 'grok' ? (match[1] || match[2]) : match[1];
+    if (type === 'dissect') {
+      if (/^[?*&]/.test(name)) {
+        continue;
+      }
+      name = name.replace(/^\+/, '').replace(/->$/, '').replace(/\/\d+$/, '');
+    }
+    captures.push({ name, index: match.index + match[0].indexOf(name) });
+  }
+  return captures;
+}
@@ -1,6 +1,7 @@
 import fs from 'fs-extra';
 import path from 'path';
 import chalk from 'chalk';
+import { ECSFetcher } from './ecs-fetcher.js';
 
 export class Validator {
   static async validateInputs(options) {
@@ -63,6 +64,50 @@ export class Validator {
       }
     }
 
+    // Validate ECS versions if specified
+    for (const [option, version] of [['ECS version', options.ecsVersion], ['target ECS version', options.targetEcsVersion]]) {
+      if (version && !ECSFetcher.isValidVersion(version)) {
+        errors.push(`Invalid ${option}: ${version} (expected e.g. 8.11 or 8.11.0)`);
+      }
+    }
+
+    // Validate ECS schema path if specified
+    if (options.ecsSchema) {
+      const schemaPath = path.resolve(options.ecsSchema);
+      if (!(await fs.pathExists(schemaPath))) {
+        errors.push(`ECS schema path does not exist: ${schemaPath}`);
+      }
+    }
+
+    // Validate Sigma field mapping if specified
+    if (options.sigmaMapping) {
+      const mappingPath = path.resolve(options.sigmaMapping);
+      if (!(await fs.pathExists(mappingPath))) {
+        errors.push(`Sigma field mapping file does not exist: ${mappingPath}`);
+      }
+    }
+
+    // Validate config file if specified
+    if (options.config) {
+      const configPath = path.resolve(options.config);
+      if (!(await fs.pathExists(configPath))) {
+        errors.push(`Config file does not exist: ${configPath}`);
+      }
+    }
+
+    // Validate confidence threshold if specified
+    if (options.minConfidence !== undefined) {
+      const minConfidence = Number(options.minConfidence);
+      if (Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+        errors.push(`Invalid minimum confidence: ${options.minConfidence} (expected a number from 0 to 1)`);
+      }
+    }
+
+    // Validate extraction mode if specified
+    if (options.extractionMode && !['ast', 'regex'].includes(options.extractionMode)) {
+      errors.push(`Invalid extraction mode: ${options.extractionMode} (expected "ast" or "regex")`);
+    }
+
     // Validate output path if specified
     if (options.output) {
       try {